@@ -0,0 +1,180 @@
+/**
+ * Activity Type Configuration
+ *
+ * Defines the activity types teachers report on. The wizard form, validation,
+ * review step and PDF are all generated from these definitions, so a type or
+ * field can be added or changed here without touching the code that uses it.
+ *
+ * Activities are stored with a `typeIndex` into ACTIVITY_TYPES, so only
+ * append new types; reordering would change the type of saved reports.
+ * Adding a field also needs a report schema migration (see lib/schema.js).
+ *
+ * Field kinds:
+ *   text      Single-line input
+ *   textarea  Short multi-line input (e.g. an address)
+ *   longtext  Auto-expanding text shown as its own block in the review and PDF,
+ *             with paragraphs, bold, italic and lists (see lib/markup.js)
+ *   select    Dropdown of `options`; `other` adds a free-text input shown when
+ *             the given option is chosen
+ *
+ * Validation (see lib/validation.js) is driven by these optional properties:
+ *   required           Must not be blank ("<label> is required." unless
+ *                      `requiredMessage` is set)
+ *   maxLength          Maximum number of characters
+ *   pattern            RegExp the value must match (`patternMessage` explains it)
+ *   recommendedLength  Shorter values produce a warning, not an error
+ */
+
+const DATE_FIELD = {
+  key: 'date',
+  label: 'Date or Time Period',
+  kind: 'text',
+  required: true,
+  placeholder: 'e.g., October 2025, March 15-20, 2026, Spring Semester'
+};
+
+const LOCATION_FIELD = {
+  key: 'location',
+  label: 'Location',
+  kind: 'text',
+  required: true,
+  placeholder: 'e.g., School gymnasium, classroom 205, Main Building'
+};
+
+const PARTICIPANTS_FIELD = {
+  key: 'participants',
+  label: 'Audience for and Participants in',
+  kind: 'text',
+  required: true,
+  requiredMessage: 'Participants is required.',
+  placeholder: 'e.g., 25 students, 3 teachers, community members'
+};
+
+const DESCRIPTION_FIELD = {
+  key: 'description',
+  label: 'Description',
+  kind: 'longtext',
+  required: true,
+  maxLength: 5000,
+  recommendedLength: 100,
+  rows: 4,
+  placeholder: 'Describe the activity in detail...'
+};
+
+const IMPACT_FIELD = {
+  key: 'impact',
+  label: 'Estimated Impact',
+  kind: 'longtext',
+  required: true,
+  maxLength: 5000,
+  recommendedLength: 50,
+  rows: 3,
+  placeholder: 'How did this activity impact the community?'
+};
+
+// Fields describing the partner school of a virtual exchange
+const VIRTUAL_EXCHANGE_FIELDS = [
+  {
+    key: 'medium',
+    label: 'Medium of Communication',
+    kind: 'select',
+    required: true,
+    placeholder: 'Select medium...',
+    options: [
+      { value: 'Skype', label: 'Skype' },
+      { value: 'Email', label: 'Email' },
+      { value: 'Facebook', label: 'Facebook' },
+      { value: 'WhatsApp', label: 'WhatsApp' },
+      { value: 'Zoom', label: 'Zoom' },
+      { value: 'Google Meet', label: 'Google Meet' },
+      { value: 'Microsoft Teams', label: 'Microsoft Teams' },
+      { value: 'Other', label: 'Other (specify)' }
+    ],
+    other: {
+      value: 'Other',
+      key: 'mediumOther',
+      label: 'Specify Medium',
+      placeholder: 'Specify the communication medium'
+    }
+  },
+  {
+    key: 'foreignCountry',
+    label: 'Country of Foreign School',
+    kind: 'text',
+    required: true,
+    placeholder: 'e.g., France, Japan, Brazil'
+  },
+  {
+    key: 'foreignSchoolName',
+    label: 'Name of Foreign School',
+    kind: 'text',
+    required: true,
+    placeholder: 'e.g., Lycée International'
+  },
+  {
+    key: 'foreignSchoolAddress',
+    label: 'Address of Foreign School',
+    kind: 'textarea',
+    required: true,
+    rows: 2,
+    placeholder: 'Full address of the foreign school'
+  }
+];
+
+export const ACTIVITY_TYPES = [
+  {
+    title: 'Home Country Cultural Activity',
+    prompt: 'Describe an activity for your classroom, larger host school or host district population, or the community at large designed to give an overview of the history, traditions, heritage, culture, economy, educational system, and/or other attributes of your home country.',
+    fields: [DATE_FIELD, LOCATION_FIELD, PARTICIPANTS_FIELD, DESCRIPTION_FIELD, IMPACT_FIELD]
+  },
+  {
+    title: 'Virtual Exchange Activity',
+    prompt: 'Describe an activity that involves U.S student dialogue with schools or students in another country, preferably in the home school, through virtual exchange – in other words, through the Internet. If unsure what this means, contact the Cordell Hull Foundation for a more detailed handout (explanation).',
+    fields: [
+      DATE_FIELD,
+      LOCATION_FIELD,
+      ...VIRTUAL_EXCHANGE_FIELDS,
+      PARTICIPANTS_FIELD,
+      DESCRIPTION_FIELD,
+      IMPACT_FIELD
+    ]
+  },
+  {
+    title: 'Cultural Activity 3',
+    prompt: 'For INTERNATIONAL or FOREIGN LANGUAGE IMMERSION teachers – all GRADE LEVELS',
+    fields: [DATE_FIELD, LOCATION_FIELD, PARTICIPANTS_FIELD, DESCRIPTION_FIELD, IMPACT_FIELD],
+    // Only International/Immersion schools report it, and it can be removed
+    optional: true
+  }
+];
+
+/**
+ * Every value key used by any activity type (including `other` inputs)
+ * @returns {Array<string>}
+ */
+export function getActivityFieldKeys() {
+  const keys = new Set();
+  ACTIVITY_TYPES.forEach(type => {
+    type.fields.forEach(field => {
+      keys.add(field.key);
+      if (field.other) keys.add(field.other.key);
+    });
+  });
+  return [...keys];
+}
+
+/**
+ * Text shown for a field in the review step and PDF
+ * @param {object} activity - Activity data
+ * @param {object} field - Field definition
+ * @returns {string}
+ */
+export function formatActivityField(activity, field) {
+  const value = activity[field.key] || '';
+  if (field.other && value === field.other.value) {
+    return `${value}: ${activity[field.other.key] || ''}`;
+  }
+  return value;
+}
+
+export default ACTIVITY_TYPES;
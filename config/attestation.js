@@ -0,0 +1,65 @@
+/**
+ * Attestation Configuration
+ *
+ * The certification statements signed on the wizard's attestation step and
+ * printed on the report's closing page. Statements may use placeholders that
+ * are filled in from the report:
+ *
+ *   {instructorName}  Instructor's full name
+ *   {schoolYear}      School year, e.g. "2025-2026"
+ *   {schoolType}      Type of school / curriculum
+ *   {activityCount}   Number of activities in the report
+ *
+ * Each signer has a `role`, printed under the signature line, and the
+ * `statement` they sign. The principal only signs when the instructor adds
+ * them on the attestation step.
+ */
+
+export const ATTESTATION = {
+  title: 'Attestation',
+
+  signers: {
+    instructor: {
+      role: 'J-1 Exchange Teacher',
+      statement: 'I certify that the {activityCount} cultural activities described in this report took place ' +
+        'during the {schoolYear} school year as reported, and that the information and photos it contains ' +
+        'are accurate to the best of my knowledge.'
+    },
+    principal: {
+      role: 'Host School Principal',
+      statement: 'I confirm that {instructorName} carried out the activities described in this report at our school ' +
+        'during the {schoolYear} school year.'
+    }
+  }
+};
+
+// Signers in the order they sign and appear on the page
+export const SIGNER_KEYS = ['instructor', 'principal'];
+
+/**
+ * Signers of a report: the instructor, and the principal if included
+ * @param {object} report
+ * @returns {Array<string>} - Keys of ATTESTATION.signers
+ */
+export function getSigners(report) {
+  return SIGNER_KEYS.filter(key => key !== 'principal' || report.attestation.includePrincipal);
+}
+
+/**
+ * A signer's statement with its placeholders filled in
+ * @param {string} signerKey - Key of ATTESTATION.signers
+ * @param {object} report
+ * @returns {string}
+ */
+export function formatAttestationStatement(signerKey, report) {
+  const values = {
+    instructorName: report.instructorName,
+    schoolYear: report.schoolYear,
+    schoolType: report.schoolType,
+    activityCount: report.activities.length
+  };
+  return ATTESTATION.signers[signerKey].statement.replace(/\{(\w+)\}/g, (match, key) =>
+    (key in values ? String(values[key]) : match));
+}
+
+export default ATTESTATION;
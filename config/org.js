@@ -33,6 +33,43 @@ export const ORG_CONFIG = {
     author: 'Cordell Hull Foundation',
     subject: 'J-1 Teacher Cultural Exchange Program Annual Report',
 
+    // Default page size ('letter', 'legal', 'a4' or 'a5', see PAGE_SIZES in
+    // lib/pdf.js) and orientation ('portrait' or 'landscape'); both can be
+    // changed per report on the review step
+    pageSize: 'letter',
+    orientation: 'portrait',
+
+    // Insert a clickable table of contents after the first page
+    // (can be changed per report on the review step)
+    tableOfContents: true,
+
+    // Default layout theme: 'classic', 'compact' or 'photoForward' (font sizes,
+    // spacing, section order, page breaks and photo grid; see config/themes.js).
+    // Can be changed per report on the review step
+    theme: 'classic',
+
+    // Student distribution chart: 'donut', 'pie' or 'bars' (see CHART_TYPES in
+    // lib/charts.js); chart colors are derived from `colors` below.
+    // Can be changed per report on the review step
+    chart: 'donut',
+
+    // Produce tagged PDF/A-2b files for long-term archiving and screen readers.
+    // Archival files cannot carry the embedded report data, so they cannot be
+    // reopened for editing (can be changed per report on the review step)
+    archival: false,
+
+    // Largest PDF, in bytes, e.g. 10 * 1024 * 1024 for submission portals that
+    // reject bigger attachments; photos are re-encoded at a lower quality or
+    // resolution until the PDF fits. null for no limit (can be changed per
+    // report on the review step, see TARGET_SIZES in lib/pdf.js)
+    targetSize: null,
+
+    // Document language, declared in tagged PDFs
+    language: 'en-US',
+
+    // sRGB color profile embedded as the PDF/A output intent
+    iccProfilePath: './assets/color/sRGB2014.icc',
+
     // Colors (RGB 0-1 scale for pdf-lib)
     colors: {
       primary: { r: 0.15, g: 0.30, b: 0.55 },      // Navy blue
@@ -42,22 +79,34 @@ export const ORG_CONFIG = {
       text: { r: 0.10, g: 0.10, b: 0.10 }          // Near black for body text
     },
 
+    // Font files (TrueType/OpenType, relative to project root), per weight:
+    // a primary font, then fallbacks for characters it lacks. Fallbacks are
+    // only embedded when a report needs them, and all fonts are subset.
+    // Characters none of them has are drawn as the replacement character (U+FFFD).
+    //
+    // NotoSansSC-Subset-Regular.ttf covers the common CJK characters only:
+    // GB 2312 (simplified Chinese), Big5 level 1 (traditional Chinese),
+    // JIS X 0208 level 1 kanji, kana, CJK punctuation and fullwidth forms.
+    // For every CJK character, use the full Noto Sans SC Regular (10.5 MB).
+    fontFiles: {
+      regular: [
+        './assets/fonts/OpenSans-Regular.ttf',
+        './assets/fonts/NotoSansArabic-Regular.ttf',
+        './assets/fonts/NotoSansSC-Subset-Regular.ttf'   // Common CJK characters (see above)
+      ],
+      bold: [
+        './assets/fonts/OpenSans-Bold.ttf',
+        './assets/fonts/NotoSansArabic-Bold.ttf',
+        './assets/fonts/NotoSansSC-Subset-Regular.ttf'   // No bold CJK bundled: CJK text is never bold
+      ]
+    },
+
     // Margins in points (72 points = 1 inch)
     margins: {
       top: 50,
       bottom: 50,
       left: 50,
       right: 50
-    },
-
-    // Font sizes in points
-    fonts: {
-      title: 20,
-      heading: 14,
-      subheading: 12,
-      body: 10,
-      caption: 9,
-      small: 8
     }
   }
 };
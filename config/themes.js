@@ -0,0 +1,101 @@
+/**
+ * PDF Layout Themes
+ *
+ * A theme decides how the report is laid out: font sizes, spacing, the order
+ * of sections, where pages break and how photos are arranged. Colors, font
+ * files, margins and the letterhead are the organization's and stay in
+ * config/org.js. The default theme is `pdf.theme` in config/org.js; it can be
+ * changed per report on the review step.
+ *
+ * Theme properties:
+ *   label, description  Shown on the review step
+ *   fonts               Font sizes in points (title, heading, subheading, body,
+ *                       caption, small)
+ *   lineHeight          Line height of wrapped text, as a multiple of the font size
+ *   spacing             Vertical space in points:
+ *                         heading / subheading   { above, below } a level 1 / 2 heading
+ *                         fieldLine              Line height of "Label: value" fields
+ *                                                (multiple of the body size)
+ *                         block                  Space before a long text block
+ *                         paragraph              Space between the paragraphs and
+ *                                                lists of a long text block
+ *                         section                Space after a group of fields
+ *   sections            Order of the sections after the title: 'headerPhoto',
+ *                       'generalInformation', 'distribution', 'activities',
+ *                       'attestation' (the signed statement, on its own page)
+ *   activitySections    Order within an activity: 'fields', 'photos'
+ *   pageBreaks          activity: 'page' starts every activity on a new page;
+ *                       'flow' continues on the current page when at least
+ *                       `minActivitySpace` points are left
+ *                       orphans / widows: fewest lines of a paragraph left at
+ *                       the bottom of a page / carried to the top of the next
+ *                       (headings and labels always stay with what follows;
+ *                       see lib/layout.js)
+ *   photos              columns          Grid columns by photo count: entry i is used
+ *                                        for i + 1 photos, the last for any more
+ *                       landscapeColumns Extra columns on landscape pages
+ *                       gap              Space between photos in points
+ *                       headerPhotoHeight  Maximum header photo height, as a
+ *                                          fraction of the page's content height
+ */
+
+export const PDF_THEMES = {
+  classic: {
+    label: 'Classic',
+    description: 'Each activity on its own page, text before photos',
+    fonts: { title: 20, heading: 14, subheading: 12, body: 10, caption: 9, small: 8 },
+    lineHeight: 1.3,
+    spacing: {
+      heading: { above: 20, below: 10 },
+      subheading: { above: 15, below: 8 },
+      fieldLine: 1.4,
+      block: 10,
+      paragraph: 6,
+      section: 15
+    },
+    sections: ['headerPhoto', 'generalInformation', 'distribution', 'activities', 'attestation'],
+    activitySections: ['fields', 'photos'],
+    pageBreaks: { activity: 'page', orphans: 2, widows: 2 },
+    photos: { columns: [1, 1, 2], landscapeColumns: 1, gap: 10, headerPhotoHeight: 0.4 }
+  },
+
+  compact: {
+    label: 'Compact',
+    description: 'Smaller type and activities run on from page to page, for the fewest pages',
+    fonts: { title: 16, heading: 12, subheading: 10.5, body: 9, caption: 8, small: 7 },
+    lineHeight: 1.2,
+    spacing: {
+      heading: { above: 12, below: 6 },
+      subheading: { above: 10, below: 5 },
+      fieldLine: 1.3,
+      block: 6,
+      paragraph: 4,
+      section: 8
+    },
+    sections: ['generalInformation', 'distribution', 'headerPhoto', 'activities', 'attestation'],
+    activitySections: ['fields', 'photos'],
+    pageBreaks: { activity: 'flow', minActivitySpace: 150, orphans: 2, widows: 2 },
+    photos: { columns: [2, 2, 3], landscapeColumns: 1, gap: 6, headerPhotoHeight: 0.25 }
+  },
+
+  photoForward: {
+    label: 'Photo-forward',
+    description: 'Large photos ahead of each activity\'s text',
+    fonts: { title: 20, heading: 14, subheading: 12, body: 10, caption: 9, small: 8 },
+    lineHeight: 1.3,
+    spacing: {
+      heading: { above: 20, below: 10 },
+      subheading: { above: 15, below: 8 },
+      fieldLine: 1.4,
+      block: 10,
+      paragraph: 6,
+      section: 15
+    },
+    sections: ['headerPhoto', 'generalInformation', 'distribution', 'activities', 'attestation'],
+    activitySections: ['photos', 'fields'],
+    pageBreaks: { activity: 'page', orphans: 2, widows: 2 },
+    photos: { columns: [1, 1, 1, 2], landscapeColumns: 1, gap: 12, headerPhotoHeight: 0.5 }
+  }
+};
+
+export default PDF_THEMES;
@@ -0,0 +1,270 @@
+/**
+ * Portable Report Bundle
+ *
+ * Packs a report into a single .zip file so a draft can move between
+ * computers or be sent to a coordinator. The archive holds:
+ *
+ *   report.json                  versioned copy of the report (signatures inline)
+ *   images/header.jpg            header photo
+ *   images/activity-1-photo-1.jpg  processed activity photos
+ *
+ * A bundle embedded in a generated PDF leaves out the photos drawn on the
+ * PDF's pages and lists where they are instead (external-images.json), so
+ * they are not stored twice; includeExternalImages puts them back.
+ */
+
+import { createZip, readZip } from './zip.js';
+import { REPORT_SCHEMA_VERSION, upgradeReport, cloneAttestation } from './schema.js';
+
+// Identifies our bundles and the version of the archive layout.
+// The report inside carries its own schemaVersion (see schema.js).
+export const BUNDLE_FORMAT = 'cultural-activity-report';
+export const BUNDLE_VERSION = 1;
+
+const REPORT_ENTRY = 'report.json';
+
+// Archive paths of images kept outside the archive, and where they are
+const EXTERNAL_IMAGES_ENTRY = 'external-images.json';
+
+/**
+ * Describe a photo in report.json and queue its bytes for the archive.
+ * The entry keeps the photo's size and text fields (description, caption, ...).
+ * @param {object|null} photo - { blob, width, height, previewUrl, bytes, ...text fields }
+ * @param {string} path - Archive path for the image
+ * @param {Array} files - Archive entries being collected ({ name, data, blob })
+ * @returns {Promise<object|null>}
+ */
+async function packPhoto(photo, path, files) {
+  if (!photo || !photo.blob) return null;
+
+  files.push({ name: path, data: new Uint8Array(await photo.blob.arrayBuffer()), blob: photo.blob });
+
+  const { blob, previewUrl, bytes, original, ...fields } = photo;
+  return { file: path, ...fields };
+}
+
+/**
+ * Rebuild a photo from its report.json entry and the archive contents
+ * @param {object|null} entry - { file, width, height, ...text fields }
+ * @param {Map<string, Uint8Array>} archive
+ * @returns {object|null}
+ */
+function unpackPhoto(entry, archive) {
+  if (!entry || !entry.file) return null;
+
+  const data = archive.get(entry.file);
+  if (!data) {
+    throw new Error(`Bundle is missing image ${entry.file}`);
+  }
+
+  const { file, ...fields } = entry;
+  const blob = new Blob([data], { type: 'image/jpeg' });
+  return {
+    ...fields,
+    blob,
+    previewUrl: URL.createObjectURL(blob),
+    bytes: blob.size
+  };
+}
+
+/**
+ * Convert a report to its report.json form, collecting the image files it refers to
+ * @param {object} report - Application report state
+ * @returns {Promise<{report: object, files: Array<{name: string, data: Uint8Array, blob: Blob}>}>}
+ *   - The packed report, and each image's archive path, bytes and photo blob
+ */
+export async function packReport(report) {
+  const files = [];
+
+  const headerPhoto = await packPhoto(report.headerPhoto, 'images/header.jpg', files);
+
+  const activities = [];
+  for (let i = 0; i < report.activities.length; i++) {
+    const { photos, ...fields } = report.activities[i];
+    const packedPhotos = [];
+    for (let j = 0; j < photos.length; j++) {
+      const packed = await packPhoto(photos[j], `images/activity-${i + 1}-photo-${j + 1}.jpg`, files);
+      if (packed) packedPhotos.push(packed);
+    }
+    activities.push({ ...fields, photos: packedPhotos });
+  }
+
+  return {
+    report: {
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      schoolYear: report.schoolYear,
+      instructorName: report.instructorName,
+      schoolType: report.schoolType,
+      headerPhoto,
+      distribution: {
+        categories: report.distribution.categories.map(cat => ({ ...cat }))
+      },
+      activities,
+      attestation: cloneAttestation(report.attestation)
+    },
+    files
+  };
+}
+
+/**
+ * Create a bundle archive from a report
+ * @param {object} report - Application report state
+ * @param {object} options
+ * @param {Map<Blob, string>} options.externalImages - Photos stored elsewhere
+ *   (drawn on a PDF's pages), by blob: the archive records the reference
+ *   instead of the image
+ * @returns {Promise<Blob>} - The .zip file
+ */
+export async function exportReportBundle(report, { externalImages = new Map() } = {}) {
+  const { report: packed, files: images } = await packReport(report);
+
+  const external = {};
+  const files = images.filter(file => {
+    const reference = externalImages.get(file.blob);
+    if (reference) external[file.name] = reference;
+    return !reference;
+  });
+  if (Object.keys(external).length > 0) {
+    files.push({ name: EXTERNAL_IMAGES_ENTRY, data: JSON.stringify(external) });
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    report: packed
+  };
+
+  // report.json first so the archive is easy to inspect
+  files.unshift({ name: REPORT_ENTRY, data: JSON.stringify(manifest, null, 2) });
+
+  return new Blob([createZip(files)], { type: 'application/zip' });
+}
+
+/**
+ * Open a bundle archive without converting its report
+ * @param {Blob|ArrayBuffer|Uint8Array} input - The .zip file
+ * @returns {Promise<{manifest: object, archive: Map<string, Uint8Array>}>} - The parsed
+ *   report.json and every archive entry by path
+ */
+export async function readBundle(input) {
+  const bytes = input instanceof Blob ? await input.arrayBuffer() : input;
+  const archive = await readZip(bytes);
+
+  const manifestBytes = archive.get(REPORT_ENTRY);
+  if (!manifestBytes) {
+    throw new Error('This file is not a report bundle (report.json is missing)');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+  } catch {
+    throw new Error('The report data in this bundle is not valid JSON');
+  }
+
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new Error('This file is not a report bundle');
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new Error('This bundle was created by a newer version of the app');
+  }
+
+  return { manifest, archive };
+}
+
+/**
+ * Put the images a bundle keeps outside its archive back into it
+ * @param {Uint8Array} input - The .zip file
+ * @param {function} readImage - Returns an image's bytes from its reference,
+ *   or null if it cannot be read (the bundle is then missing that image)
+ * @returns {Promise<Uint8Array>} - A self-contained .zip file
+ */
+export async function includeExternalImages(input, readImage) {
+  const archive = await readZip(input);
+  const index = archive.get(EXTERNAL_IMAGES_ENTRY);
+  if (!index) return input;
+
+  let external;
+  try {
+    external = JSON.parse(new TextDecoder().decode(index));
+  } catch {
+    throw new Error('The image list in this bundle is not valid JSON');
+  }
+
+  archive.delete(EXTERNAL_IMAGES_ENTRY);
+  for (const [name, reference] of Object.entries(external)) {
+    const data = readImage(String(reference));
+    if (data) archive.set(name, data);
+  }
+  return createZip(Array.from(archive, ([name, data]) => ({ name, data })));
+}
+
+/**
+ * Read a bundle archive back into a report
+ * @param {Blob|ArrayBuffer|Uint8Array} input - The .zip file
+ * @returns {Promise<object>} - Report state with photo blobs and preview URLs
+ */
+export async function importReportBundle(input) {
+  const { manifest, archive } = await readBundle(input);
+
+  const saved = upgradeReport(manifest.report);
+  return {
+    ...saved,
+    headerPhoto: unpackPhoto(saved.headerPhoto, archive),
+    distribution: {
+      categories: (saved.distribution?.categories || []).map(cat => ({ ...cat }))
+    },
+    activities: (saved.activities || []).map(activity => ({
+      ...activity,
+      photos: (activity.photos || []).map(entry => unpackPhoto(entry, archive)).filter(Boolean)
+    })),
+    attestation: cloneAttestation(saved.attestation)
+  };
+}
+
+/**
+ * Generate a sanitized filename for a bundle
+ * @param {string} schoolYear - School year
+ * @param {string} instructorName - Full instructor name
+ * @returns {string}
+ */
+export function generateBundleFilename(schoolYear, instructorName) {
+  const nameParts = (instructorName || '').trim().split(/\s+/);
+  const lastName = nameParts[nameParts.length - 1] || 'Unknown';
+
+  const sanitize = (str) => str.replace(/[^a-zA-Z0-9-_]/g, '_').replace(/_+/g, '_');
+
+  return `Cultural_Activities_Draft_${sanitize(schoolYear || 'Draft')}_${sanitize(lastName)}.zip`;
+}
+
+/**
+ * Trigger browser download of a bundle
+ * @param {Blob} blob - Bundle archive
+ * @param {string} filename - Filename for download
+ */
+export function downloadBundle(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Clean up after a delay
+  setTimeout(() => URL.revokeObjectURL(url), 5000);
+}
+
+export default {
+  packReport,
+  exportReportBundle,
+  readBundle,
+  includeExternalImages,
+  importReportBundle,
+  generateBundleFilename,
+  downloadBundle,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION
+};
@@ -0,0 +1,207 @@
+/**
+ * Distribution Charts
+ *
+ * Geometry for the student distribution charts, shared by the PDF and the
+ * review step. Shapes are SVG path data: the review step puts them in an
+ * <svg>, and PDFGenerator draws the same paths with pdf-lib's drawSvgPath,
+ * so both show the same chart. Colors come from `pdf.colors` in config/org.js.
+ */
+
+import { ORG_CONFIG } from '../config/org.js';
+import { escapeHtml } from './escape.js';
+
+// Chart types offered on the review step
+export const CHART_TYPES = {
+  donut: 'Donut chart',
+  pie: 'Pie chart',
+  bars: 'Bar chart'
+};
+
+// Inner radius of a donut, as a fraction of the outer radius
+const DONUT_HOLE = 0.55;
+
+// Lighter variants used once the base colors run out (fraction mixed with white)
+const TINTS = [0, 0.35, 0.6];
+
+/**
+ * Chart colors: the organization's primary, accent and secondary colors,
+ * then progressively lighter tints of them
+ * @param {number} count - Number of colors needed
+ * @param {object} colors - RGB (0-1) colors, as in ORG_CONFIG.pdf.colors
+ * @returns {Array<{r: number, g: number, b: number}>}
+ */
+export function chartPalette(count, colors = ORG_CONFIG.pdf.colors) {
+  const base = [colors.primary, colors.accent, colors.secondary];
+  const palette = [];
+
+  for (let i = 0; i < count; i++) {
+    const color = base[i % base.length];
+    const tint = TINTS[Math.floor(i / base.length) % TINTS.length];
+    palette.push({
+      r: color.r + (1 - color.r) * tint,
+      g: color.g + (1 - color.g) * tint,
+      b: color.b + (1 - color.b) * tint
+    });
+  }
+
+  return palette;
+}
+
+/**
+ * The categories a chart shows (those above 0%), each with its color
+ * @param {Array<{label: string, percent: number}>} categories
+ * @returns {Array<{label: string, percent: number, color: object}>}
+ */
+export function chartSegments(categories) {
+  const active = categories.filter(cat => cat.percent > 0);
+  const palette = chartPalette(active.length);
+  return active.map((cat, i) => ({ label: cat.label, percent: cat.percent, color: palette[i] }));
+}
+
+/**
+ * Describe the chart in words (alternate text for tagged PDFs, SVG title)
+ * @param {Array<{label: string, percent: number}>} segments
+ * @returns {string}
+ */
+export function describeChart(segments) {
+  return `Student distribution: ${segments.map(s => `${s.label} ${s.percent}%`).join(', ')}`;
+}
+
+// ========================================
+// Geometry
+// ========================================
+
+const format = (n) => Number(n.toFixed(2));
+
+/**
+ * Point on a circle, clockwise from 12 o'clock, in SVG coordinates (y down)
+ * @param {number} center - x and y of the center
+ * @param {number} radius
+ * @param {number} angle - Radians
+ * @returns {string} - "x y"
+ */
+function pointAt(center, radius, angle) {
+  return `${format(center + radius * Math.sin(angle))} ${format(center - radius * Math.cos(angle))}`;
+}
+
+/**
+ * Pie or donut slices as SVG path data, in a size × size box.
+ * Slices start at 12 o'clock and run clockwise; percentages are scaled
+ * to their total, so they always fill the circle.
+ *
+ * @param {Array<{percent: number}>} segments
+ * @param {number} size - Diameter
+ * @param {boolean} donut - Leave a hole in the middle
+ * @returns {Array<object>} - The segments, each with `d`
+ */
+export function pieSlices(segments, size, donut = false) {
+  const total = segments.reduce((sum, s) => sum + s.percent, 0);
+  const c = size / 2;
+  const r = size / 2;
+  const inner = donut ? r * DONUT_HOLE : 0;
+  let angle = 0;
+
+  return segments.map(segment => {
+    const sweep = (segment.percent / total) * 2 * Math.PI;
+    const start = angle;
+    const end = angle + sweep;
+    angle = end;
+
+    // A whole circle cannot be one arc: draw two halves
+    if (sweep >= 2 * Math.PI - 1e-6) {
+      const outer = `M ${c - r} ${c} A ${r} ${r} 0 1 1 ${c + r} ${c} A ${r} ${r} 0 1 1 ${c - r} ${c} Z`;
+      const hole = inner
+        ? ` M ${c - inner} ${c} A ${inner} ${inner} 0 1 0 ${c + inner} ${c} A ${inner} ${inner} 0 1 0 ${c - inner} ${c} Z`
+        : '';
+      return { ...segment, d: outer + hole };
+    }
+
+    const large = sweep > Math.PI ? 1 : 0;
+    const d = inner
+      ? `M ${pointAt(c, r, start)} A ${r} ${r} 0 ${large} 1 ${pointAt(c, r, end)} ` +
+        `L ${pointAt(c, inner, end)} A ${format(inner)} ${format(inner)} 0 ${large} 0 ${pointAt(c, inner, start)} Z`
+      : `M ${c} ${c} L ${pointAt(c, r, start)} A ${r} ${r} 0 ${large} 1 ${pointAt(c, r, end)} Z`;
+
+    return { ...segment, d };
+  });
+}
+
+/**
+ * Horizontal bar chart rows as SVG path data. Row i's bar starts at (0, i * rowHeight);
+ * bar length is proportional to the percentage (100% fills `width`).
+ *
+ * @param {Array<{percent: number}>} segments
+ * @param {object} layout
+ * @param {number} layout.width - Length of a 100% bar
+ * @param {number} layout.rowHeight - Distance between rows
+ * @param {number} layout.barHeight - Thickness of a bar
+ * @returns {Array<object>} - The segments, each with `d` and `y` (top of its row)
+ */
+export function barRows(segments, { width, rowHeight, barHeight }) {
+  return segments.map((segment, i) => {
+    const y = i * rowHeight;
+    const top = format(y + (rowHeight - barHeight) / 2);
+    const length = format(Math.max(1, (Math.min(segment.percent, 100) / 100) * width));
+    return { ...segment, y, d: `M 0 ${top} H ${length} V ${format(top + barHeight)} H 0 Z` };
+  });
+}
+
+// ========================================
+// SVG (review step)
+// ========================================
+
+const cssColor = ({ r, g, b }) => `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+
+/**
+ * Render a distribution chart as SVG markup
+ * @param {Array<{label: string, percent: number}>} categories
+ * @param {string} type - Key of CHART_TYPES
+ * @returns {string} - Empty if no category is above 0%
+ */
+export function renderChartSvg(categories, type) {
+  const segments = chartSegments(categories);
+  if (segments.length === 0) return '';
+
+  const fontSize = 12;
+  const rowHeight = 22;
+  const text = (x, y, content, anchor = 'start') =>
+    `<text x="${x}" y="${y}" font-size="${fontSize}" text-anchor="${anchor}" dominant-baseline="middle">${escapeHtml(content)}</text>`;
+
+  let width;
+  let height;
+  let body;
+
+  if (type === 'bars') {
+    // Labels are measured roughly; the SVG scales to fit its container
+    const labelWidth = Math.min(180, Math.max(...segments.map(s => s.label.length)) * fontSize * 0.6 + 10);
+    const barWidth = 300;
+    width = labelWidth + barWidth + 50;
+    height = segments.length * rowHeight;
+    body = barRows(segments, { width: barWidth, rowHeight, barHeight: 12 }).map(row => `
+      ${text(labelWidth - 8, row.y + rowHeight / 2, row.label, 'end')}
+      <path d="${row.d}" transform="translate(${labelWidth} 0)" fill="${cssColor(row.color)}"/>
+      ${text(labelWidth + barWidth + 6, row.y + rowHeight / 2, `${row.percent}%`)}`).join('');
+  } else {
+    const size = 160;
+    const legendX = size + 30;
+    width = legendX + 220;
+    height = Math.max(size, segments.length * rowHeight);
+    body = pieSlices(segments, size, type === 'donut').map((slice, i) => `
+      <path d="${slice.d}" fill="${cssColor(slice.color)}" stroke="#fff" stroke-width="1"/>
+      <rect x="${legendX}" y="${i * rowHeight + 5}" width="12" height="12" fill="${cssColor(slice.color)}"/>
+      ${text(legendX + 20, i * rowHeight + 11, `${slice.label}: ${slice.percent}%`)}`).join('');
+  }
+
+  return `<svg class="distribution-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(describeChart(segments))}">${body}
+    </svg>`;
+}
+
+export default {
+  CHART_TYPES,
+  chartPalette,
+  chartSegments,
+  describeChart,
+  pieSlices,
+  barRows,
+  renderChartSvg
+};
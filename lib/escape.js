@@ -0,0 +1,28 @@
+/**
+ * Markup Escaping
+ *
+ * The one escaper for report text placed in HTML, SVG or XML. Report text
+ * comes from imported bundles and PDFs as well as the form, so it is escaped
+ * for element content and for attribute values in either kind of quotes.
+ */
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for HTML or XML element content and attribute values
+ * @param {*} text - Converted to a string; null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+
+export default {
+  escapeHtml
+};
@@ -0,0 +1,118 @@
+/**
+ * Report Fingerprint
+ *
+ * A SHA-256 checksum of a report's content, printed in the PDF footer and
+ * stored in the PDF's metadata so coordinators can tell whether the report
+ * data was changed after generation (see lib/verify.js).
+ *
+ * The checksum is unkeyed: it catches damage and edits that leave it in
+ * place, but anyone can recompute it for edited data, so it proves neither
+ * who generated a PDF nor that it was not altered on purpose.
+ *
+ * The fingerprint covers the report as it is written to report.json in a
+ * bundle (see packReport in lib/bundle.js), with every image path replaced by
+ * the SHA-256 of the image itself and object keys sorted. A PDF's embedded
+ * report data therefore reproduces the fingerprint exactly, without being
+ * migrated to a newer schema first.
+ */
+
+import { packReport, readBundle } from './bundle.js';
+
+// Prefix of the stored value, naming the hash algorithm
+export const FINGERPRINT_PREFIX = 'sha256:';
+
+// Hex digits of the short form printed in the PDF footer
+const SHORT_FINGERPRINT_LENGTH = 16;
+
+/**
+ * SHA-256 of some bytes, as lowercase hex
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Canonical form of packed report data: keys sorted, image paths replaced by image hashes
+ * @param {*} value - Part of a packed report
+ * @param {Map<string, Uint8Array>} files - Image bytes by archive path
+ * @returns {Promise<*>}
+ */
+async function canonicalize(value, files) {
+  if (Array.isArray(value)) {
+    const items = [];
+    for (const item of value) {
+      items.push(await canonicalize(item, files));
+    }
+    return items;
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const key of Object.keys(value).sort()) {
+    if (key === 'file') {
+      const data = files.get(value.file);
+      if (!data) {
+        throw new Error(`Report data is missing image ${value.file}`);
+      }
+      result.image = await sha256Hex(data);
+    } else {
+      result[key] = await canonicalize(value[key], files);
+    }
+  }
+  return result;
+}
+
+/**
+ * Fingerprint packed report data
+ * @param {object} packed - Report as in a bundle's report.json
+ * @param {Map<string, Uint8Array>} files - Image bytes by archive path
+ * @returns {Promise<string>} - "sha256:" and 64 hex digits
+ */
+export async function fingerprintPackedReport(packed, files) {
+  const canonical = JSON.stringify(await canonicalize(packed, files));
+  return FINGERPRINT_PREFIX + await sha256Hex(new TextEncoder().encode(canonical));
+}
+
+/**
+ * Fingerprint a report's data and photos
+ * @param {object} report - Application report state
+ * @returns {Promise<string>} - "sha256:" and 64 hex digits
+ */
+export async function fingerprintReport(report) {
+  const { report: packed, files } = await packReport(report);
+  return fingerprintPackedReport(packed, new Map(files.map(file => [file.name, file.data])));
+}
+
+/**
+ * Fingerprint the report in a bundle archive, as it was packed
+ * @param {Blob|ArrayBuffer|Uint8Array} input - The .zip file
+ * @returns {Promise<string>} - "sha256:" and 64 hex digits
+ */
+export async function fingerprintBundle(input) {
+  const { manifest, archive } = await readBundle(input);
+  return fingerprintPackedReport(manifest.report, archive);
+}
+
+/**
+ * Short, readable form of a fingerprint for the PDF footer, e.g. "3F2A-9C1B-77DE-0412"
+ * @param {string} fingerprint - Full fingerprint
+ * @returns {string}
+ */
+export function formatShortFingerprint(fingerprint) {
+  const hex = fingerprint.slice(FINGERPRINT_PREFIX.length, FINGERPRINT_PREFIX.length + SHORT_FINGERPRINT_LENGTH);
+  return hex.toUpperCase().match(/.{4}/g).join('-');
+}
+
+export default {
+  FINGERPRINT_PREFIX,
+  fingerprintReport,
+  fingerprintPackedReport,
+  fingerprintBundle,
+  formatShortFingerprint
+};
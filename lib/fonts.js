@@ -0,0 +1,193 @@
+/**
+ * PDF Font Utilities
+ *
+ * Embeds the bundled Unicode fonts (see `pdf.fontFiles` in config/org.js)
+ * so names, partner schools and descriptions in any script render in the PDF.
+ * Each weight is a chain: a primary font followed by fallbacks (Arabic, CJK)
+ * that are only fetched and embedded when the report uses characters the
+ * fonts before them lack. Every font is subset to the glyphs actually drawn.
+ */
+
+import { StandardFontEmbedder } from 'https://cdn.jsdelivr.net/npm/pdf-lib@1.17.1/+esm';
+import fontkit from 'https://cdn.jsdelivr.net/npm/@pdf-lib/fontkit@1.1.1/+esm';
+
+// Drawn for characters no font in a chain has (e.g. CJK outside the subset)
+const REPLACEMENT_CHARACTER = '\uFFFD';
+
+/**
+ * An ordered list of embedded fonts that behaves like a single pdf-lib font.
+ * Text is split into runs, each drawn with the first font that has glyphs for it.
+ */
+export class FontChain {
+  /**
+   * @param {Array<PDFFont>} fonts - Primary font first
+   */
+  constructor(fonts) {
+    this.fonts = fonts;
+    this.coverage = fonts.map(font => new Set(font.getCharacterSet()));
+  }
+
+  /**
+   * Index of the first font that can draw a character, or -1 if none can
+   * @param {number} codePoint
+   * @returns {number}
+   */
+  fontIndexFor(codePoint) {
+    return this.coverage.findIndex(set => set.has(codePoint));
+  }
+
+  /**
+   * Split text into runs that share a font. Whitespace stays in the current
+   * run, so a phrase in one script (e.g. an Arabic school name) is laid out
+   * as a whole.
+   * @param {string} text
+   * @returns {Array<{text: string, font: PDFFont}>}
+   */
+  runs(text) {
+    const runs = [];
+    let current = null;
+
+    for (const char of text) {
+      const codePoint = char.codePointAt(0);
+      let index = current && /\s/.test(char) && this.coverage[current.index].has(codePoint)
+        ? current.index
+        : this.fontIndexFor(codePoint);
+      let drawn = char;
+
+      // Nothing covers it: draw a visible replacement character instead of
+      // the primary font's missing glyph (blank in Open Sans, and forbidden by
+      // PDF/A). Standard (WinAnsi) fonts have no replacement character and draw '?'.
+      if (index === -1) {
+        drawn = this.fontIndexFor(REPLACEMENT_CHARACTER.codePointAt(0)) > -1 ? REPLACEMENT_CHARACTER : '?';
+        index = Math.max(0, this.fontIndexFor(drawn.codePointAt(0)));
+      }
+
+      if (current && current.index === index) {
+        current.text += drawn;
+      } else {
+        current = { index, text: drawn };
+        runs.push(current);
+      }
+    }
+
+    return runs.map(run => ({ text: run.text, font: this.fonts[run.index] }));
+  }
+
+  /**
+   * True if any font in the chain is a standard PDF font, which is not embedded
+   * @returns {boolean}
+   */
+  usesStandardFont() {
+    return this.fonts.some(font => font.embedder instanceof StandardFontEmbedder);
+  }
+
+  /**
+   * @param {string} text
+   * @param {number} size - Font size
+   * @returns {number} - Width in points
+   */
+  widthOfTextAtSize(text, size) {
+    return this.runs(text).reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0);
+  }
+
+  /**
+   * @param {number} size - Font size
+   * @returns {number} - Line height of the primary font
+   */
+  heightAtSize(size) {
+    return this.fonts[0].heightAtSize(size);
+  }
+
+  /**
+   * Draw text on a page, switching fonts between runs
+   * @param {PDFPage} page
+   * @param {string} text
+   * @param {object} options - pdf-lib drawText options (x, y, size, color, ...)
+   */
+  drawText(page, text, options) {
+    let x = options.x;
+    for (const run of this.runs(text)) {
+      page.drawText(run.text, { ...options, x, font: run.font });
+      x += run.font.widthOfTextAtSize(run.text, options.size);
+    }
+  }
+}
+
+/**
+ * Fetch a bundled font file
+ * @param {string} path
+ * @returns {Promise<Uint8Array|null>} - null if unavailable
+ */
+async function fetchFontBytes(path) {
+  try {
+    const response = await fetch(path);
+    if (response.ok) {
+      return new Uint8Array(await response.arrayBuffer());
+    }
+  } catch (e) {
+    console.warn(`Could not load font ${path}:`, e);
+  }
+  return null;
+}
+
+/**
+ * Fetch and parse a font file once per cache
+ * @param {string} path
+ * @param {Map} cache
+ * @returns {Promise<{bytes: Uint8Array, characterSet: Set<number>, pdfFont: PDFFont|null}|null>}
+ */
+function loadFontFile(path, cache) {
+  if (!cache.has(path)) {
+    cache.set(path, fetchFontBytes(path).then(bytes => bytes && {
+      bytes,
+      characterSet: new Set(fontkit.create(bytes).characterSet),
+      pdfFont: null
+    }));
+  }
+  return cache.get(path);
+}
+
+/**
+ * Embed a chain of fonts, skipping fallbacks the text does not need.
+ * Falls back to a standard PDF font if none of the files can be loaded.
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {Array<string>} paths - Font files, primary first
+ * @param {string} text - All text that will be drawn with this chain
+ * @param {string} standardFont - StandardFonts name used if no file loads
+ * @param {Map} cache - Loaded fonts by path, shared between the chains of one
+ *   document so a file used by several weights is embedded once
+ * @returns {Promise<FontChain>}
+ */
+export async function embedFontChain(pdfDoc, paths, text, standardFont, cache = new Map()) {
+  pdfDoc.registerFontkit(fontkit);
+
+  const needed = new Set([...text].filter(char => !/\s/.test(char)).map(char => char.codePointAt(0)));
+  const covered = new Set();
+  const fonts = [];
+
+  for (const [i, path] of paths.entries()) {
+    const missing = [...needed].filter(codePoint => !covered.has(codePoint));
+    if (i > 0 && missing.length === 0) break;
+
+    const file = await loadFontFile(path, cache);
+    if (!file) continue;
+    if (i > 0 && !missing.some(codePoint => file.characterSet.has(codePoint))) continue;
+
+    file.pdfFont = file.pdfFont || await pdfDoc.embedFont(file.bytes, { subset: true });
+    fonts.push(file.pdfFont);
+    file.characterSet.forEach(codePoint => covered.add(codePoint));
+  }
+
+  if (fonts.length === 0) {
+    console.warn('No bundled fonts could be loaded; non-Latin text will not render.');
+    fonts.push(await pdfDoc.embedFont(standardFont));
+  }
+
+  return new FontChain(fonts);
+}
+
+export default {
+  FontChain,
+  embedFontChain
+};
@@ -0,0 +1,183 @@
+/**
+ * Undo/Redo History
+ *
+ * Keeps snapshots of the report so any change made in the wizard can be
+ * undone and redone. Snapshots copy the report's plain data but share photo
+ * objects by reference: photos are never mutated, so a removed photo (and
+ * its preview URL) can be restored for as long as the history holds it.
+ */
+
+import { cloneAttestation } from './schema.js';
+
+// Maximum number of undo steps kept
+const DEFAULT_LIMIT = 100;
+
+// Consecutive edits with the same key within this window merge into one step
+const COALESCE_WINDOW_MS = 1000;
+
+// Stable ids for photo objects, used to compare snapshots
+const photoIds = new WeakMap();
+let nextPhotoId = 1;
+
+/**
+ * Copy a report's data, sharing photo objects
+ * @param {object} report - Application report state
+ * @returns {object}
+ */
+export function snapshotReport(report) {
+  return {
+    ...report,
+    distribution: {
+      ...report.distribution,
+      categories: report.distribution.categories.map(cat => ({ ...cat }))
+    },
+    activities: report.activities.map(activity => ({
+      ...activity,
+      photos: [...activity.photos]
+    })),
+    attestation: cloneAttestation(report.attestation)
+  };
+}
+
+/**
+ * Serialize a snapshot for comparison, identifying photos by object identity
+ * @param {object} snapshot
+ * @returns {string}
+ */
+function describeSnapshot(snapshot) {
+  return JSON.stringify(snapshot, (key, value) => {
+    if (value && typeof value === 'object' && 'blob' in value) {
+      if (!photoIds.has(value)) {
+        photoIds.set(value, nextPhotoId++);
+      }
+      return `photo:${photoIds.get(value)}`;
+    }
+    return value;
+  });
+}
+
+/**
+ * Collect the photo objects referenced by a snapshot
+ * @param {object} snapshot
+ * @returns {Array<object>}
+ */
+function photosOf(snapshot) {
+  const photos = snapshot.activities.flatMap(activity => activity.photos);
+  if (snapshot.headerPhoto) {
+    photos.push(snapshot.headerPhoto);
+  }
+  return photos;
+}
+
+/**
+ * Undo/redo stack of report snapshots
+ */
+export class ReportHistory {
+  constructor({ limit = DEFAULT_LIMIT } = {}) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.current = null;
+    this.currentSignature = '';
+    this.lastKey = null;
+    this.lastRecordedAt = 0;
+  }
+
+  /**
+   * Start a new history from the given report state
+   * @param {object} report - Application report state
+   */
+  reset(report) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.current = snapshotReport(report);
+    this.currentSignature = describeSnapshot(this.current);
+    this.lastKey = null;
+    this.lastRecordedAt = 0;
+  }
+
+  /**
+   * Record the report after a change
+   * @param {object} report - Application report state
+   * @param {*} coalesceKey - Rapid consecutive changes with the same key (e.g.
+   *   typing in one field) become a single undo step; null never merges
+   * @returns {boolean} - True if the report differed from the last snapshot
+   */
+  record(report, coalesceKey = null) {
+    const snapshot = snapshotReport(report);
+    const signature = describeSnapshot(snapshot);
+    if (signature === this.currentSignature) return false;
+
+    const now = Date.now();
+    const merge = coalesceKey !== null &&
+      coalesceKey === this.lastKey &&
+      now - this.lastRecordedAt < COALESCE_WINDOW_MS &&
+      this.undoStack.length > 0;
+
+    if (!merge) {
+      this.undoStack.push(this.current);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.current = snapshot;
+    this.currentSignature = signature;
+    this.redoStack = [];
+    this.lastKey = coalesceKey;
+    this.lastRecordedAt = now;
+    return true;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Step back one change
+   * @returns {object|null} - Report state to restore (a fresh copy), or null
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+
+    this.redoStack.push(this.current);
+    return this.moveTo(this.undoStack.pop());
+  }
+
+  /**
+   * Re-apply the last undone change
+   * @returns {object|null} - Report state to restore (a fresh copy), or null
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+
+    this.undoStack.push(this.current);
+    return this.moveTo(this.redoStack.pop());
+  }
+
+  moveTo(snapshot) {
+    this.current = snapshot;
+    this.currentSignature = describeSnapshot(snapshot);
+    this.lastKey = null;
+    return snapshotReport(snapshot);
+  }
+
+  /**
+   * Every photo object referenced anywhere in the history
+   * @returns {Set<object>}
+   */
+  allPhotos() {
+    const snapshots = [...this.undoStack, ...this.redoStack];
+    if (this.current) snapshots.push(this.current);
+    return new Set(snapshots.flatMap(photosOf));
+  }
+}
+
+export default {
+  ReportHistory,
+  snapshotReport
+};
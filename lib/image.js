@@ -2,7 +2,8 @@
  * Image Processing Utilities
  *
  * Handles image normalization to 16:9 landscape format (1600x900)
- * with center-crop and JPEG re-encoding.
+ * with center-crop and JPEG re-encoding, and re-encoding photos smaller
+ * to fit a PDF size limit.
  */
 
 // Target dimensions for processed images
@@ -15,90 +16,26 @@ export const IMAGE_CONFIG = {
 };
 
 /**
- * Process an image file to standardized 16:9 landscape format
+ * Load an image file or blob for drawing
  *
- * @param {File} file - The image file to process
- * @returns {Promise<{blob: Blob, width: number, height: number, previewUrl: string, bytes: number}>}
+ * @param {Blob} source - Image data
+ * @returns {Promise<HTMLImageElement|ImageBitmap>} - A bitmap in workers, which have no Image
  */
-export async function processImageToLandscape16x9(file) {
-  return new Promise((resolve, reject) => {
-    // Validate file is an image
-    if (!file.type.startsWith('image/')) {
-      reject(new Error('File must be an image'));
-      return;
-    }
+function loadImage(source) {
+  if (typeof Image === 'undefined') {
+    return createImageBitmap(source).catch(() => {
+      throw new Error('Failed to load image');
+    });
+  }
 
+  return new Promise((resolve, reject) => {
     const img = new Image();
-    const objectUrl = URL.createObjectURL(file);
+    const objectUrl = URL.createObjectURL(source);
 
     img.onload = () => {
-      try {
-        // Clean up the object URL after loading
-        URL.revokeObjectURL(objectUrl);
-
-        const { width: targetWidth, height: targetHeight, aspectRatio, quality, mimeType } = IMAGE_CONFIG;
-
-        // Calculate source crop dimensions for center-crop to 16:9
-        const srcAspect = img.width / img.height;
-        let srcX, srcY, srcWidth, srcHeight;
-
-        if (srcAspect > aspectRatio) {
-          // Source is wider than 16:9 - crop horizontally
-          srcHeight = img.height;
-          srcWidth = img.height * aspectRatio;
-          srcX = (img.width - srcWidth) / 2;
-          srcY = 0;
-        } else {
-          // Source is taller than 16:9 - crop vertically
-          srcWidth = img.width;
-          srcHeight = img.width / aspectRatio;
-          srcX = 0;
-          srcY = (img.height - srcHeight) / 2;
-        }
-
-        // Create canvas and draw cropped/scaled image
-        const canvas = document.createElement('canvas');
-        canvas.width = targetWidth;
-        canvas.height = targetHeight;
-
-        const ctx = canvas.getContext('2d');
-
-        // Use high-quality image rendering
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-
-        // Draw the center-cropped and scaled image
-        ctx.drawImage(
-          img,
-          srcX, srcY, srcWidth, srcHeight,  // Source crop rectangle
-          0, 0, targetWidth, targetHeight    // Destination (full canvas)
-        );
-
-        // Convert canvas to JPEG blob
-        canvas.toBlob(
-          (blob) => {
-            if (!blob) {
-              reject(new Error('Failed to create image blob'));
-              return;
-            }
-
-            // Create preview URL for the processed image
-            const previewUrl = URL.createObjectURL(blob);
-
-            resolve({
-              blob,
-              width: targetWidth,
-              height: targetHeight,
-              previewUrl,
-              bytes: blob.size
-            });
-          },
-          mimeType,
-          quality
-        );
-      } catch (error) {
-        reject(new Error(`Image processing failed: ${error.message}`));
-      }
+      // Clean up the object URL after loading
+      URL.revokeObjectURL(objectUrl);
+      resolve(img);
     };
 
     img.onerror = () => {
@@ -110,6 +47,139 @@ export async function processImageToLandscape16x9(file) {
   });
 }
 
+/**
+ * Encode a canvas as an image blob
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {string} mimeType
+ * @param {number} quality - JPEG quality (0-1)
+ * @returns {Promise<Blob|null>}
+ */
+function canvasToBlob(canvas, mimeType, quality) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: mimeType, quality }).catch(() => null);
+  }
+  return new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+}
+
+/**
+ * Center-crop an image to 16:9, scale it and encode it as JPEG
+ *
+ * @param {HTMLImageElement|ImageBitmap} img - Loaded source image
+ * @param {number} targetWidth - Output width in pixels
+ * @param {number} targetHeight - Output height in pixels
+ * @param {number} quality - JPEG quality (0-1)
+ * @returns {Promise<{blob: Blob, width: number, height: number, bytes: number}>}
+ */
+async function encodeLandscape16x9(img, targetWidth, targetHeight, quality) {
+  const { aspectRatio, mimeType } = IMAGE_CONFIG;
+
+  // Calculate source crop dimensions for center-crop to 16:9
+  const srcAspect = img.width / img.height;
+  let srcX, srcY, srcWidth, srcHeight;
+
+  if (srcAspect > aspectRatio) {
+    // Source is wider than 16:9 - crop horizontally
+    srcHeight = img.height;
+    srcWidth = img.height * aspectRatio;
+    srcX = (img.width - srcWidth) / 2;
+    srcY = 0;
+  } else {
+    // Source is taller than 16:9 - crop vertically
+    srcWidth = img.width;
+    srcHeight = img.width / aspectRatio;
+    srcX = 0;
+    srcY = (img.height - srcHeight) / 2;
+  }
+
+  // Create canvas and draw cropped/scaled image (workers have no document)
+  let canvas;
+  if (typeof document === 'undefined') {
+    canvas = new OffscreenCanvas(targetWidth, targetHeight);
+  } else {
+    canvas = document.createElement('canvas');
+    canvas.width = targetWidth;
+    canvas.height = targetHeight;
+  }
+
+  const ctx = canvas.getContext('2d');
+
+  // Use high-quality image rendering
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  // Draw the center-cropped and scaled image
+  ctx.drawImage(
+    img,
+    srcX, srcY, srcWidth, srcHeight,  // Source crop rectangle
+    0, 0, targetWidth, targetHeight    // Destination (full canvas)
+  );
+
+  // Convert canvas to JPEG blob
+  const blob = await canvasToBlob(canvas, mimeType, quality);
+  if (!blob) {
+    throw new Error('Failed to create image blob');
+  }
+  return { blob, width: targetWidth, height: targetHeight, bytes: blob.size };
+}
+
+/**
+ * Process an image file to standardized 16:9 landscape format
+ *
+ * The source file is kept as `original`, so the photo can later be
+ * re-encoded at a lower quality or size (see recompressImage).
+ *
+ * @param {File} file - The image file to process
+ * @returns {Promise<{blob: Blob, width: number, height: number, previewUrl: string, bytes: number, original: Blob}>}
+ */
+export async function processImageToLandscape16x9(file) {
+  // Validate file is an image
+  if (!file.type.startsWith('image/')) {
+    throw new Error('File must be an image');
+  }
+
+  const img = await loadImage(file);
+
+  let processed;
+  try {
+    processed = await encodeLandscape16x9(img, IMAGE_CONFIG.width, IMAGE_CONFIG.height, IMAGE_CONFIG.quality);
+  } catch (error) {
+    throw new Error(`Image processing failed: ${error.message}`);
+  }
+
+  // Create preview URL for the processed image
+  return {
+    ...processed,
+    previewUrl: URL.createObjectURL(processed.blob),
+    original: file
+  };
+}
+
+/**
+ * Re-encode a processed photo at a lower JPEG quality and/or resolution
+ *
+ * Encodes from the photo's original file when it has one, so quality is not
+ * lost twice; photos opened from a bundle or PDF only have their processed blob,
+ * which may itself have been reduced to fit an earlier PDF (its `reduction`).
+ *
+ * @param {object} photo - Processed photo ({ blob, original? })
+ * @param {object} options
+ * @param {number} options.scale - Fraction of the standard 1600x900 size
+ * @param {number} options.quality - JPEG quality (0-1)
+ * @returns {Promise<{blob: Blob, width: number, height: number, bytes: number}>}
+ */
+export async function recompressImage(photo, { scale, quality }) {
+  const img = await loadImage(photo.original || photo.blob);
+  const width = Math.round(IMAGE_CONFIG.width * scale);
+  const height = Math.round(width / IMAGE_CONFIG.aspectRatio);
+  try {
+    return await encodeLandscape16x9(img, width, height, quality);
+  } finally {
+    // Bitmaps hold decoded pixels until closed
+    if (img.close) img.close();
+  }
+}
+
 /**
  * Format file size in human-readable format
  *
@@ -160,6 +230,7 @@ export async function processMultipleImages(files, onProgress = () => {}) {
 
 export default {
   processImageToLandscape16x9,
+  recompressImage,
   processMultipleImages,
   formatFileSize,
   revokePreviewUrl,
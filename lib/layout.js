@@ -0,0 +1,276 @@
+/**
+ * Flow Layout
+ *
+ * Places the content of the report PDF down its pages and decides where the
+ * pages break. PDFGenerator measures every piece of content as a block before
+ * adding it, so a block's page is chosen knowing its height:
+ *
+ *   - A block that does not fit in the space left on a page moves to the
+ *     next page whole (keep-together), unless it is taller than a page
+ *   - A text block breaks between its lines instead, leaving at least
+ *     `orphans` lines at the bottom of a page and `widows` lines at the top
+ *     of the next; shorter text moves whole
+ *   - A block marked keepWithNext (a heading, a label) goes on the same page
+ *     as the start of the block after it
+ *   - Space above a block is dropped when a page break falls there
+ *
+ * Blocks are plain objects:
+ *   { height, draw(y) }                    Kept together; drawn with its top at y
+ *   { lines: [{ height, draw(y) }],        Text, broken between lines; begin()
+ *     begin(), end() }                     and end() run before its first line
+ *                                          and after its last (e.g. to tag it)
+ * and either kind may have:
+ *   spaceBefore    Space above the block in points
+ *   keepWithNext   Keep on the same page as the next block
+ *
+ * Blocks draw on the page the layout's addPage callback last added.
+ */
+
+export class FlowLayout {
+  /**
+   * @param {object} options
+   * @param {function} options.addPage - Adds a page to draw on; returns its
+   *   content area as { top, bottom } y coordinates
+   * @param {number} options.orphans - Fewest lines of text left at the bottom of a page
+   * @param {number} options.widows - Fewest lines of text carried to the top of a page
+   */
+  constructor({ addPage, orphans = 2, widows = 2 }) {
+    this.addPage = addPage;
+    this.orphans = Math.max(1, orphans);
+    this.widows = Math.max(1, widows);
+
+    // Position on the current page
+    this.y = 0;
+    this.top = 0;
+    this.bottom = 0;
+
+    // Nothing placed on the current page yet, and whether the layout broke
+    // the page (space above the first block is then dropped)
+    this.empty = true;
+    this.broken = false;
+
+    // Blocks waiting for the block they are kept with, and space for the next block
+    this.pending = [];
+    this.pendingSpace = 0;
+  }
+
+  /**
+   * Start a new page, after placing any blocks still waiting
+   */
+  newPage() {
+    this.flush();
+    this.startPage(false);
+  }
+
+  /**
+   * Start a new page unless at least `height` points are left on this one
+   * @param {number} height
+   */
+  requireSpace(height) {
+    this.flush();
+    if (!this.empty && !this.fits(height)) {
+      this.startPage(false);
+    }
+  }
+
+  /**
+   * Add vertical space above the next block
+   * @param {number} height - Space in points
+   */
+  space(height) {
+    this.pendingSpace += height;
+  }
+
+  /**
+   * Add a block; blocks kept with the next one wait for it
+   * @param {object} block
+   */
+  add(block) {
+    this.pending.push({ ...block, spaceBefore: (block.spaceBefore || 0) + this.pendingSpace });
+    this.pendingSpace = 0;
+
+    if (!block.keepWithNext) {
+      this.placePending();
+    }
+  }
+
+  /**
+   * Place blocks still waiting for a next block that will not come (at the
+   * end of a section)
+   */
+  flush() {
+    const blocks = this.pending;
+    this.pending = [];
+    blocks.forEach(block => this.place(block));
+  }
+
+  // ========================================
+  // Placement
+  // ========================================
+
+  /**
+   * Add a page and move to its top
+   * @param {boolean} broken - The layout broke the page to fit content
+   */
+  startPage(broken) {
+    const { top, bottom } = this.addPage();
+    this.y = top;
+    this.top = top;
+    this.bottom = bottom;
+    this.empty = true;
+    this.broken = broken;
+
+    // Space left at the end of the previous page does not carry over
+    this.pendingSpace = 0;
+  }
+
+  /**
+   * Whether a height fits in the space left on the page
+   * @param {number} height
+   * @returns {boolean}
+   */
+  fits(height) {
+    return this.y - height >= this.bottom;
+  }
+
+  /**
+   * Space above a block, dropped at the top of a page the layout broke to
+   * @param {object} block
+   * @returns {number}
+   */
+  spaceAbove(block) {
+    return this.empty && this.broken ? 0 : block.spaceBefore;
+  }
+
+  /**
+   * Place the waiting blocks, starting a new page first unless the blocks
+   * kept together and the start of the last one fit on this page
+   */
+  placePending() {
+    const blocks = this.pending;
+    this.pending = [];
+
+    if (blocks.length > 1 && !this.empty) {
+      const last = blocks.length - 1;
+      const height = blocks.reduce((total, block, i) => total +
+        (i === 0 ? this.spaceAbove(block) : block.spaceBefore) +
+        (i === last ? this.startHeight(block) : blockHeight(block)), 0);
+
+      // Blocks that would not fit on an empty page either are placed as they come
+      const startWithoutSpace = height - this.spaceAbove(blocks[0]);
+      if (!this.fits(height) && startWithoutSpace <= this.top - this.bottom) {
+        this.startPage(true);
+      }
+    }
+
+    blocks.forEach(block => this.place(block));
+  }
+
+  /**
+   * Least height a block needs on the page it starts on: all of it, or the
+   * orphan lines of text that can be broken
+   * @param {object} block
+   * @returns {number}
+   */
+  startHeight(block) {
+    if (!block.lines) return block.height;
+
+    const { lines } = block;
+    const count = lines.length < this.orphans + this.widows ? lines.length : this.orphans;
+    return lines.slice(0, count).reduce((total, line) => total + line.height, 0);
+  }
+
+  /**
+   * Place a block, breaking the page before or (text) within it as needed
+   * @param {object} block
+   */
+  place(block) {
+    if (block.lines) {
+      this.placeText(block);
+      return;
+    }
+
+    if (!this.empty && !this.fits(this.spaceAbove(block) + block.height)) {
+      this.startPage(true);
+    }
+
+    this.y -= this.spaceAbove(block);
+    block.draw(this.y);
+    this.y -= block.height;
+    this.empty = false;
+  }
+
+  /**
+   * Place a text block, as many lines per page as fit within the widow and orphan limits
+   * @param {object} block
+   */
+  placeText(block) {
+    const { lines } = block;
+    let from = 0;
+
+    while (from < lines.length) {
+      const space = from === 0 ? this.spaceAbove(block) : 0;
+      const to = this.breakLine(lines, from, space);
+
+      if (to === from) {
+        this.startPage(true);
+        continue;
+      }
+
+      this.y -= space;
+      if (from === 0) block.begin?.();
+      for (let i = from; i < to; i++) {
+        lines[i].draw(this.y);
+        this.y -= lines[i].height;
+      }
+      this.empty = false;
+
+      from = to;
+      if (from < lines.length) {
+        this.startPage(true);
+      }
+    }
+
+    if (lines.length > 0) block.end?.();
+  }
+
+  /**
+   * Choose where text continuing at a line breaks on this page
+   * @param {Array<{height: number}>} lines
+   * @param {number} from - First line to place on this page
+   * @param {number} space - Space above it
+   * @returns {number} - Index of the first line on the next page (lines.length
+   *   if the rest fits; `from` to move it all to the next page)
+   */
+  breakLine(lines, from, space) {
+    let available = this.y - space - this.bottom;
+    let end = from;
+    while (end < lines.length && lines[end].height <= available) {
+      available -= lines[end].height;
+      end++;
+    }
+    if (end === lines.length) return end;
+
+    // Carry at least the widow lines over, and leave at least the orphan lines here
+    const to = Math.min(end, lines.length - this.widows);
+    if (to - from >= this.orphans) return to;
+
+    // A page that cannot do better (it is empty) takes what fits, at least a line
+    return this.empty ? Math.max(end, from + 1) : from;
+  }
+}
+
+/**
+ * Full height of a block
+ * @param {object} block
+ * @returns {number}
+ */
+function blockHeight(block) {
+  return block.lines
+    ? block.lines.reduce((total, line) => total + line.height, 0)
+    : block.height;
+}
+
+export default {
+  FlowLayout
+};
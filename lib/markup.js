@@ -0,0 +1,274 @@
+/**
+ * Text Markup
+ *
+ * The small formatting language of long text fields (an activity's
+ * description and impact; `kind: 'longtext'` in config/activities.js):
+ *
+ *   Each line          A paragraph (blank lines only add space in the textarea)
+ *   **bold**           Bold text
+ *   *italic*           Italic text (markers must touch the text they enclose)
+ *   - item             Bulleted list item ("*" or "•" also start one)
+ *   1. item            Numbered list item, numbered on from the first item's number
+ *   \*  \\  2024\.     A backslash before one of  \ * - • . )  shows that character as typed
+ *
+ * Consecutive items of one kind form a list; lists are not nested. Anything
+ * else is shown as typed. Text written before formatting existed is escaped
+ * when its report is migrated (escapeMarkup), so it reads the same. Parsed
+ * text is rendered by the review step (renderMarkupHtml) and the PDF
+ * (PDFGenerator.drawRichText); the formatting toolbar uses the editing
+ * helpers at the end of this file.
+ */
+
+import { escapeHtml } from './escape.js';
+
+// List item markers at the start of a line
+const BULLET_ITEM = /^\s*[-*•]\s+/;
+const NUMBERED_ITEM = /^\s*(\d{1,4})[.)]\s+/;
+
+// Bold, then italic; markers must touch the text they enclose. "***text***"
+// is bold around italic.
+const INLINE_STYLE = /\*\*(?=\S)(.+?)(?<=\S)\*\*(?!\*)|\*(?=\S)(.+?)(?<=\S)\*/g;
+
+// Characters a backslash makes literal. While a line is parsed they stand in
+// as private-use characters, which no markup pattern matches.
+const ESCAPABLE = '\\*-•.)';
+const ESCAPED = /\\([\\*\-•.)])/g;
+const PLACEHOLDER_BASE = 0xE000;
+const PLACEHOLDER = /[\uE000-\uE005]/g;
+
+const hideEscapes = (text) => text.replace(ESCAPED, (_, char) => String.fromCharCode(PLACEHOLDER_BASE + ESCAPABLE.indexOf(char)));
+const revealEscapes = (text) => text.replace(PLACEHOLDER, char => ESCAPABLE[char.charCodeAt(0) - PLACEHOLDER_BASE]);
+
+/**
+ * Parse bold and italic markup, with escapes already hidden, into styled runs
+ * @param {string} text
+ * @param {{bold: boolean, italic: boolean}} style - Style of the enclosing text
+ * @returns {Array<{text: string, bold: boolean, italic: boolean}>}
+ */
+function parseStyles(text, style) {
+  const runs = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_STYLE)) {
+    if (match.index > last) {
+      runs.push({ text: text.slice(last, match.index), ...style });
+    }
+    if (match[1] !== undefined) {
+      runs.push(...parseStyles(match[1], { ...style, bold: true }));
+    } else {
+      runs.push(...parseStyles(match[2], { ...style, italic: true }));
+    }
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) {
+    runs.push({ text: text.slice(last), ...style });
+  }
+  return runs;
+}
+
+/**
+ * Parse a line's bold and italic markup into styled runs
+ * @param {string} text
+ * @param {{bold: boolean, italic: boolean}} style - Style of the enclosing text
+ * @returns {Array<{text: string, bold: boolean, italic: boolean}>}
+ */
+export function parseInline(text, style = { bold: false, italic: false }) {
+  return parseStyles(hideEscapes(text), style).map(run => ({ ...run, text: revealEscapes(run.text) }));
+}
+
+/**
+ * Parse marked-up text into paragraphs and lists
+ * @param {string} text
+ * @returns {Array<object>} - { type: 'paragraph', runs } or
+ *   { type: 'list', ordered, start, items: [runs] }; runs are from parseInline
+ */
+export function parseMarkup(text) {
+  const blocks = [];
+  let list = null;
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (line.trim() === '') {
+      list = null;
+      continue;
+    }
+
+    const numbered = line.match(NUMBERED_ITEM);
+    const marker = numbered || line.match(BULLET_ITEM);
+    if (!marker) {
+      list = null;
+      blocks.push({ type: 'paragraph', runs: parseInline(line.trim()) });
+      continue;
+    }
+
+    const ordered = Boolean(numbered);
+    if (!list || list.ordered !== ordered) {
+      list = { type: 'list', ordered, start: ordered ? Number(numbered[1]) : 1, items: [] };
+      blocks.push(list);
+    }
+    list.items.push(parseInline(line.slice(marker[0].length).trim()));
+  }
+
+  return blocks;
+}
+
+/**
+ * Label of a list item
+ * @param {{ordered: boolean, start: number}} list
+ * @param {number} index - Index of the item
+ * @returns {string}
+ */
+export function listItemLabel(list, index) {
+  return list.ordered ? `${list.start + index}.` : '•';
+}
+
+/**
+ * Escape text so it reads as typed rather than as markup: backslashes and
+ * asterisks, and list markers at the start of lines. Used to migrate text
+ * written before formatting existed (see lib/schema.js).
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeMarkup(text) {
+  return String(text || '')
+    .replace(/[\\*]/g, '\\$&')
+    .split('\n')
+    .map(line => line
+      .replace(/^(\s*\d{1,4})([.)]\s)/, '$1\\$2')
+      .replace(/^(\s*)([-•]\s)/, '$1\\$2'))
+    .join('\n');
+}
+
+// ========================================
+// HTML
+// ========================================
+
+/**
+ * @param {Array<{text: string, bold: boolean, italic: boolean}>} runs
+ * @returns {string}
+ */
+function renderRunsHtml(runs) {
+  return runs.map(run => {
+    let html = escapeHtml(run.text);
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    return html;
+  }).join('');
+}
+
+/**
+ * Render marked-up text as HTML paragraphs and lists (for the review step)
+ * @param {string} text
+ * @returns {string}
+ */
+export function renderMarkupHtml(text) {
+  return parseMarkup(text).map(block => {
+    if (block.type === 'paragraph') {
+      return `<p>${renderRunsHtml(block.runs)}</p>`;
+    }
+    const items = block.items.map(runs => `<li>${renderRunsHtml(runs)}</li>`).join('');
+    return block.ordered
+      ? `<ol${block.start !== 1 ? ` start="${block.start}"` : ''}>${items}</ol>`
+      : `<ul>${items}</ul>`;
+  }).join('');
+}
+
+// ========================================
+// Editing
+// ========================================
+
+/**
+ * Toggle bold or italic on the selected text of a field. With nothing
+ * selected, a pair of markers is inserted with the cursor between them.
+ * @param {string} value - Field value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} style - 'bold' or 'italic'
+ * @returns {{value: string, start: number, end: number}} - New value and selection
+ */
+export function toggleInlineStyle(value, start, end, style) {
+  const size = style === 'bold' ? 2 : 1;
+
+  // Markers must touch the text: leave selected whitespace and markers outside
+  while (start < end && /[\s*]/.test(value[start])) start++;
+  while (end > start && /[\s*]/.test(value[end - 1])) end--;
+
+  // Markers already around the selection: two or more for bold, an odd number for italic
+  const before = value.slice(0, start).match(/\**$/)[0].length;
+  const after = value.slice(end).match(/^\**/)[0].length;
+  const around = Math.min(before, after);
+  const active = style === 'bold' ? around >= 2 : around % 2 === 1;
+
+  if (active) {
+    return {
+      value: value.slice(0, start - size) + value.slice(start, end) + value.slice(end + size),
+      start: start - size,
+      end: end - size
+    };
+  }
+
+  const marker = '*'.repeat(size);
+  return {
+    value: value.slice(0, start) + marker + value.slice(start, end) + marker + value.slice(end),
+    start: start + size,
+    end: end + size
+  };
+}
+
+/**
+ * Make the lines of a field's selection a bulleted or numbered list, or
+ * plain paragraphs again if they already are one
+ * @param {string} value - Field value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {boolean} ordered - Numbered rather than bulleted
+ * @returns {{value: string, start: number, end: number}} - New value, with the lines selected
+ */
+export function toggleList(value, start, end, ordered) {
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  // A selection ending at the start of a line does not include that line
+  const lastLineEnd = end > start && value[end - 1] === '\n' ? end - 1 : end;
+  const lineEnd = value.indexOf('\n', lastLineEnd) === -1 ? value.length : value.indexOf('\n', lastLineEnd);
+
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+  const pattern = ordered ? NUMBERED_ITEM : BULLET_ITEM;
+  const items = lines.filter(line => line.trim() !== '');
+  const remove = items.length > 0 && items.every(line => pattern.test(line));
+
+  // An empty line starts a new list
+  if (items.length === 0) {
+    const marker = ordered ? '1. ' : '- ';
+    return {
+      value: value.slice(0, lineStart) + marker + value.slice(lineStart),
+      start: lineStart + marker.length,
+      end: lineStart + marker.length
+    };
+  }
+
+  let number = 0;
+  const block = lines.map(line => {
+    if (line.trim() === '') return line;
+
+    // Switching between list kinds replaces the marker
+    const text = line.replace(NUMBERED_ITEM, '').replace(BULLET_ITEM, '');
+    if (remove) return text;
+    number++;
+    return ordered ? `${number}. ${text}` : `- ${text}`;
+  }).join('\n');
+
+  return {
+    value: value.slice(0, lineStart) + block + value.slice(lineEnd),
+    start: lineStart,
+    end: lineStart + block.length
+  };
+}
+
+export default {
+  parseInline,
+  parseMarkup,
+  listItemLabel,
+  escapeMarkup,
+  renderMarkupHtml,
+  toggleInlineStyle,
+  toggleList
+};
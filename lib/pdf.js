@@ -5,35 +5,88 @@
  * with embedded images and proper pagination.
  */
 
-import { PDFDocument, rgb, StandardFonts } from 'https://cdn.jsdelivr.net/npm/pdf-lib@1.17.1/+esm';
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRawStream,
+  PDFRef,
+  PDFHexString,
+  PDFString,
+  rgb,
+  degrees,
+  StandardFonts,
+  decodePDFRawStream
+} from 'https://cdn.jsdelivr.net/npm/pdf-lib@1.17.1/+esm';
 import { ORG_CONFIG } from '../config/org.js';
-import { IMAGE_CONFIG } from './image.js';
-
-// Page dimensions (US Letter)
-const PAGE_WIDTH = 612;  // 8.5 inches * 72 points
-const PAGE_HEIGHT = 792; // 11 inches * 72 points
-
-// Activity configuration (must match main.js)
-const ACTIVITY_CONFIG = [
-  {
-    number: 1,
-    title: 'Home Country Cultural Activity',
-    prompt: 'Describe an activity for your classroom, larger host school or host district population, or the community at large designed to give an overview of the history, traditions, heritage, culture, economy, educational system, and/or other attributes of your home country.',
-    hasExtraFields: false
-  },
-  {
-    number: 2,
-    title: 'Virtual Exchange Activity',
-    prompt: 'Describe an activity that involves U.S student dialogue with schools or students in another country, preferably in the home school, through virtual exchange – in other words, through the Internet. If unsure what this means, contact the Cordell Hull Foundation for a more detailed handout (explanation).',
-    hasExtraFields: true
-  },
-  {
-    number: 3,
-    title: 'Cultural Activity 3',
-    prompt: 'For INTERNATIONAL or FOREIGN LANGUAGE IMMERSION teachers – all GRADE LEVELS',
-    hasExtraFields: false,
-    optional: true
-  }
+import { ACTIVITY_TYPES, formatActivityField } from '../config/activities.js';
+import { PDF_THEMES } from '../config/themes.js';
+import { ATTESTATION, getSigners, formatAttestationStatement } from '../config/attestation.js';
+import { IMAGE_CONFIG, recompressImage, formatFileSize } from './image.js';
+import { exportReportBundle, includeExternalImages } from './bundle.js';
+import { embedFontChain } from './fonts.js';
+import { fingerprintReport, formatShortFingerprint } from './fingerprint.js';
+import { CHART_TYPES, chartSegments, describeChart, pieSlices, barRows } from './charts.js';
+import { StructureTree, buildXmpMetadata, setXmpMetadata, addSrgbOutputIntent, setDocumentId } from './pdfa.js';
+import { FlowLayout } from './layout.js';
+import { parseMarkup, listItemLabel } from './markup.js';
+
+// Page sizes in points (72 points = 1 inch), portrait
+export const PAGE_SIZES = {
+  letter: { label: 'US Letter (8.5 × 11 in)', width: 612, height: 792 },
+  legal: { label: 'US Legal (8.5 × 14 in)', width: 612, height: 1008 },
+  a4: { label: 'A4 (210 × 297 mm)', width: 595.28, height: 841.89 },
+  a5: { label: 'A5 (148 × 210 mm)', width: 419.53, height: 595.28 }
+};
+
+export const PAGE_ORIENTATIONS = ['portrait', 'landscape'];
+
+// Largest diameter of the student distribution pie/donut chart
+const PIE_CHART_SIZE = 140;
+
+// Row height of the distribution bar chart, as a multiple of the body size
+const BAR_ROW_HEIGHT = 2.2;
+
+// Running header and footer sit inside the top and bottom margins
+const RUNNING_TEXT_SIZE = 8;
+
+// Slant of italic text; the bundled fonts have no italic faces
+const ITALIC_SKEW = degrees(12);
+
+// List items in rich text: indent of the labels, and space between a label and its item
+const LIST_INDENT = 10;
+const LIST_LABEL_GAP = 6;
+
+// Space between a photo and its caption
+const CAPTION_GAP = 4;
+
+// Drawn signatures on the attestation page (the signature pad's 10:3 shape)
+const SIGNATURE_WIDTH = 200;
+const SIGNATURE_HEIGHT = 60;
+
+// Name of the embedded report bundle that makes generated PDFs re-editable
+export const REPORT_ATTACHMENT_NAME = 'report-data.zip';
+
+// Document information entry holding the report checksum (see lib/fingerprint.js)
+export const FINGERPRINT_INFO_KEY = 'ReportFingerprint';
+
+// PDF size limits offered on the review step, in bytes
+export const TARGET_SIZES = [5, 10, 20].map(megabytes => megabytes * 1024 * 1024);
+
+/**
+ * Re-encoding steps tried, in order, on the photos of a PDF over its size
+ * limit: lower JPEG quality first, then lower resolution (scale is a
+ * fraction of the standard 1600x900)
+ */
+const RECOMPRESSION_STEPS = [
+  { scale: 1, quality: 0.7 },
+  { scale: 1, quality: 0.6 },
+  { scale: 0.8, quality: 0.6 },
+  { scale: 0.8, quality: 0.5 },
+  { scale: 0.64, quality: 0.5 },
+  { scale: 0.5, quality: 0.45 },
+  { scale: 0.4, quality: 0.4 }
 ];
 
 /**
@@ -44,217 +97,630 @@ export class PDFGenerator {
   constructor() {
     this.pdfDoc = null;
     this.currentPage = null;
-    this.currentY = 0;
+
+    // Places content down the pages and breaks them (see lib/layout.js)
+    this.layout = null;
     this.font = null;
     this.fontBold = null;
     this.margins = ORG_CONFIG.pdf.margins;
     this.colors = ORG_CONFIG.pdf.colors;
-    this.fonts = ORG_CONFIG.pdf.fonts;
-    this.contentWidth = PAGE_WIDTH - this.margins.left - this.margins.right;
+    this.setTheme(ORG_CONFIG.pdf.theme);
+    this.chartType = ORG_CONFIG.pdf.chart;
+    this.setPageSize(ORG_CONFIG.pdf.pageSize, ORG_CONFIG.pdf.orientation);
+    // Photo blob -> reference of its embedded image, for the attached bundle
+    this.photoImages = new Map();
+
+    // Outline entries recorded during layout: { title, page, y }
+    this.sections = [];
+
+    // Checksum of the report being drawn, printed in the footer
+    this.fingerprint = null;
+
+    // Progress reporting: the callback, its last status line and counts
+    this.onProgress = () => {};
+    this.status = '';
+    this.photoTotal = 0;
+    this.photosEmbedded = 0;
+
+    // Archival (tagged PDF/A-2b) mode: the structure tree recorded during layout
+    this.archival = false;
+    this.structure = null;
+    this.tocPosition = null;
+  }
+
+  /**
+   * Set the size of every page; layout derives from it
+   * @param {string} pageSize - Key of PAGE_SIZES
+   * @param {string} orientation - 'portrait' or 'landscape'
+   */
+  setPageSize(pageSize, orientation) {
+    const size = PAGE_SIZES[pageSize];
+    if (!size) {
+      throw new Error(`Unknown page size: ${pageSize}`);
+    }
+    if (!PAGE_ORIENTATIONS.includes(orientation)) {
+      throw new Error(`Unknown page orientation: ${orientation}`);
+    }
+
+    const landscape = orientation === 'landscape';
+    this.pageWidth = landscape ? size.height : size.width;
+    this.pageHeight = landscape ? size.width : size.height;
+    this.contentWidth = this.pageWidth - this.margins.left - this.margins.right;
+    this.contentHeight = this.pageHeight - this.margins.top - this.margins.bottom;
+  }
+
+  /**
+   * Set the layout theme (font sizes, spacing, section order, page breaks, photo grid)
+   * @param {string} themeKey - Key of PDF_THEMES (config/themes.js)
+   */
+  setTheme(themeKey) {
+    const theme = PDF_THEMES[themeKey];
+    if (!theme) {
+      throw new Error(`Unknown PDF theme: ${themeKey}`);
+    }
+
+    this.theme = theme;
+    this.fonts = theme.fonts;
+  }
+
+  /**
+   * True if pages are wider than they are tall
+   * @returns {boolean}
+   */
+  isLandscape() {
+    return this.pageWidth > this.pageHeight;
   }
 
   /**
    * Initialize the PDF document
+   * @param {string} text - Report text, used to pick which fallback fonts to embed
    */
-  async init() {
+  async init(text = '') {
     this.pdfDoc = await PDFDocument.create();
     this.pdfDoc.setTitle(ORG_CONFIG.pdf.title);
     this.pdfDoc.setAuthor(ORG_CONFIG.pdf.author);
     this.pdfDoc.setSubject(ORG_CONFIG.pdf.subject);
     this.pdfDoc.setCreationDate(new Date());
+    this.structure = this.archival ? new StructureTree(this.pdfDoc) : null;
 
-    // Load standard fonts
-    this.font = await this.pdfDoc.embedFont(StandardFonts.Helvetica);
-    this.fontBold = await this.pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    // Bundled Unicode fonts, with fallbacks only for scripts the report uses
+    const { fontFiles } = ORG_CONFIG.pdf;
+    const fontCache = new Map();
+    this.font = await embedFontChain(this.pdfDoc, fontFiles.regular, text, StandardFonts.Helvetica, fontCache);
+    this.fontBold = await embedFontChain(this.pdfDoc, fontFiles.bold, text, StandardFonts.HelveticaBold, fontCache);
+
+    if (this.archival && (this.font.usesStandardFont() || this.fontBold.usesStandardFont())) {
+      throw new Error('Archival PDFs need embedded fonts, but the bundled font files could not be loaded.');
+    }
 
     // Add first page
-    this.addNewPage();
+    this.layout = new FlowLayout({
+      addPage: () => this.addNewPage(),
+      orphans: this.theme.pageBreaks.orphans,
+      widows: this.theme.pageBreaks.widows
+    });
+    this.layout.newPage();
   }
 
   /**
-   * Add a new page to the document
+   * Add a new page to the document. Called by the layout, which decides
+   * where pages break; use this.layout.newPage() to start a page.
+   * @returns {{top: number, bottom: number}} - The page's content area
    */
   addNewPage() {
-    this.currentPage = this.pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
-    this.currentY = PAGE_HEIGHT - this.margins.top;
-    return this.currentPage;
+    this.currentPage = this.pdfDoc.addPage([this.pageWidth, this.pageHeight]);
+    if (this.structure) {
+      this.structure.continueOnPage(this.currentPage);
+    }
+    this.reportProgress();
+    return { top: this.pageHeight - this.margins.top, bottom: this.margins.bottom };
   }
 
   /**
-   * Check if we need a new page and add one if necessary
-   * @param {number} neededHeight - Height needed for next element
-   * @returns {boolean} - True if new page was added
+   * Report progress: a status line, and how many photos are embedded and
+   * pages laid out so far
+   * @param {string} status - Status line (defaults to the last one)
    */
-  addPageIfNeeded(neededHeight) {
-    if (this.currentY - neededHeight < this.margins.bottom) {
-      this.addNewPage();
-      return true;
-    }
-    return false;
+  reportProgress(status = this.status) {
+    this.status = status;
+    this.onProgress(status, {
+      photosEmbedded: this.photosEmbedded,
+      photoTotal: this.photoTotal,
+      pages: this.pdfDoc ? this.pdfDoc.getPageCount() : 0
+    });
   }
 
   /**
-   * Draw text with word wrapping
-   * @param {string} text - Text to draw
-   * @param {number} x - X position
-   * @param {number} maxWidth - Maximum width for wrapping
-   * @param {object} options - Drawing options
-   * @returns {number} - Height used
+   * Count a report photo as embedded and report progress
    */
-  drawWrappedText(text, x, maxWidth, options = {}) {
-    const {
-      fontSize = this.fonts.body,
-      font = this.font,
-      color = this.colors.text,
-      lineHeight = 1.3,
-      align = 'left'
-    } = options;
+  countEmbeddedPhoto() {
+    this.photosEmbedded++;
+    this.reportProgress();
+  }
+
+  // ========================================
+  // Tagging (archival mode only; no-ops otherwise)
+  // ========================================
+
+  /**
+   * Start a tagged content element (P, H2, Figure, TD, ...)
+   * @param {string} type - Structure type
+   * @param {object} attributes - e.g. { alt } for figures
+   * @param {PDFPage} page - Page the content is drawn on (default: current page)
+   */
+  beginTag(type, attributes = {}, page = this.currentPage) {
+    if (this.structure) this.structure.beginContent(page, type, attributes);
+  }
+
+  /**
+   * End the tagged content element started by beginTag
+   */
+  endTag() {
+    if (this.structure) this.structure.endContent();
+  }
+
+  /**
+   * Open a structure element that groups others (Sect, Table, TR, ...)
+   * @param {string} type - Structure type
+   */
+  openGroup(type) {
+    if (this.structure) this.structure.open(type);
+  }
 
-    if (!text || text.trim() === '') return 0;
+  /**
+   * Close the group opened by openGroup
+   */
+  closeGroup() {
+    if (this.structure) this.structure.close();
+  }
+
+  /**
+   * Draw page furniture (rules, running headers, decorative images) that
+   * assistive technology should skip
+   * @param {PDFPage} page
+   * @param {function} draw - Draws the artifact
+   */
+  drawArtifact(page, draw) {
+    if (this.structure) this.structure.beginArtifact(page);
+    draw();
+    if (this.structure) this.structure.endArtifact(page);
+  }
+
+  /**
+   * Draw a single line of text, switching to fallback fonts where needed
+   * @param {PDFPage} page - Page to draw on
+   * @param {string} text - Text to draw
+   * @param {object} options - pdf-lib drawText options; `font` is a FontChain
+   *   (defaults to the regular font)
+   */
+  drawText(page, text, { font = this.font, ...options }) {
+    font.drawText(page, text, options);
+  }
 
+  /**
+   * Break text into lines that fit within a width
+   * @param {string} text - Text to wrap
+   * @param {FontChain} font - Font to measure with
+   * @param {number} fontSize - Font size
+   * @param {number} maxWidth - Maximum line width
+   * @returns {Array<string>} - Lines
+   */
+  wrapText(text, font, fontSize, maxWidth) {
     const words = text.split(/\s+/);
     const lines = [];
     let currentLine = '';
 
-    // Break text into lines that fit within maxWidth
     for (const word of words) {
       const testLine = currentLine ? `${currentLine} ${word}` : word;
       const testWidth = font.widthOfTextAtSize(testLine, fontSize);
 
-      if (testWidth > maxWidth && currentLine) {
+      if (testWidth <= maxWidth) {
+        currentLine = testLine;
+        continue;
+      }
+
+      if (currentLine) {
         lines.push(currentLine);
+        currentLine = '';
+      }
+
+      if (font.widthOfTextAtSize(word, fontSize) <= maxWidth) {
         currentLine = word;
-      } else {
-        currentLine = testLine;
+        continue;
+      }
+
+      // No break opportunity (CJK text without spaces, long URLs): break between characters
+      for (const char of word) {
+        const testPiece = currentLine + char;
+        if (currentLine && font.widthOfTextAtSize(testPiece, fontSize) > maxWidth) {
+          lines.push(currentLine);
+          currentLine = char;
+        } else {
+          currentLine = testPiece;
+        }
       }
     }
     if (currentLine) {
       lines.push(currentLine);
     }
 
-    const actualLineHeight = fontSize * lineHeight;
-    let totalHeight = lines.length * actualLineHeight;
+    return lines;
+  }
+
+  /**
+   * Wrap text into lines for a text block
+   * @param {string} text - Text to wrap
+   * @param {number} x - X position
+   * @param {number} maxWidth - Maximum width for wrapping
+   * @param {object} options - Drawing options
+   * @returns {Array<{height: number, draw: function}>} - Lines (see lib/layout.js)
+   */
+  textLines(text, x, maxWidth, options = {}) {
+    const {
+      fontSize = this.fonts.body,
+      font = this.font,
+      color = this.colors.text,
+      lineHeight = this.theme.lineHeight
+    } = options;
+
+    if (!text || text.trim() === '') return [];
+
+    return this.wrapText(text, font, fontSize, maxWidth).map(line => ({
+      height: fontSize * lineHeight,
+      draw: (y) => this.drawText(this.currentPage, line, {
+        x,
+        y: y - fontSize,
+        size: fontSize,
+        font: font,
+        color: rgb(color.r, color.g, color.b)
+      })
+    }));
+  }
+
+  /**
+   * Draw text with word wrapping as a paragraph, broken across pages between lines
+   * @param {string} text - Text to draw
+   * @param {number} x - X position
+   * @param {number} maxWidth - Maximum width for wrapping
+   * @param {object} options - Drawing options (see textLines)
+   */
+  drawWrappedText(text, x, maxWidth, options = {}) {
+    this.layout.add({
+      lines: this.textLines(text, x, maxWidth, options),
+      begin: () => this.beginTag('P'),
+      end: () => this.endTag()
+    });
+  }
+
+  // ========================================
+  // Rich Text (lib/markup.js)
+  // ========================================
 
-    // Check if we need a new page for all the text
-    if (this.currentY - totalHeight < this.margins.bottom) {
-      // Try to fit at least some lines on current page
-      const availableHeight = this.currentY - this.margins.bottom;
-      const linesOnCurrentPage = Math.floor(availableHeight / actualLineHeight);
+  /**
+   * Font of a run of rich text
+   * @param {{bold: boolean}} run
+   * @returns {FontChain}
+   */
+  runFont(run) {
+    return run.bold ? this.fontBold : this.font;
+  }
 
-      if (linesOnCurrentPage < 2) {
-        // Not enough space, start fresh on new page
-        this.addNewPage();
+  /**
+   * Break styled runs into lines that fit within a width, like wrapText
+   * @param {Array<{text: string, bold: boolean, italic: boolean}>} runs - From parseInline
+   * @param {number} fontSize - Font size
+   * @param {number} maxWidth - Maximum line width
+   * @returns {Array<Array<{text: string, bold: boolean, italic: boolean}>>} - Runs of each line
+   */
+  wrapRuns(runs, fontSize, maxWidth) {
+    const widthOf = (run) => this.runFont(run).widthOfTextAtSize(run.text, fontSize);
+
+    // Words are the text between spaces, and may change style part way through
+    const words = [];
+    let word = null;
+    let space = null;
+    for (const run of runs) {
+      for (const part of run.text.split(/(\s+)/)) {
+        if (part === '') continue;
+        if (/^\s/.test(part)) {
+          word = null;
+          space = { ...run, text: ' ' };
+          continue;
+        }
+        if (!word) {
+          word = { runs: [], space: words.length > 0 ? space : null };
+          words.push(word);
+        }
+        word.runs.push({ ...run, text: part });
       }
     }
 
-    // Draw each line
-    for (const line of lines) {
-      // Check if we need a new page before drawing each line
-      if (this.currentY - actualLineHeight < this.margins.bottom) {
-        this.addNewPage();
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+    const endLine = () => {
+      if (line.length > 0) lines.push(mergeRuns(line));
+      line = [];
+      lineWidth = 0;
+    };
+
+    for (const { runs: pieces, space: spaceBefore } of words) {
+      const wordWidth = pieces.reduce((total, piece) => total + widthOf(piece), 0);
+      const spaceWidth = line.length > 0 && spaceBefore ? widthOf(spaceBefore) : 0;
+
+      if (lineWidth + spaceWidth + wordWidth <= maxWidth) {
+        if (spaceWidth) line.push(spaceBefore);
+        line.push(...pieces);
+        lineWidth += spaceWidth + wordWidth;
+        continue;
+      }
+
+      endLine();
+      if (wordWidth <= maxWidth) {
+        line.push(...pieces);
+        lineWidth = wordWidth;
+        continue;
       }
 
-      let drawX = x;
-      if (align === 'center') {
-        const lineWidth = font.widthOfTextAtSize(line, fontSize);
-        drawX = x + (maxWidth - lineWidth) / 2;
-      } else if (align === 'right') {
-        const lineWidth = font.widthOfTextAtSize(line, fontSize);
-        drawX = x + maxWidth - lineWidth;
+      // No break opportunity (CJK text without spaces, long URLs): break between characters
+      for (const piece of pieces) {
+        for (const char of piece.text) {
+          const charRun = { ...piece, text: char };
+          const charWidth = widthOf(charRun);
+          if (line.length > 0 && lineWidth + charWidth > maxWidth) {
+            endLine();
+          }
+          line.push(charRun);
+          lineWidth += charWidth;
+        }
       }
+    }
+    endLine();
+
+    return lines;
+  }
 
-      this.currentPage.drawText(line, {
-        x: drawX,
-        y: this.currentY - fontSize,
+  /**
+   * Draw a line of styled runs
+   * @param {Array<{text: string, bold: boolean, italic: boolean}>} runs
+   * @param {number} x - X position
+   * @param {number} y - Baseline
+   * @param {number} fontSize - Font size
+   */
+  drawRuns(runs, x, y, fontSize) {
+    const color = rgb(this.colors.text.r, this.colors.text.g, this.colors.text.b);
+    for (const run of runs) {
+      const font = this.runFont(run);
+      this.drawText(this.currentPage, run.text, {
+        x,
+        y,
         size: fontSize,
-        font: font,
-        color: rgb(color.r, color.g, color.b)
+        font,
+        color,
+        ...(run.italic ? { ySkew: ITALIC_SKEW } : {})
       });
-
-      this.currentY -= actualLineHeight;
+      x += font.widthOfTextAtSize(run.text, fontSize);
     }
+  }
+
+  /**
+   * Wrap styled runs into lines for a text block
+   * @param {Array<{text: string, bold: boolean, italic: boolean}>} runs
+   * @param {number} x - X position
+   * @param {number} maxWidth - Maximum width for wrapping
+   * @returns {Array<{height: number, draw: function}>} - Lines (see lib/layout.js)
+   */
+  runLines(runs, x, maxWidth) {
+    const fontSize = this.fonts.body;
+    return this.wrapRuns(runs, fontSize, maxWidth).map(line => ({
+      height: fontSize * this.theme.lineHeight,
+      draw: (y) => this.drawRuns(line, x, y - fontSize, fontSize)
+    }));
+  }
+
+  /**
+   * Draw marked-up text (an activity's description or impact) as paragraphs
+   * and lists, each broken across pages between lines
+   * @param {string} text - Text with markup (see lib/markup.js)
+   * @param {number} x - X position
+   * @param {number} maxWidth - Maximum width for wrapping
+   */
+  drawRichText(text, x, maxWidth) {
+    parseMarkup(text).forEach((block, index) => {
+      const spaceBefore = index > 0 ? this.theme.spacing.paragraph : 0;
+
+      if (block.type === 'list') {
+        this.drawList(block, x, maxWidth, spaceBefore);
+        return;
+      }
+      this.layout.add({
+        spaceBefore,
+        lines: this.runLines(block.runs, x, maxWidth),
+        begin: () => this.beginTag('P'),
+        end: () => this.endTag()
+      });
+    });
+  }
+
+  /**
+   * Draw a bulleted or numbered list, item text indented past the labels
+   * @param {object} list - List block from parseMarkup
+   * @param {number} x - X position
+   * @param {number} maxWidth - Maximum width for wrapping
+   * @param {number} spaceBefore - Space above the list
+   */
+  drawList(list, x, maxWidth, spaceBefore) {
+    const fontSize = this.fonts.body;
+    const labels = list.items.map((item, i) => listItemLabel(list, i));
+    const labelWidths = labels.map(label => this.font.widthOfTextAtSize(label, fontSize));
+    const bodyX = x + LIST_INDENT + Math.max(...labelWidths) + LIST_LABEL_GAP;
+    const last = list.items.length - 1;
+
+    list.items.forEach((runs, i) => {
+      const lines = this.runLines(runs, bodyX, x + maxWidth - bodyX);
+
+      // An item with no text yet still shows its label
+      if (lines.length === 0) {
+        lines.push({ height: fontSize * this.theme.lineHeight, draw: () => {} });
+      }
 
-    return totalHeight;
+      // The label goes on the item's first line; numbers are right-aligned
+      const firstLine = lines[0];
+      lines[0] = {
+        height: firstLine.height,
+        draw: (y) => {
+          this.beginTag('Lbl');
+          this.drawText(this.currentPage, labels[i], {
+            x: bodyX - LIST_LABEL_GAP - labelWidths[i],
+            y: y - fontSize,
+            size: fontSize,
+            color: rgb(this.colors.text.r, this.colors.text.g, this.colors.text.b)
+          });
+          this.endTag();
+          this.beginTag('LBody');
+          firstLine.draw(y);
+        }
+      };
+
+      this.layout.add({
+        spaceBefore: i === 0 ? spaceBefore : 0,
+        lines,
+        begin: () => {
+          if (i === 0) this.openGroup('L');
+          this.openGroup('LI');
+        },
+        end: () => {
+          this.endTag();
+          this.closeGroup();
+          if (i === last) this.closeGroup();
+        }
+      });
+    });
   }
 
   /**
-   * Draw a section heading
+   * Draw a section heading, kept with the content that follows it
    * @param {string} text - Heading text
    * @param {number} level - Heading level (1 = main, 2 = sub)
+   * @param {string} bookmark - Title for the outline and table of contents (optional)
    */
-  drawHeading(text, level = 1) {
+  drawHeading(text, level = 1, bookmark = null) {
     const fontSize = level === 1 ? this.fonts.heading : this.fonts.subheading;
-    const spaceAbove = level === 1 ? 20 : 15;
-    const spaceBelow = level === 1 ? 10 : 8;
-
-    // Ensure enough space for heading
-    this.addPageIfNeeded(spaceAbove + fontSize + spaceBelow);
-
-    this.currentY -= spaceAbove;
+    const { above: spaceAbove, below: spaceBelow } = level === 1
+      ? this.theme.spacing.heading
+      : this.theme.spacing.subheading;
+
+    this.layout.add({
+      height: fontSize + spaceBelow,
+      spaceBefore: spaceAbove,
+      keepWithNext: true,
+      draw: (y) => {
+        if (bookmark) {
+          this.sections.push({ title: bookmark, page: this.currentPage, y });
+        }
 
-    this.currentPage.drawText(text, {
-      x: this.margins.left,
-      y: this.currentY - fontSize,
-      size: fontSize,
-      font: this.fontBold,
-      color: rgb(this.colors.primary.r, this.colors.primary.g, this.colors.primary.b)
+        // Both levels head a section of the document, below the H1 title
+        this.beginTag('H2');
+        this.drawText(this.currentPage, text, {
+          x: this.margins.left,
+          y: y - fontSize,
+          size: fontSize,
+          font: this.fontBold,
+          color: rgb(this.colors.primary.r, this.colors.primary.g, this.colors.primary.b)
+        });
+        this.endTag();
+      }
     });
+  }
 
-    this.currentY -= fontSize + spaceBelow;
+  /**
+   * Draw a bold label (e.g. "Description:"), kept with the content under it
+   * @param {string} text - Label text
+   * @param {number} height - Height of the label's line, including space below it
+   */
+  drawLabel(text, height) {
+    this.layout.add({
+      height,
+      keepWithNext: true,
+      draw: (y) => {
+        this.beginTag('H3');
+        this.drawText(this.currentPage, text, {
+          x: this.margins.left,
+          y: y - this.fonts.body,
+          size: this.fonts.body,
+          font: this.fontBold,
+          color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
+        });
+        this.endTag();
+      }
+    });
   }
 
   /**
-   * Draw a labeled field (label: value format)
+   * Draw a labeled field (label: value format). A value too long for the
+   * label's line is wrapped on the lines below it, and the label is never
+   * left without at least the first of them.
    * @param {string} label - Field label
    * @param {string} value - Field value
    */
   drawField(label, value) {
-    const labelWidth = this.fontBold.widthOfTextAtSize(label + ': ', this.fonts.body);
-    const lineHeight = this.fonts.body * 1.4;
+    const labelText = `${label}: `;
+    const labelWidth = this.fontBold.widthOfTextAtSize(labelText, this.fonts.body);
+    const valueFits = this.font.widthOfTextAtSize(value, this.fonts.body) <= this.contentWidth - labelWidth;
+
+    const labelLine = {
+      height: this.fonts.body * this.theme.spacing.fieldLine,
+      draw: (y) => {
+        this.drawText(this.currentPage, labelText, {
+          x: this.margins.left,
+          y: y - this.fonts.body,
+          size: this.fonts.body,
+          font: this.fontBold,
+          color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
+        });
 
-    this.addPageIfNeeded(lineHeight);
+        // Simple case: value fits on the label's line
+        if (valueFits) {
+          this.drawText(this.currentPage, value, {
+            x: this.margins.left + labelWidth,
+            y: y - this.fonts.body,
+            size: this.fonts.body,
+            font: this.font,
+            color: rgb(this.colors.text.r, this.colors.text.g, this.colors.text.b)
+          });
+        }
+      }
+    };
 
-    // Draw label
-    this.currentPage.drawText(label + ': ', {
-      x: this.margins.left,
-      y: this.currentY - this.fonts.body,
-      size: this.fonts.body,
-      font: this.fontBold,
-      color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
+    const valueLines = valueFits ? [] : this.textLines(value, this.margins.left + 20, this.contentWidth - 20);
+    this.layout.add({
+      lines: [labelLine, ...valueLines],
+      begin: () => this.beginTag('P'),
+      end: () => this.endTag()
     });
+  }
 
-    // Draw value (wrapped if needed)
-    const valueX = this.margins.left + labelWidth;
-    const valueMaxWidth = this.contentWidth - labelWidth;
-
-    // Simple case: value fits on one line
-    const valueWidth = this.font.widthOfTextAtSize(value, this.fonts.body);
-    if (valueWidth <= valueMaxWidth) {
-      this.currentPage.drawText(value, {
-        x: valueX,
-        y: this.currentY - this.fonts.body,
-        size: this.fonts.body,
-        font: this.font,
-        color: rgb(this.colors.text.r, this.colors.text.g, this.colors.text.b)
-      });
-      this.currentY -= lineHeight;
-    } else {
-      // Value needs wrapping - draw on next line
-      this.currentY -= lineHeight;
-      this.drawWrappedText(value, this.margins.left + 20, this.contentWidth - 20);
-    }
+  /**
+   * Embed a report photo, remembering its image object so the attached
+   * report data can refer to it instead of storing the photo again
+   * @param {object} photo - { blob, width, height, ... }
+   * @returns {Promise<PDFImage>}
+   */
+  async embedPhoto(photo) {
+    const image = await this.pdfDoc.embedJpg(new Uint8Array(await photo.blob.arrayBuffer()));
+    this.photoImages.set(photo.blob, image.ref);
+    this.countEmbeddedPhoto();
+    return image;
   }
 
   /**
-   * Draw an image at current position
-   * @param {Uint8Array} imageBytes - Image data
+   * Draw an image, centered if narrowed by maxHeight
+   * @param {PDFImage} jpgImage - Embedded image
    * @param {number} maxWidth - Maximum width
    * @param {number} maxHeight - Maximum height (optional)
-   * @returns {number} - Height used
+   * @param {string} alt - Alternate text; decorative images (null) are tagged as artifacts
    */
-  async drawImage(imageBytes, maxWidth, maxHeight = null) {
-    const jpgImage = await this.pdfDoc.embedJpg(imageBytes);
-
+  drawImage(jpgImage, maxWidth, maxHeight = null, alt = null) {
     // Calculate dimensions maintaining aspect ratio
     const aspectRatio = jpgImage.width / jpgImage.height;
     let drawWidth = maxWidth;
@@ -265,67 +731,114 @@ export class PDFGenerator {
       drawWidth = drawHeight * aspectRatio;
     }
 
-    // Check if image fits on current page
-    if (this.addPageIfNeeded(drawHeight + 10)) {
-      // Added new page
-    }
+    this.layout.add({
+      height: drawHeight + 10,
+      draw: (y) => {
+        const draw = () => this.currentPage.drawImage(jpgImage, {
+          x: this.margins.left + (maxWidth - drawWidth) / 2,
+          y: y - drawHeight,
+          width: drawWidth,
+          height: drawHeight
+        });
 
-    this.currentPage.drawImage(jpgImage, {
-      x: this.margins.left,
-      y: this.currentY - drawHeight,
-      width: drawWidth,
-      height: drawHeight
+        if (alt) {
+          this.beginTag('Figure', { alt });
+          draw();
+          this.endTag();
+        } else {
+          this.drawArtifact(this.currentPage, draw);
+        }
+      }
     });
+  }
+
+  /**
+   * Lay out a photo's caption and credit as wrapped lines
+   * @param {{caption: string, credit: string}} image
+   * @param {number} width - Width available under the image
+   * @returns {{lines: Array<{text: string, size: number, color: object}>, height: number}}
+   */
+  layoutCaption(image, width) {
+    const blocks = [
+      { text: image.caption, size: this.fonts.caption, color: this.colors.text },
+      { text: image.credit && `Photo: ${image.credit}`, size: this.fonts.small, color: this.colors.secondary }
+    ];
+
+    const lines = [];
+    for (const block of blocks) {
+      if (!block.text || block.text.trim() === '') continue;
+      for (const text of this.wrapText(block.text.trim(), this.font, block.size, width)) {
+        lines.push({ text, size: block.size, color: block.color });
+      }
+    }
 
-    this.currentY -= drawHeight + 10;
+    const height = lines.reduce((total, line) => total + line.size * this.theme.lineHeight, 0);
+    return { lines, height: lines.length > 0 ? height + CAPTION_GAP : 0 };
+  }
 
-    return drawHeight + 10;
+  /**
+   * Draw caption lines laid out by layoutCaption
+   * @param {Array<{text: string, size: number, color: object}>} lines
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   */
+  drawCaption(lines, x, y) {
+    let lineY = y - CAPTION_GAP;
+    for (const line of lines) {
+      this.drawText(this.currentPage, line.text, {
+        x,
+        y: lineY - line.size,
+        size: line.size,
+        font: this.font,
+        color: rgb(line.color.r, line.color.g, line.color.b)
+      });
+      lineY -= line.size * this.theme.lineHeight;
+    }
   }
 
   /**
-   * Draw a grid of images
-   * @param {Array<Uint8Array>} images - Array of image data
+   * Draw a grid of images, each with its wrapped caption and credit underneath.
+   * Each row is as tall as its longest caption and is kept on one page.
+   * @param {Array<{image: PDFImage, alt: string, caption: string, credit: string}>} images
+   *   Embedded image, alternate text and (optional) caption and credit
    * @param {number} columns - Number of columns
    * @param {number} gap - Gap between images
    */
-  async drawImageGrid(images, columns = 2, gap = 10) {
-    if (images.length === 0) return;
-
+  drawImageGrid(images, columns = 2, gap = 10) {
     const imageWidth = (this.contentWidth - gap * (columns - 1)) / columns;
     const imageHeight = imageWidth / (IMAGE_CONFIG.width / IMAGE_CONFIG.height);
 
-    let col = 0;
-    let rowImages = [];
-
-    for (let i = 0; i < images.length; i++) {
-      rowImages.push(images[i]);
-      col++;
-
-      if (col === columns || i === images.length - 1) {
-        // Draw this row
-        const rowHeight = imageHeight + gap;
-
-        // Check if row fits on current page
-        if (this.addPageIfNeeded(rowHeight)) {
-          // New page added
-        }
+    for (let start = 0; start < images.length; start += columns) {
+      const row = [];
+      for (const image of images.slice(start, start + columns)) {
+        row.push({
+          alt: image.alt,
+          jpgImage: image.image,
+          caption: this.layoutCaption(image, imageWidth)
+        });
+      }
 
-        for (let j = 0; j < rowImages.length; j++) {
-          const jpgImage = await this.pdfDoc.embedJpg(rowImages[j]);
+      this.layout.add({
+        height: imageHeight + Math.max(...row.map(image => image.caption.height)) + gap,
+        draw: (y) => row.forEach((image, j) => {
           const x = this.margins.left + j * (imageWidth + gap);
 
-          this.currentPage.drawImage(jpgImage, {
+          this.beginTag('Figure', { alt: image.alt });
+          this.currentPage.drawImage(image.jpgImage, {
             x: x,
-            y: this.currentY - imageHeight,
+            y: y - imageHeight,
             width: imageWidth,
             height: imageHeight
           });
-        }
-
-        this.currentY -= rowHeight;
-        rowImages = [];
-        col = 0;
-      }
+          this.endTag();
+
+          if (image.caption.lines.length > 0) {
+            this.beginTag('Caption');
+            this.drawCaption(image.caption.lines, x, y - imageHeight);
+            this.endTag();
+          }
+        })
+      });
     }
   }
 
@@ -333,25 +846,15 @@ export class PDFGenerator {
    * Draw a horizontal line
    */
   drawLine() {
-    this.addPageIfNeeded(15);
-    this.currentY -= 5;
-
-    this.currentPage.drawLine({
-      start: { x: this.margins.left, y: this.currentY },
-      end: { x: PAGE_WIDTH - this.margins.right, y: this.currentY },
-      thickness: 0.5,
-      color: rgb(this.colors.lightGray.r, this.colors.lightGray.g, this.colors.lightGray.b)
+    this.layout.add({
+      height: 15,
+      draw: (y) => this.drawArtifact(this.currentPage, () => this.currentPage.drawLine({
+        start: { x: this.margins.left, y: y - 5 },
+        end: { x: this.pageWidth - this.margins.right, y: y - 5 },
+        thickness: 0.5,
+        color: rgb(this.colors.lightGray.r, this.colors.lightGray.g, this.colors.lightGray.b)
+      }))
     });
-
-    this.currentY -= 10;
-  }
-
-  /**
-   * Add vertical space
-   * @param {number} space - Space in points
-   */
-  addSpace(space) {
-    this.currentY -= space;
   }
 
   /**
@@ -359,13 +862,14 @@ export class PDFGenerator {
    * @param {Uint8Array} logoBytes - Logo image data (optional)
    */
   async drawOrgHeader(logoBytes = null) {
-    const headerHeight = 80;
+    let logoImage = null;
+    let logoWidth = 0;
+    let logoHeight = 0;
 
-    // Draw logo if available
+    // Embed logo if available
     if (logoBytes) {
       try {
         // Try PNG first, then JPEG
-        let logoImage;
         try {
           logoImage = await this.pdfDoc.embedPng(logoBytes);
         } catch {
@@ -376,259 +880,812 @@ export class PDFGenerator {
         const logoMaxWidth = 150;
         const logoAspect = logoImage.width / logoImage.height;
 
-        let logoWidth = logoMaxWidth;
-        let logoHeight = logoWidth / logoAspect;
+        logoWidth = logoMaxWidth;
+        logoHeight = logoWidth / logoAspect;
 
         if (logoHeight > logoMaxHeight) {
           logoHeight = logoMaxHeight;
           logoWidth = logoHeight * logoAspect;
         }
-
-        this.currentPage.drawImage(logoImage, {
-          x: this.margins.left,
-          y: this.currentY - logoHeight,
-          width: logoWidth,
-          height: logoHeight
-        });
       } catch (e) {
+        logoImage = null;
+        logoHeight = 0;
         console.warn('Could not embed logo:', e);
       }
     }
 
-    // Draw organization name and address on the right
-    const rightX = PAGE_WIDTH - this.margins.right;
-    let textY = this.currentY - 12;
-
-    // Organization name
-    const nameWidth = this.fontBold.widthOfTextAtSize(ORG_CONFIG.name, 11);
-    this.currentPage.drawText(ORG_CONFIG.name, {
-      x: rightX - nameWidth,
-      y: textY,
-      size: 11,
-      font: this.fontBold,
-      color: rgb(this.colors.primary.r, this.colors.primary.g, this.colors.primary.b)
-    });
-    textY -= 14;
+    // Address and contact lines
+    const contactLines = [...ORG_CONFIG.address];
+    if (ORG_CONFIG.phone) contactLines.push(`Tel. ${ORG_CONFIG.phone}`);
+    if (ORG_CONFIG.email) contactLines.push(ORG_CONFIG.email);
+
+    // Taller of the logo and the text block, which ends at the website line
+    const textHeight = 12 + 14 + contactLines.length * 12 + 4;
+
+    this.layout.add({
+      height: Math.max(logoHeight, textHeight),
+      draw: (top) => {
+        if (logoImage) {
+          this.beginTag('Figure', { alt: `${ORG_CONFIG.name} logo` });
+          this.currentPage.drawImage(logoImage, {
+            x: this.margins.left,
+            y: top - logoHeight,
+            width: logoWidth,
+            height: logoHeight
+          });
+          this.endTag();
+        }
 
-    // Address lines
-    for (const line of ORG_CONFIG.address) {
-      const lineWidth = this.font.widthOfTextAtSize(line, 9);
-      this.currentPage.drawText(line, {
-        x: rightX - lineWidth,
-        y: textY,
-        size: 9,
-        font: this.font,
-        color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
-      });
-      textY -= 12;
-    }
+        // Draw organization name and address on the right
+        const rightX = this.pageWidth - this.margins.right;
+        let textY = top - 12;
+
+        // Organization name, address and contact lines read as one block
+        this.beginTag('P');
+
+        // Organization name
+        const nameWidth = this.fontBold.widthOfTextAtSize(ORG_CONFIG.name, 11);
+        this.drawText(this.currentPage, ORG_CONFIG.name, {
+          x: rightX - nameWidth,
+          y: textY,
+          size: 11,
+          font: this.fontBold,
+          color: rgb(this.colors.primary.r, this.colors.primary.g, this.colors.primary.b)
+        });
+        textY -= 14;
+
+        for (const line of contactLines) {
+          const lineWidth = this.font.widthOfTextAtSize(line, 9);
+          this.drawText(this.currentPage, line, {
+            x: rightX - lineWidth,
+            y: textY,
+            size: 9,
+            font: this.font,
+            color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
+          });
+          textY -= 12;
+        }
 
-    // Website
-    const webWidth = this.font.widthOfTextAtSize(ORG_CONFIG.website, 9);
-    this.currentPage.drawText(ORG_CONFIG.website, {
-      x: rightX - webWidth,
-      y: textY,
-      size: 9,
-      font: this.font,
-      color: rgb(this.colors.accent.r, this.colors.accent.g, this.colors.accent.b)
+        // Website
+        const webWidth = this.font.widthOfTextAtSize(ORG_CONFIG.website, 9);
+        this.drawText(this.currentPage, ORG_CONFIG.website, {
+          x: rightX - webWidth,
+          y: textY,
+          size: 9,
+          font: this.font,
+          color: rgb(this.colors.accent.r, this.colors.accent.g, this.colors.accent.b)
+        });
+        this.endTag();
+      }
     });
 
-    this.currentY -= headerHeight;
     this.drawLine();
   }
 
+  /**
+   * Draw the running header (instructor name, school year) at the top of a page
+   * @param {PDFPage} page
+   * @param {object} report - Complete report data
+   */
+  drawRunningHeader(page, report) {
+    const { width, height } = page.getSize();
+    const y = height - this.margins.top / 2;
+    const secondary = rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b);
+
+    if (report.instructorName) {
+      this.drawText(page, report.instructorName, {
+        x: this.margins.left,
+        y,
+        size: RUNNING_TEXT_SIZE,
+        font: this.fontBold,
+        color: secondary
+      });
+    }
+
+    if (report.schoolYear) {
+      const yearText = `School Year ${report.schoolYear}`;
+      const yearWidth = this.font.widthOfTextAtSize(yearText, RUNNING_TEXT_SIZE);
+      this.drawText(page, yearText, {
+        x: width - this.margins.right - yearWidth,
+        y,
+        size: RUNNING_TEXT_SIZE,
+        font: this.font,
+        color: secondary
+      });
+    }
+
+    page.drawLine({
+      start: { x: this.margins.left, y: y - 5 },
+      end: { x: width - this.margins.right, y: y - 5 },
+      thickness: 0.5,
+      color: rgb(this.colors.lightGray.r, this.colors.lightGray.g, this.colors.lightGray.b)
+    });
+  }
+
+  /**
+   * Draw the footer (organization contact line, "Page X of Y") at the bottom of a page
+   * @param {PDFPage} page
+   * @param {number} pageNumber - 1-based page number
+   * @param {number} pageCount - Total number of pages
+   */
+  drawFooter(page, pageNumber, pageCount) {
+    const { width } = page.getSize();
+    const y = this.margins.bottom / 2 - RUNNING_TEXT_SIZE / 2;
+    const secondary = rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b);
+
+    page.drawLine({
+      start: { x: this.margins.left, y: y + RUNNING_TEXT_SIZE + 4 },
+      end: { x: width - this.margins.right, y: y + RUNNING_TEXT_SIZE + 4 },
+      thickness: 0.5,
+      color: rgb(this.colors.lightGray.r, this.colors.lightGray.g, this.colors.lightGray.b)
+    });
+
+    const pageText = `Page ${pageNumber} of ${pageCount}`;
+    const pageTextWidth = this.fontBold.widthOfTextAtSize(pageText, RUNNING_TEXT_SIZE);
+    this.drawText(page, pageText, {
+      x: width - this.margins.right - pageTextWidth,
+      y,
+      size: RUNNING_TEXT_SIZE,
+      font: this.fontBold,
+      color: secondary
+    });
+
+    // Short checksum under the page number, to compare with Check a Report
+    if (this.fingerprint) {
+      const fingerprintText = `Checksum ${formatShortFingerprint(this.fingerprint)}`;
+      const fingerprintSize = RUNNING_TEXT_SIZE - 1.5;
+      this.drawText(page, fingerprintText, {
+        x: width - this.margins.right - this.font.widthOfTextAtSize(fingerprintText, fingerprintSize),
+        y: y - RUNNING_TEXT_SIZE - 2,
+        size: fingerprintSize,
+        font: this.font,
+        color: secondary
+      });
+    }
+
+    // Contact details, dropping trailing items that would run into the page number
+    const maxContactWidth = width - this.margins.left - this.margins.right - pageTextWidth - 20;
+    const contactParts = [ORG_CONFIG.name, ORG_CONFIG.phone, ORG_CONFIG.email, ORG_CONFIG.website].filter(Boolean);
+    let contactLine = contactParts.join('  ·  ');
+    while (contactParts.length > 1 && this.font.widthOfTextAtSize(contactLine, RUNNING_TEXT_SIZE) > maxContactWidth) {
+      contactParts.pop();
+      contactLine = contactParts.join('  ·  ');
+    }
+
+    this.drawText(page, contactLine, {
+      x: this.margins.left,
+      y,
+      size: RUNNING_TEXT_SIZE,
+      font: this.font,
+      color: secondary
+    });
+  }
+
+  /**
+   * Draw the running header and footer on every page. Runs after layout,
+   * once the total page count is known.
+   * @param {object} report - Complete report data
+   */
+  drawPageDecorations(report) {
+    const pages = this.pdfDoc.getPages();
+    pages.forEach((page, i) => {
+      this.drawArtifact(page, () => {
+        this.drawRunningHeader(page, report);
+        this.drawFooter(page, i + 1, pages.length);
+      });
+    });
+  }
+
   /**
    * Draw the document title
    * @param {string} title - Main title
    */
   drawTitle(title) {
-    this.addSpace(10);
-
     const titleWidth = this.fontBold.widthOfTextAtSize(title, this.fonts.title);
-    const centerX = (PAGE_WIDTH - titleWidth) / 2;
-
-    this.currentPage.drawText(title, {
-      x: centerX,
-      y: this.currentY - this.fonts.title,
-      size: this.fonts.title,
-      font: this.fontBold,
-      color: rgb(this.colors.primary.r, this.colors.primary.g, this.colors.primary.b)
+    const centerX = (this.pageWidth - titleWidth) / 2;
+
+    this.layout.add({
+      height: this.fonts.title + 20,
+      spaceBefore: 10,
+      draw: (y) => {
+        this.beginTag('H1');
+        this.drawText(this.currentPage, title, {
+          x: centerX,
+          y: y - this.fonts.title,
+          size: this.fonts.title,
+          font: this.fontBold,
+          color: rgb(this.colors.primary.r, this.colors.primary.g, this.colors.primary.b)
+        });
+        this.endTag();
+      }
     });
+  }
 
-    this.currentY -= this.fonts.title + 20;
+  /**
+   * Draw the header photo at the theme's size
+   * @param {object} photo - Processed photo
+   */
+  async drawHeaderPhoto(photo) {
+    const image = await this.embedPhoto(photo);
+    const maxHeight = Math.min(250, this.contentHeight * this.theme.photos.headerPhotoHeight);
+    this.drawImage(image, this.contentWidth, maxHeight, photo.description || 'Header photo');
   }
 
   /**
-   * Draw student distribution table
+   * Draw the general information section
+   * @param {object} report - Complete report data
+   */
+  drawGeneralInformation(report) {
+    this.openGroup('Sect');
+    this.drawHeading('General Information', 2, 'General Information');
+    this.drawField('Instructor Name', report.instructorName);
+    this.drawField('School Year', report.schoolYear);
+    this.drawField('School Type', report.schoolType);
+    this.closeGroup();
+
+    this.layout.space(this.theme.spacing.section);
+  }
+
+  /**
+   * Draw the student distribution chart with its legend
    * @param {Array<{label: string, percent: number}>} categories
    */
-  drawDistributionTable(categories) {
-    this.drawHeading('Student Distribution', 2);
+  drawDistributionChart(categories) {
+    const segments = chartSegments(categories);
 
-    const colWidth = this.contentWidth / 2;
-    const rowHeight = 20;
-    let col = 0;
-    let startY = this.currentY;
+    // The heading stays with the whole pie chart, or with the first bar
+    this.openGroup('Sect');
+    this.drawHeading('Student Distribution', 2, 'Student Distribution');
 
-    for (let i = 0; i < categories.length; i++) {
-      const cat = categories[i];
-      if (cat.percent === 0) continue;
+    if (segments.length > 0) {
+      if (this.chartType === 'bars') {
+        this.drawBarChart(segments);
+      } else {
+        this.drawPieChart(segments, this.chartType === 'donut');
+      }
+    }
 
-      const x = this.margins.left + (col * colWidth);
+    this.closeGroup();
+    this.layout.space(10);
+  }
 
-      // Check if we need new page
-      if (this.currentY - rowHeight < this.margins.bottom) {
-        this.addNewPage();
-        startY = this.currentY;
+  /**
+   * Draw a category's label and percentage as a tagged table row
+   * @param {{label: string, percent: number}} segment
+   * @param {number} labelX - Left edge of the label
+   * @param {number} percentX - Left edge of the percentage
+   * @param {number} y - Text baseline of the percentage; a wrapped label is centered on it
+   * @param {Array<string>} labelLines - The label wrapped into lines
+   * @param {number} lineStep - Distance between label baselines
+   */
+  drawDistributionRow(segment, labelX, percentX, y, labelLines = [segment.label], lineStep = 0) {
+    const textColor = rgb(this.colors.text.r, this.colors.text.g, this.colors.text.b);
+    const options = { y, size: this.fonts.body, font: this.font, color: textColor };
+
+    this.openGroup('TR');
+    this.beginTag('TD');
+    labelLines.forEach((line, i) => {
+      const lineY = y + ((labelLines.length - 1) / 2 - i) * lineStep;
+      this.drawText(this.currentPage, line, { ...options, x: labelX, y: lineY });
+    });
+    this.endTag();
+    this.beginTag('TD');
+    this.drawText(this.currentPage, `${segment.percent}%`, { ...options, x: percentX });
+    this.endTag();
+    this.closeGroup();
+  }
+
+  /**
+   * Size of a pie or donut chart and its legend. Labels wider than the room
+   * left beside the chart wrap, and their legend row grows to fit.
+   * @param {Array<object>} segments - From chartSegments
+   * @returns {{size: number, legendX: number, labelWidth: number, lineStep: number, rows: Array<{labelLines: Array<string>, height: number}>, height: number}}
+   */
+  pieChartLayout(segments) {
+    const fontSize = this.fonts.body;
+    const size = Math.min(PIE_CHART_SIZE, this.contentWidth * 0.4);
+    const rowHeight = fontSize * 2;
+    const lineStep = fontSize * this.theme.lineHeight;
+
+    // Swatch, label and percentage to the right of the chart
+    const legendX = this.margins.left + size + 30;
+    const percentWidth = this.font.widthOfTextAtSize('100%', fontSize);
+    const labelWidth = Math.min(
+      this.margins.left + this.contentWidth - percentWidth - 8 - (legendX + 18),
+      Math.max(...segments.map(s => this.font.widthOfTextAtSize(`${s.label}:`, fontSize)))
+    );
+
+    const rows = segments.map(segment => {
+      const labelLines = this.wrapText(segment.label, this.font, fontSize, labelWidth);
+      return { labelLines, height: rowHeight + (labelLines.length - 1) * lineStep };
+    });
+    const legendHeight = rows.reduce((sum, row) => sum + row.height, 0);
+
+    return { size, legendX, labelWidth, lineStep, rows, height: Math.max(size, legendHeight) + 10 };
+  }
+
+  /**
+   * Draw a pie or donut chart with a legend to its right
+   * @param {Array<{label: string, percent: number, color: object}>} segments - From chartSegments
+   * @param {boolean} donut - Leave a hole in the middle
+   */
+  drawPieChart(segments, donut) {
+    const fontSize = this.fonts.body;
+    const { size, legendX, labelWidth, lineStep, rows, height } = this.pieChartLayout(segments);
+
+    this.layout.add({
+      height,
+      draw: (top) => {
+        const page = this.currentPage;
+
+        this.beginTag('Figure', { alt: describeChart(segments) });
+        for (const slice of pieSlices(segments, size, donut)) {
+          page.drawSvgPath(slice.d, {
+            x: this.margins.left,
+            y: top,
+            color: rgb(slice.color.r, slice.color.g, slice.color.b),
+            borderColor: rgb(1, 1, 1),
+            borderWidth: 1
+          });
+        }
+        this.endTag();
+
+        // Legend: swatch, label and percentage per category
+        this.openGroup('Table');
+        let rowTop = top;
+        segments.forEach((segment, i) => {
+          const { labelLines, height: rowHeight } = rows[i];
+          const middle = rowTop - rowHeight / 2;
+          this.drawArtifact(page, () => page.drawRectangle({
+            x: legendX,
+            y: middle - 5,
+            width: 10,
+            height: 10,
+            color: rgb(segment.color.r, segment.color.g, segment.color.b)
+          }));
+          this.drawDistributionRow(
+            segment, legendX + 18, legendX + 18 + labelWidth + 8, middle - fontSize * 0.35, labelLines, lineStep
+          );
+          rowTop -= rowHeight;
+        });
+        this.closeGroup();
       }
+    });
+  }
 
-      // Draw category label and percentage
-      const text = `${cat.label}: ${cat.percent}%`;
-      this.currentPage.drawText(text, {
-        x: x + 10,
-        y: this.currentY - 14,
-        size: this.fonts.body,
-        font: this.font,
-        color: rgb(this.colors.text.r, this.colors.text.g, this.colors.text.b)
+  /**
+   * Draw a horizontal bar chart: label, bar and percentage per row.
+   * Labels wider than their column wrap, and their row grows to fit.
+   * @param {Array<{label: string, percent: number, color: object}>} segments - From chartSegments
+   */
+  drawBarChart(segments) {
+    const fontSize = this.fonts.body;
+    const rowHeight = fontSize * BAR_ROW_HEIGHT;
+    const lineStep = fontSize * this.theme.lineHeight;
+    const labelWidth = Math.min(
+      this.contentWidth * 0.35,
+      Math.max(...segments.map(s => this.font.widthOfTextAtSize(s.label, fontSize))) + 10
+    );
+    const percentWidth = this.font.widthOfTextAtSize('100%', fontSize) + 10;
+    const barX = this.margins.left + labelWidth;
+    const barWidth = this.contentWidth - labelWidth - percentWidth;
+
+    // One block per row, so the table can break between rows; it is tagged
+    // as the first row is drawn and closed after the last
+    const rows = barRows(segments, { width: barWidth, rowHeight, barHeight: fontSize });
+    rows.forEach((row, i) => {
+      const labelLines = this.wrapText(row.label, this.font, fontSize, labelWidth - 10);
+      const height = Math.max(rowHeight, rowHeight + (labelLines.length - 1) * lineStep);
+
+      this.layout.add({
+        height,
+        draw: (rowTop) => {
+          if (i === 0) this.openGroup('Table');
+
+          // Bar paths are offset by their row; draw relative to this row's top,
+          // moved down to stay centered in a row grown for a wrapped label
+          this.drawArtifact(this.currentPage, () => this.currentPage.drawSvgPath(row.d, {
+            x: barX,
+            y: rowTop + row.y - (height - rowHeight) / 2,
+            color: rgb(row.color.r, row.color.g, row.color.b)
+          }));
+          this.drawDistributionRow(
+            row, this.margins.left, barX + barWidth + 6, rowTop - height / 2 - fontSize * 0.35, labelLines, lineStep
+          );
+
+          if (i === rows.length - 1) this.closeGroup();
+        }
       });
+    });
+    this.layout.space(5);
+  }
 
-      // Draw simple bar
-      const barWidth = (cat.percent / 100) * (colWidth - 80);
-      this.currentPage.drawRectangle({
-        x: x + 10,
-        y: this.currentY - rowHeight + 2,
-        width: barWidth,
-        height: 4,
-        color: rgb(this.colors.primary.r, this.colors.primary.g, this.colors.primary.b)
+  /**
+   * Draw the closing attestation page: each signer's certification
+   * statement, drawn signature, name, role and date
+   * @param {object} report - Complete report data
+   */
+  async drawAttestation(report) {
+    this.layout.newPage();
+    this.openGroup('Sect');
+    this.drawHeading(ATTESTATION.title, 1, ATTESTATION.title);
+
+    for (const key of getSigners(report)) {
+      const signer = report.attestation[key];
+      const { role } = ATTESTATION.signers[key];
+
+      this.layout.space(this.theme.spacing.block);
+      this.drawWrappedText(formatAttestationStatement(key, report), this.margins.left, this.contentWidth);
+      this.layout.space(this.theme.spacing.section);
+
+      // The signature is kept together with the name, role and date under it
+      const image = signer.signature ? await this.pdfDoc.embedPng(signer.signature) : null;
+      const lines = [
+        { text: signer.name, size: this.fonts.body, font: this.fontBold, color: this.colors.text },
+        { text: role, size: this.fonts.small, font: this.font, color: this.colors.secondary },
+        { text: signer.date && `Date: ${formatSignatureDate(signer.date)}`, size: this.fonts.small, font: this.font, color: this.colors.secondary }
+      ].filter(line => line.text);
+      const captionHeight = lines.reduce((total, line) => total + line.size * this.theme.lineHeight, 0);
+
+      this.layout.add({
+        height: SIGNATURE_HEIGHT + 4 + captionHeight,
+        draw: (top) => {
+          const lineY = top - SIGNATURE_HEIGHT;
+          if (image) {
+            this.beginTag('Figure', { alt: `Signature of ${signer.name || role}` });
+            this.currentPage.drawImage(image, {
+              x: this.margins.left,
+              y: lineY,
+              width: SIGNATURE_WIDTH,
+              height: SIGNATURE_HEIGHT
+            });
+            this.endTag();
+          }
+
+          this.drawArtifact(this.currentPage, () => this.currentPage.drawLine({
+            start: { x: this.margins.left, y: lineY },
+            end: { x: this.margins.left + SIGNATURE_WIDTH, y: lineY },
+            thickness: 0.75,
+            color: rgb(this.colors.text.r, this.colors.text.g, this.colors.text.b)
+          }));
+
+          let y = lineY - 4;
+          this.beginTag('P');
+          for (const line of lines) {
+            this.drawText(this.currentPage, line.text, {
+              x: this.margins.left,
+              y: y - line.size,
+              size: line.size,
+              font: line.font,
+              color: rgb(line.color.r, line.color.g, line.color.b)
+            });
+            y -= line.size * this.theme.lineHeight;
+          }
+          this.endTag();
+        }
       });
 
-      col++;
-      if (col === 2) {
-        col = 0;
-        this.currentY -= rowHeight;
-      }
-    }
-
-    if (col !== 0) {
-      this.currentY -= rowHeight;
+      this.layout.space(this.theme.spacing.heading.above);
     }
 
-    this.addSpace(10);
+    this.closeGroup();
   }
 
   /**
    * Draw an activity section
    * @param {object} activity - Activity data
    * @param {number} index - Activity number
-   * @param {object} config - Activity configuration with prompts
+   * @param {object} type - Activity type definition (config/activities.js)
    */
-  async drawActivity(activity, index, config) {
-    // Start each activity on a new page
-    this.addNewPage();
+  async drawActivity(activity, index, type) {
+    // Start each activity on a new page, or continue if the theme lets activities flow
+    const { pageBreaks } = this.theme;
+    if (pageBreaks.activity === 'page') {
+      this.layout.newPage();
+    } else {
+      this.layout.requireSpace(pageBreaks.minActivitySpace);
+    }
+    this.openGroup('Sect');
 
     // Activity heading
-    this.drawHeading(`Activity #${index}`, 1);
+    this.drawHeading(`Activity #${index}`, 1, `Activity #${index}: ${type.title}`);
+
+    // Fields and photos in the theme's order
+    const parts = {
+      fields: () => this.drawActivityFields(activity, type),
+      photos: () => this.drawActivityPhotos(activity, index)
+    };
+    for (const [i, part] of this.theme.activitySections.entries()) {
+      if (i > 0) this.layout.space(this.theme.spacing.section);
+      await parts[part]();
+    }
 
-    // Activity details
-    this.drawField('Date or Time Period', activity.date);
-    this.drawField('Location', activity.location);
+    this.drawLine();
+    this.closeGroup();
+  }
 
-    // Extra fields for Activity 2 (Virtual Exchange)
-    if (activity.typeIndex === 1) {
-      const mediumDisplay = activity.medium === 'Other'
-        ? `Other: ${activity.mediumOther}`
-        : activity.medium;
-      this.drawField('Medium of Communication', mediumDisplay);
-      this.drawField('Country of Foreign School', activity.foreignCountry);
-      this.drawField('Name of Foreign School', activity.foreignSchoolName);
-      this.drawField('Address of Foreign School', activity.foreignSchoolAddress);
-    }
+  /**
+   * Draw an activity's fields in definition order; long text gets its own labeled block
+   * @param {object} activity - Activity data
+   * @param {object} type - Activity type definition (config/activities.js)
+   */
+  drawActivityFields(activity, type) {
+    for (const field of type.fields) {
+      if (field.kind !== 'longtext') {
+        this.drawField(field.label, formatActivityField(activity, field));
+        continue;
+      }
 
-    this.drawField('Audience for and Participants in', activity.participants);
+      this.layout.space(this.theme.spacing.block);
+      this.drawLabel(`${field.label}:`, this.fonts.body * 1.5);
+      this.drawRichText(activity[field.key], this.margins.left + 10, this.contentWidth - 10);
+    }
+  }
 
-    this.addSpace(10);
+  /**
+   * Draw an activity's photo grid under an "Activity Photos" label
+   * @param {object} activity - Activity data
+   * @param {number} index - Activity number
+   */
+  async drawActivityPhotos(activity, index) {
+    if (!activity.photos || activity.photos.length === 0) return;
+
+    this.drawLabel('Activity Photos:', this.fonts.body * 1.5 + 5);
+
+    // Embed the photos and draw grid
+    const images = [];
+    for (const [i, photo] of activity.photos.entries()) {
+      images.push({
+        image: await this.embedPhoto(photo),
+        alt: photo.description || `Activity #${index} photo ${i + 1}`,
+        caption: photo.caption,
+        credit: photo.credit
+      });
+    }
 
-    // Description
-    this.currentPage.drawText('Description:', {
-      x: this.margins.left,
-      y: this.currentY - this.fonts.body,
-      size: this.fonts.body,
-      font: this.fontBold,
-      color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
-    });
-    this.currentY -= this.fonts.body * 1.5;
+    this.drawImageGrid(images, this.photoColumns(images.length), this.theme.photos.gap);
+  }
 
-    this.drawWrappedText(activity.description, this.margins.left + 10, this.contentWidth - 10);
+  /**
+   * Number of photo grid columns the theme uses for a number of photos
+   * @param {number} count - Number of photos
+   * @returns {number}
+   */
+  photoColumns(count) {
+    const { columns, landscapeColumns } = this.theme.photos;
+    return columns[Math.min(count, columns.length) - 1] + (this.isLandscape() ? landscapeColumns : 0);
+  }
 
-    this.addSpace(10);
+  /**
+   * Explicit destination for a recorded section: its page, scrolled to the heading
+   * @param {{page: PDFPage, y: number}} section
+   * @returns {PDFArray}
+   */
+  sectionDestination(section) {
+    return this.pdfDoc.context.obj([section.page.ref, 'XYZ', null, section.y + 10, null]);
+  }
 
-    // Impact
-    this.currentPage.drawText('Estimated Impact:', {
+  /**
+   * Insert a table of contents page after the first page, with clickable
+   * links to each recorded section. Runs after layout so page numbers are final.
+   */
+  drawTableOfContents() {
+    const page = this.pdfDoc.insertPage(1, [this.pageWidth, this.pageHeight]);
+    const pages = this.pdfDoc.getPages();
+    const fontSize = this.fonts.subheading;
+    const lineHeight = fontSize * 2;
+    const rightX = this.pageWidth - this.margins.right;
+    let y = this.pageHeight - this.margins.top - 20;
+
+    // In reading order the contents follow the title block on page 1
+    if (this.structure) this.structure.open('Sect', {}, this.tocPosition);
+
+    this.beginTag('H2', {}, page);
+    this.drawText(page, 'Contents', {
       x: this.margins.left,
-      y: this.currentY - this.fonts.body,
-      size: this.fonts.body,
+      y: y - this.fonts.title,
+      size: this.fonts.title,
       font: this.fontBold,
-      color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
+      color: rgb(this.colors.primary.r, this.colors.primary.g, this.colors.primary.b)
     });
-    this.currentY -= this.fonts.body * 1.5;
+    this.endTag();
+    y -= this.fonts.title + 30;
 
-    this.drawWrappedText(activity.impact, this.margins.left + 10, this.contentWidth - 10);
+    this.openGroup('TOC');
 
-    this.addSpace(15);
+    for (const section of this.sections) {
+      const pageLabel = String(pages.indexOf(section.page) + 1);
+      const pageLabelWidth = this.font.widthOfTextAtSize(pageLabel, fontSize);
+      const titleWidth = this.font.widthOfTextAtSize(section.title, fontSize);
+      const textY = y - fontSize;
 
-    // Photos
-    if (activity.photos && activity.photos.length > 0) {
-      this.currentPage.drawText('Activity Photos:', {
+      this.openGroup('TOCI');
+      this.beginTag('Link', {}, page);
+      this.drawText(page, section.title, {
         x: this.margins.left,
-        y: this.currentY - this.fonts.body,
-        size: this.fonts.body,
-        font: this.fontBold,
+        y: textY,
+        size: fontSize,
+        font: this.font,
+        color: rgb(this.colors.text.r, this.colors.text.g, this.colors.text.b)
+      });
+      this.drawText(page, pageLabel, {
+        x: rightX - pageLabelWidth,
+        y: textY,
+        size: fontSize,
+        font: this.font,
+        color: rgb(this.colors.text.r, this.colors.text.g, this.colors.text.b)
+      });
+
+      // The whole row links to the section (printable, with a description
+      // for screen readers)
+      const link = this.pdfDoc.context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [this.margins.left, textY - 4, rightX, textY + fontSize],
+        Border: [0, 0, 0],
+        F: 4,
+        Contents: PDFHexString.fromText(`${section.title}, page ${pageLabel}`),
+        Dest: this.sectionDestination(section)
+      });
+      const linkRef = this.pdfDoc.context.register(link);
+      page.node.addAnnot(linkRef);
+      if (this.structure) this.structure.addAnnotation(page, link, linkRef);
+
+      this.endTag();
+      this.closeGroup();
+
+      // Dotted leader between the title and the page number
+      this.drawArtifact(page, () => page.drawLine({
+        start: { x: this.margins.left + titleWidth + 8, y: textY + 2 },
+        end: { x: rightX - pageLabelWidth - 8, y: textY + 2 },
+        thickness: 1,
+        dashArray: [1, 3],
         color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
+      }));
+
+      y -= lineHeight;
+    }
+
+    this.closeGroup();
+    this.closeGroup();
+  }
+
+  /**
+   * Build the document outline (bookmarks) from the recorded sections
+   */
+  buildOutline() {
+    if (this.sections.length === 0) return;
+
+    const context = this.pdfDoc.context;
+    const outlineRef = context.nextRef();
+    const itemRefs = this.sections.map(() => context.nextRef());
+
+    this.sections.forEach((section, i) => {
+      const item = context.obj({
+        Title: PDFHexString.fromText(section.title),
+        Parent: outlineRef,
+        Dest: this.sectionDestination(section)
       });
-      this.currentY -= this.fonts.body * 1.5 + 5;
+      if (i > 0) item.set(PDFName.of('Prev'), itemRefs[i - 1]);
+      if (i < itemRefs.length - 1) item.set(PDFName.of('Next'), itemRefs[i + 1]);
+      context.assign(itemRefs[i], item);
+    });
 
-      // Convert blobs to Uint8Arrays and draw grid
-      const imageBytes = [];
-      for (const photo of activity.photos) {
-        const arrayBuffer = await photo.blob.arrayBuffer();
-        imageBytes.push(new Uint8Array(arrayBuffer));
-      }
+    context.assign(outlineRef, context.obj({
+      Type: 'Outlines',
+      First: itemRefs[0],
+      Last: itemRefs[itemRefs.length - 1],
+      Count: itemRefs.length
+    }));
+
+    this.pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+    this.pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+  }
 
-      // Use 2 columns for 3+ images, 1 column for 1-2 images
-      const columns = imageBytes.length <= 2 ? 1 : 2;
-      await this.drawImageGrid(imageBytes, columns, 10);
+  /**
+   * Attach the report bundle (data + photos) so the PDF can be reopened for
+   * editing. Photos drawn on the pages are referred to by their image objects
+   * ("12 0 R") instead of being stored a second time.
+   * @param {object} report - Complete report data
+   */
+  async attachReportData(report) {
+    const externalImages = new Map(Array.from(this.photoImages, ([blob, ref]) => [blob, ref.toString()]));
+    const bundle = await exportReportBundle(report, { externalImages });
+    const now = new Date();
+
+    await this.pdfDoc.attach(new Uint8Array(await bundle.arrayBuffer()), REPORT_ATTACHMENT_NAME, {
+      mimeType: 'application/zip',
+      description: 'Report data for re-editing in the Cultural Activities Report app',
+      creationDate: now,
+      modificationDate: now
+    });
+  }
+
+  /**
+   * Finish an archival PDF: write the structure tree and the metadata,
+   * output intent and file identifier PDF/A-2b requires
+   */
+  async applyArchivalConformance() {
+    const { title, author, subject, language, iccProfilePath } = ORG_CONFIG.pdf;
+    const creator = `${ORG_CONFIG.name} Cultural Activities Report`;
+    const producer = 'pdf-lib';
+    const date = new Date();
+
+    const iccProfile = await fetchAsset(iccProfilePath, 'color profile');
+    if (!iccProfile) {
+      throw new Error('Archival PDFs need the sRGB color profile, which could not be loaded.');
     }
 
-    this.drawLine();
+    this.structure.build(language);
+
+    // The information dictionary and the XMP metadata must agree
+    this.pdfDoc.setCreator(creator);
+    this.pdfDoc.setProducer(producer);
+    this.pdfDoc.setCreationDate(date);
+    this.pdfDoc.setModificationDate(date);
+    setXmpMetadata(this.pdfDoc, buildXmpMetadata({ title, author, subject, creator, producer, date, language }));
+
+    addSrgbOutputIntent(this.pdfDoc, iccProfile);
+    setDocumentId(this.pdfDoc);
   }
 
   /**
    * Generate the complete PDF
    * @param {object} report - Complete report data
-   * @param {function} onProgress - Progress callback
+   * @param {function} onProgress - Progress callback, called with a status line
+   *   and { photosEmbedded, photoTotal, pages } (see reportProgress)
+   * @param {object} options
+   * @param {boolean} options.tableOfContents - Insert a contents page after page 1
+   *   (defaults to ORG_CONFIG.pdf.tableOfContents)
+   * @param {string} options.pageSize - Key of PAGE_SIZES (defaults to ORG_CONFIG.pdf.pageSize)
+   * @param {string} options.orientation - 'portrait' or 'landscape'
+   *   (defaults to ORG_CONFIG.pdf.orientation)
+   * @param {string} options.theme - Key of PDF_THEMES (defaults to ORG_CONFIG.pdf.theme)
+   * @param {string} options.chart - Distribution chart, key of CHART_TYPES (defaults to ORG_CONFIG.pdf.chart)
+   * @param {boolean} options.archival - Produce a tagged PDF/A-2b file. PDF/A
+   *   does not allow the embedded report data, so it cannot be reopened for
+   *   editing (defaults to ORG_CONFIG.pdf.archival)
    * @returns {Uint8Array} - PDF bytes
    */
-  async generate(report, onProgress = () => {}) {
-    onProgress('Initializing PDF...');
-    await this.init();
+  async generate(report, onProgress = () => {}, {
+    tableOfContents = ORG_CONFIG.pdf.tableOfContents,
+    pageSize = ORG_CONFIG.pdf.pageSize,
+    orientation = ORG_CONFIG.pdf.orientation,
+    theme = ORG_CONFIG.pdf.theme,
+    chart = ORG_CONFIG.pdf.chart,
+    archival = ORG_CONFIG.pdf.archival
+  } = {}) {
+    if (!CHART_TYPES[chart]) {
+      throw new Error(`Unknown chart type: ${chart}`);
+    }
+    this.setTheme(theme);
+    this.chartType = chart;
+    this.setPageSize(pageSize, orientation);
+    this.archival = archival;
+    this.onProgress = onProgress;
+    this.photoTotal = listReportPhotos(report).length;
+    this.photosEmbedded = 0;
+
+    this.reportProgress('Computing report checksum...');
+    this.fingerprint = await fingerprintReport(report);
+
+    this.reportProgress('Initializing PDF...');
+    await this.init(collectReportText(report));
+    this.pdfDoc.getInfoDict().set(PDFName.of(FINGERPRINT_INFO_KEY), PDFHexString.fromText(this.fingerprint));
+
+    // Letterhead: logo, name, address and contact details
+    this.reportProgress('Adding letterhead...');
+    const logoBytes = await fetchAsset(ORG_CONFIG.logoPath, 'logo');
+    await this.drawOrgHeader(logoBytes);
 
     // Fetch header image (decorative banner) if available
-    let headerImageBytes = null;
-    try {
-      const headerResponse = await fetch(ORG_CONFIG.headerImagePath);
-      if (headerResponse.ok) {
-        const headerBlob = await headerResponse.blob();
-        headerImageBytes = new Uint8Array(await headerBlob.arrayBuffer());
-      }
-    } catch (e) {
-      console.warn('Could not load header image:', e);
-    }
+    const headerImageBytes = await fetchAsset(ORG_CONFIG.headerImagePath, 'header image');
 
-    // Draw header image at the very top of the first page
+    // Draw header image below the letterhead (decorative, no alt text)
     if (headerImageBytes) {
-      onProgress('Adding header image...');
-      await this.drawImage(headerImageBytes, this.contentWidth, 150);
-      this.addSpace(10);
+      this.reportProgress('Adding header image...');
+      this.drawImage(await this.pdfDoc.embedJpg(headerImageBytes), this.contentWidth, Math.min(150, this.contentHeight * 0.25));
+      this.layout.space(10);
     }
 
     // Title
@@ -639,65 +1696,390 @@ export class PDFGenerator {
       const nameText = report.instructorName;
       const nameFontSize = this.fonts.subheading;
       const nameWidth = this.fontBold.widthOfTextAtSize(nameText, nameFontSize);
-      const nameCenterX = (PAGE_WIDTH - nameWidth) / 2;
-
-      this.currentPage.drawText(nameText, {
-        x: nameCenterX,
-        y: this.currentY - nameFontSize,
-        size: nameFontSize,
-        font: this.fontBold,
-        color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
+      const nameCenterX = (this.pageWidth - nameWidth) / 2;
+
+      this.layout.add({
+        height: nameFontSize + 15,
+        draw: (y) => {
+          this.beginTag('P');
+          this.drawText(this.currentPage, nameText, {
+            x: nameCenterX,
+            y: y - nameFontSize,
+            size: nameFontSize,
+            font: this.fontBold,
+            color: rgb(this.colors.secondary.r, this.colors.secondary.g, this.colors.secondary.b)
+          });
+          this.endTag();
+        }
       });
+    }
+
+    // The table of contents is tagged here, although it is drawn last
+    if (this.structure) this.tocPosition = this.structure.markPosition();
 
-      this.currentY -= nameFontSize + 15;
+    // Report sections in the theme's order
+    const sections = {
+      headerPhoto: async () => {
+        if (report.headerPhoto && report.headerPhoto.blob) {
+          this.reportProgress('Embedding header photo...');
+          await this.drawHeaderPhoto(report.headerPhoto);
+        }
+        this.layout.space(10);
+      },
+      generalInformation: () => this.drawGeneralInformation(report),
+      distribution: () => {
+        if (report.distribution && report.distribution.categories) {
+          this.drawDistributionChart(report.distribution.categories);
+        }
+      },
+      activities: async () => {
+        for (let i = 0; i < report.activities.length; i++) {
+          this.reportProgress(`Processing activity ${i + 1} of ${report.activities.length}...`);
+          const activity = report.activities[i];
+          await this.drawActivity(activity, i + 1, ACTIVITY_TYPES[activity.typeIndex]);
+        }
+      },
+      attestation: async () => {
+        this.reportProgress('Adding attestation...');
+        await this.drawAttestation(report);
+      }
+    };
+    for (const section of this.theme.sections) {
+      if (!sections[section]) {
+        throw new Error(`Unknown report section: ${section}`);
+      }
+      await sections[section]();
     }
 
-    // Header photo (at the top, before general info)
-    if (report.headerPhoto && report.headerPhoto.blob) {
-      onProgress('Embedding header photo...');
-      const headerImageBytes = new Uint8Array(await report.headerPhoto.blob.arrayBuffer());
-      await this.drawImage(headerImageBytes, this.contentWidth, 250);
+    // Content still waiting to be kept with a next block ends the report
+    this.layout.flush();
+
+    // Navigation, once every section's page is known
+    if (tableOfContents) {
+      this.reportProgress('Adding table of contents...');
+      this.drawTableOfContents();
     }
+    this.buildOutline();
 
-    this.addSpace(10);
+    this.reportProgress('Adding page headers and footers...');
+    this.drawPageDecorations(report);
 
-    // General Information
-    this.drawHeading('General Information', 2);
-    this.drawField('Instructor Name', report.instructorName);
-    this.drawField('School Year', report.schoolYear);
-    this.drawField('School Type', report.schoolType);
+    if (this.archival) {
+      this.reportProgress('Applying PDF/A archival settings...');
+      await this.applyArchivalConformance();
+    } else {
+      this.reportProgress('Embedding report data...');
+      await this.attachReportData(report);
+    }
 
-    this.addSpace(15);
+    this.reportProgress('Finalizing PDF...');
 
-    // Student Distribution
-    if (report.distribution && report.distribution.categories) {
-      this.drawDistributionTable(report.distribution.categories);
+    // Save and return the PDF bytes
+    return await this.pdfDoc.save();
+  }
+}
+
+/**
+ * All text in a report, for choosing which fallback fonts to embed
+ * @param {*} value - Report or part of it
+ * @returns {string}
+ */
+function collectReportText(value) {
+  // Signatures are PNG data URLs, not text
+  if (typeof value === 'string') return value.startsWith('data:') ? '' : value;
+  if (Array.isArray(value)) return value.map(collectReportText).join(' ');
+  if (value && typeof value === 'object' && !(value instanceof Blob)) {
+    return Object.values(value).map(collectReportText).join(' ');
+  }
+  return '';
+}
+
+/**
+ * Join neighbouring runs of the same style, so a line is drawn in as few pieces as possible
+ * @param {Array<{text: string, bold: boolean, italic: boolean}>} runs
+ * @returns {Array<{text: string, bold: boolean, italic: boolean}>}
+ */
+function mergeRuns(runs) {
+  const merged = [];
+  for (const run of runs) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.bold === run.bold && previous.italic === run.italic) {
+      previous.text += run.text;
+    } else {
+      merged.push({ ...run });
     }
+  }
+  return merged;
+}
+
+/**
+ * Format a signature date (YYYY-MM-DD) in the document language, e.g. "October 18, 2026"
+ * @param {string} date
+ * @returns {string}
+ */
+function formatSignatureDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(ORG_CONFIG.pdf.language, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
 
-    // Activities
-    for (let i = 0; i < report.activities.length; i++) {
-      onProgress(`Processing activity ${i + 1} of ${report.activities.length}...`);
-      const activity = report.activities[i];
-      const config = ACTIVITY_CONFIG[activity.typeIndex] || ACTIVITY_CONFIG[i];
-      await this.drawActivity(activity, i + 1, config);
+/**
+ * Fetch a bundled asset (logo, header image)
+ * @param {string} path - Path relative to the app
+ * @param {string} description - Used in the warning if it cannot be loaded
+ * @returns {Promise<Uint8Array|null>} - null if unavailable
+ */
+async function fetchAsset(path, description) {
+  try {
+    const response = await fetch(path);
+    if (response.ok) {
+      return new Uint8Array(await response.arrayBuffer());
     }
+  } catch (e) {
+    console.warn(`Could not load ${description}:`, e);
+  }
+  return null;
+}
 
-    onProgress('Finalizing PDF...');
+// ========================================
+// Size Limit
+// ========================================
 
-    // Save and return the PDF bytes
-    return await this.pdfDoc.save();
+/**
+ * Every photo in a report, with the label used in size reports
+ * @param {object} report
+ * @returns {Array<{photo: object, label: string}>}
+ */
+function listReportPhotos(report) {
+  const photos = [];
+  if (report.headerPhoto && report.headerPhoto.blob) {
+    photos.push({ photo: report.headerPhoto, label: 'Header photo' });
   }
+  report.activities.forEach((activity, index) => {
+    activity.photos.forEach((photo, i) => {
+      photos.push({ photo, label: `Activity #${index + 1} photo ${i + 1}` });
+    });
+  });
+  return photos;
+}
+
+/**
+ * Current size of a photo being fitted, in bytes
+ * @param {{photo: object, reduced: object|null}} entry
+ * @returns {number}
+ */
+function fittedPhotoBytes(entry) {
+  return entry.reduced ? entry.reduced.bytes : entry.photo.blob.size;
+}
+
+/**
+ * The step a photo has already been reduced to by an earlier size-limited
+ * PDF, so re-encoding its only copy does not repeat steps it has been through
+ * @param {object} photo
+ * @returns {number} - Index in RECOMPRESSION_STEPS, or -1 if it is not reduced
+ */
+function reducedStep(photo) {
+  if (!photo.reduction || photo.original) return -1;
+  const { scale, quality } = photo.reduction;
+  return RECOMPRESSION_STEPS.filter(step => step.scale >= scale && step.quality >= quality).length - 1;
+}
+
+/**
+ * Generate a PDF no larger than a target size, re-encoding photos as needed
+ *
+ * While the PDF is too large, the currently largest photos are re-encoded one
+ * step further down RECOMPRESSION_STEPS until the estimated savings cover the
+ * excess, and the PDF is generated again. The embedded report data refers to
+ * the re-encoded photos drawn on the pages, so the checksum still matches it;
+ * they are marked with their `reduction`, since a report opened from the PDF
+ * has no other copy of them.
+ * @param {object} report - Complete report data
+ * @param {function} onProgress - Progress callback
+ * @param {object} options - See PDFGenerator.generate
+ * @param {number} targetSize - Largest PDF size, in bytes
+ * @returns {Promise<{bytes: Uint8Array, images: Array<object>}>} - PDF bytes and
+ *   the photos that were re-encoded: { label, width, height, quality, original },
+ *   where `original` is false for photos re-encoded from an already processed JPEG
+ */
+async function generateWithinSize(report, onProgress, options, targetSize) {
+  const entries = listReportPhotos(report).map(entry => ({ ...entry, step: reducedStep(entry.photo), reduced: null }));
+
+  let bytes = await new PDFGenerator().generate(report, onProgress, options);
+
+  while (bytes.length > targetSize) {
+    let excess = bytes.length - targetSize;
+    let reducedAny = false;
+
+    while (excess > 0) {
+      const reducible = entries.filter(entry => entry.step < RECOMPRESSION_STEPS.length - 1);
+      if (reducible.length === 0) break;
+
+      const entry = reducible.reduce((largest, e) => (fittedPhotoBytes(e) > fittedPhotoBytes(largest) ? e : largest));
+      onProgress(`Reducing ${entry.label.toLowerCase()} to fit ${formatFileSize(targetSize)}...`);
+
+      const previousBytes = fittedPhotoBytes(entry);
+      entry.step++;
+      entry.reduced = await recompressImage(entry.photo, RECOMPRESSION_STEPS[entry.step]);
+      excess -= previousBytes - entry.reduced.bytes;
+      reducedAny = true;
+    }
+
+    // Every photo is already at the last step: return the smallest PDF possible
+    if (!reducedAny) break;
+
+    const reducedPhotos = new Map(entries.filter(entry => entry.reduced).map(entry => [entry.photo, {
+      ...entry.reduced,
+      reduction: { ...RECOMPRESSION_STEPS[entry.step] }
+    }]));
+    const reduce = (photo) => (reducedPhotos.has(photo) ? { ...photo, ...reducedPhotos.get(photo) } : photo);
+    const reducedReport = {
+      ...report,
+      headerPhoto: report.headerPhoto && reduce(report.headerPhoto),
+      activities: report.activities.map(activity => ({ ...activity, photos: activity.photos.map(reduce) }))
+    };
+
+    bytes = await new PDFGenerator().generate(reducedReport, onProgress, options);
+  }
+
+  const images = entries
+    .filter(entry => entry.reduced)
+    .map(entry => ({
+      label: entry.label,
+      width: entry.reduced.width,
+      height: entry.reduced.height,
+      quality: RECOMPRESSION_STEPS[entry.step].quality,
+      original: Boolean(entry.photo.original)
+    }));
+
+  return { bytes, images };
 }
 
 /**
  * Generate PDF from report data
  * @param {object} report - Complete report data
  * @param {function} onProgress - Progress callback
+ * @param {object} options - See PDFGenerator.generate, and:
+ * @param {number|null} options.targetSize - Largest PDF size in bytes; photos
+ *   are re-encoded at a lower quality or resolution until the PDF fits (null
+ *   for no limit; defaults to ORG_CONFIG.pdf.targetSize)
+ * @param {function} options.onSizeReport - Called, when there is a size limit,
+ *   with { size, targetSize, fits, images }: the final size in bytes, whether
+ *   it is within the limit, and the re-encoded photos ({ label, width, height, quality, original })
  * @returns {Uint8Array} - PDF bytes
  */
-export async function generatePDF(report, onProgress = () => {}) {
-  const generator = new PDFGenerator();
-  return await generator.generate(report, onProgress);
+export async function generatePDF(report, onProgress = () => {}, options = {}) {
+  const { targetSize = ORG_CONFIG.pdf.targetSize, onSizeReport = () => {}, ...layoutOptions } = options;
+
+  if (!targetSize) {
+    const generator = new PDFGenerator();
+    return await generator.generate(report, onProgress, layoutOptions);
+  }
+
+  const { bytes, images } = await generateWithinSize(report, onProgress, layoutOptions, targetSize);
+  onSizeReport({ size: bytes.length, targetSize, fits: bytes.length <= targetSize, images });
+  return bytes;
+}
+
+/**
+ * Collect [name, file specification] pairs from a PDF name tree node
+ * @param {PDFDict} node - Name tree node
+ * @param {Array} results - Collected pairs
+ */
+function collectNameTreeEntries(node, results) {
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      results.push([names.lookup(i).decodeText(), names.lookup(i + 1)]);
+    }
+  }
+
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) {
+      collectNameTreeEntries(kids.lookup(i, PDFDict), results);
+    }
+  }
+}
+
+/**
+ * Read a JPEG image object of a PDF, as the embedded report data refers to it
+ * @param {PDFDocument} pdfDoc
+ * @param {string} reference - e.g. "12 0 R"
+ * @returns {Uint8Array|null} - The JPEG file, or null if there is no such image
+ */
+function readJpegImage(pdfDoc, reference) {
+  const match = reference.match(/^(\d+) (\d+) R$/);
+  if (!match) return null;
+
+  const stream = pdfDoc.context.lookup(PDFRef.of(Number(match[1]), Number(match[2])));
+  if (!(stream instanceof PDFRawStream)) return null;
+
+  // Photos are embedded as their JPEG files, unchanged
+  const { dict } = stream;
+  const isJpeg = dict.get(PDFName.of('Subtype')) === PDFName.of('Image') &&
+    dict.get(PDFName.of('Filter')) === PDFName.of('DCTDecode');
+  return isJpeg ? stream.contents : null;
+}
+
+/**
+ * Find the report bundle embedded by PDFGenerator, with the photos it shares
+ * with the pages put back into it
+ * @param {PDFDocument} pdfDoc
+ * @returns {Promise<Uint8Array|null>} - Bundle (.zip) bytes, or null if the PDF has none
+ */
+async function findReportAttachment(pdfDoc) {
+  const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  const embeddedFiles = names?.lookupMaybe(PDFName.of('EmbeddedFiles'), PDFDict);
+  if (!embeddedFiles) return null;
+
+  const entries = [];
+  collectNameTreeEntries(embeddedFiles, entries);
+
+  const entry = entries.find(([name]) => name === REPORT_ATTACHMENT_NAME);
+  if (!entry) return null;
+
+  const fileSpec = entry[1];
+  const stream = fileSpec.lookup(PDFName.of('EF'), PDFDict).lookup(PDFName.of('F'), PDFRawStream);
+
+  const bundle = decodePDFRawStream(stream).decode();
+  try {
+    return await includeExternalImages(bundle, reference => readJpegImage(pdfDoc, reference));
+  } catch (error) {
+    // Damaged report data is returned as it is, for the caller to reject
+    console.warn('Could not restore the photos of the embedded report data:', error);
+    return bundle;
+  }
+}
+
+/**
+ * Read the report bundle embedded by PDFGenerator from a generated PDF
+ * @param {Uint8Array|ArrayBuffer} pdfBytes - PDF file contents
+ * @returns {Promise<Uint8Array|null>} - Bundle (.zip) bytes, or null if the PDF has none
+ */
+export async function extractReportAttachment(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  return await findReportAttachment(pdfDoc);
+}
+
+/**
+ * Read what PDFGenerator recorded about the report in a generated PDF
+ * @param {Uint8Array|ArrayBuffer} pdfBytes - PDF file contents
+ * @returns {Promise<{fingerprint: string|null, attachment: Uint8Array|null}>} - The stored
+ *   fingerprint and the embedded bundle (.zip) bytes; null when the PDF has none
+ */
+export async function readReportPdf(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const fingerprint = pdfDoc.getInfoDict().lookup(PDFName.of(FINGERPRINT_INFO_KEY));
+
+  return {
+    fingerprint: fingerprint instanceof PDFHexString || fingerprint instanceof PDFString
+      ? fingerprint.decodeText()
+      : null,
+    attachment: await findReportAttachment(pdfDoc)
+  };
 }
 
 /**
@@ -741,8 +2123,13 @@ export function downloadPDF(pdfBytes, filename) {
 }
 
 export default {
+  PAGE_SIZES,
+  PAGE_ORIENTATIONS,
+  TARGET_SIZES,
   PDFGenerator,
   generatePDF,
+  extractReportAttachment,
+  readReportPdf,
   generateFilename,
   downloadPDF
 };
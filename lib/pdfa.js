@@ -0,0 +1,330 @@
+/**
+ * Tagged PDF and PDF/A Utilities
+ *
+ * Support for the archival mode of PDFGenerator: a logical structure tree
+ * (headings, paragraphs, figures, tables) recorded as marked content while
+ * pages are drawn, plus the XMP metadata and sRGB output intent that
+ * PDF/A-2b requires.
+ */
+
+import {
+  PDFName,
+  PDFNumber,
+  PDFHexString,
+  PDFOperator,
+  PDFOperatorNames
+} from 'https://cdn.jsdelivr.net/npm/pdf-lib@1.17.1/+esm';
+import { escapeHtml } from './escape.js';
+
+// ========================================
+// Structure Tree
+// ========================================
+
+/**
+ * Records the document's logical structure while it is drawn and writes it
+ * out as a StructTreeRoot once layout is finished.
+ *
+ * Elements are plain objects { type, alt, children }. Children are other
+ * elements, marked content on a page ({ page, mcid }) or annotations
+ * ({ page, annotation, annotationRef }). Standard structure types are used
+ * throughout (Document, Sect, H1-H3, P, L, LI, Lbl, LBody, Figure, Caption, Table, TR, TD,
+ * TOC, TOCI, Link).
+ */
+export class StructureTree {
+  /**
+   * @param {PDFDocument} pdfDoc
+   */
+  constructor(pdfDoc) {
+    this.pdfDoc = pdfDoc;
+    this.root = { type: 'Document', children: [] };
+    this.stack = [this.root];
+    this.nextMcids = new Map();
+    this.openContent = null;
+  }
+
+  /**
+   * Element that new elements are added to
+   * @returns {object}
+   */
+  current() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  /**
+   * Remember the current position, so an element can be inserted there later
+   * (e.g. a table of contents drawn after layout)
+   * @returns {{parent: object, index: number}}
+   */
+  markPosition() {
+    const parent = this.current();
+    return { parent, index: parent.children.length };
+  }
+
+  /**
+   * Open a grouping element (Sect, Table, TR, TOC, ...)
+   * @param {string} type - Structure type
+   * @param {object} attributes - e.g. { alt }
+   * @param {{parent: object, index: number}} position - From markPosition (default: current)
+   * @returns {object} - The element
+   */
+  open(type, attributes = {}, position = null) {
+    const element = { type, ...attributes, children: [] };
+    if (position) {
+      position.parent.children.splice(position.index, 0, element);
+    } else {
+      this.current().children.push(element);
+    }
+    this.stack.push(element);
+    return element;
+  }
+
+  /**
+   * Close the most recently opened element
+   */
+  close() {
+    if (this.stack.length === 1) {
+      throw new Error('No open structure element to close');
+    }
+    this.stack.pop();
+  }
+
+  /**
+   * Open a content element and start its marked content on a page
+   * @param {PDFPage} page
+   * @param {string} type - Structure type (P, H2, Figure, TD, ...)
+   * @param {object} attributes - e.g. { alt } for figures
+   */
+  beginContent(page, type, attributes = {}) {
+    if (this.openContent) {
+      throw new Error(`Cannot start ${type} inside ${this.openContent.element.type}`);
+    }
+    const element = this.open(type, attributes);
+    this.markContent(page, element);
+  }
+
+  /**
+   * End the open content element
+   */
+  endContent() {
+    if (!this.openContent) return;
+    this.openContent.page.pushOperators(PDFOperator.of(PDFOperatorNames.EndMarkedContent));
+    this.openContent = null;
+    this.close();
+  }
+
+  /**
+   * Continue the open content element (e.g. a paragraph broken across pages) on a new page
+   * @param {PDFPage} page - The new page
+   */
+  continueOnPage(page) {
+    if (!this.openContent) return;
+    const { element, page: previousPage } = this.openContent;
+    previousPage.pushOperators(PDFOperator.of(PDFOperatorNames.EndMarkedContent));
+    this.markContent(page, element);
+  }
+
+  /**
+   * @param {PDFPage} page
+   * @param {object} element
+   */
+  markContent(page, element) {
+    const mcid = this.nextMcids.get(page) || 0;
+    this.nextMcids.set(page, mcid + 1);
+    element.children.push({ page, mcid });
+
+    page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [
+      PDFName.of(element.type),
+      this.pdfDoc.context.obj({ MCID: mcid })
+    ]));
+    this.openContent = { element, page };
+  }
+
+  /**
+   * Start content that is not part of the document's text (page furniture,
+   * rules, decorative images), so assistive technology skips it
+   * @param {PDFPage} page
+   */
+  beginArtifact(page) {
+    page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContent, [PDFName.of('Artifact')]));
+  }
+
+  /**
+   * @param {PDFPage} page
+   */
+  endArtifact(page) {
+    page.pushOperators(PDFOperator.of(PDFOperatorNames.EndMarkedContent));
+  }
+
+  /**
+   * Make an annotation (e.g. a link) part of the open content element
+   * @param {PDFPage} page
+   * @param {PDFDict} annotation
+   * @param {PDFRef} annotationRef
+   */
+  addAnnotation(page, annotation, annotationRef) {
+    const element = this.openContent ? this.openContent.element : this.current();
+    element.children.push({ page, annotation, annotationRef });
+  }
+
+  /**
+   * Write the structure tree and mark the document as tagged
+   * @param {string} language - Document language, e.g. "en-US"
+   */
+  build(language) {
+    const context = this.pdfDoc.context;
+    const pages = this.pdfDoc.getPages();
+    const treeRootRef = context.nextRef();
+
+    // Keys below pages.length are page StructParents; annotations follow
+    const parentTree = new Map();
+    let nextKey = pages.length;
+
+    const writeElement = (element, parentRef) => {
+      const ref = context.nextRef();
+      const kids = element.children.map(child => {
+        if (child.type) {
+          return writeElement(child, ref);
+        }
+        if (child.annotation) {
+          const key = nextKey++;
+          child.annotation.set(PDFName.of('StructParent'), PDFNumber.of(key));
+          parentTree.set(key, ref);
+          return context.obj({ Type: 'OBJR', Pg: child.page.ref, Obj: child.annotationRef });
+        }
+
+        const key = pages.indexOf(child.page);
+        if (!parentTree.has(key)) parentTree.set(key, []);
+        parentTree.get(key)[child.mcid] = ref;
+        return context.obj({ Type: 'MCR', Pg: child.page.ref, MCID: child.mcid });
+      });
+
+      const dict = context.obj({ Type: 'StructElem', S: element.type, P: parentRef, K: kids });
+      if (element.alt) {
+        dict.set(PDFName.of('Alt'), PDFHexString.fromText(element.alt));
+      }
+      context.assign(ref, dict);
+      return ref;
+    };
+
+    const documentRef = writeElement(this.root, treeRootRef);
+
+    const nums = [];
+    [...parentTree.keys()].sort((a, b) => a - b).forEach(key => {
+      const value = parentTree.get(key);
+      if (Array.isArray(value)) {
+        pages[key].node.set(PDFName.of('StructParents'), PDFNumber.of(key));
+        pages[key].node.set(PDFName.of('Tabs'), PDFName.of('S'));
+      }
+      nums.push(key, value);
+    });
+
+    context.assign(treeRootRef, context.obj({
+      Type: 'StructTreeRoot',
+      K: documentRef,
+      ParentTree: context.register(context.obj({ Nums: nums })),
+      ParentTreeNextKey: nextKey
+    }));
+
+    const catalog = this.pdfDoc.catalog;
+    catalog.set(PDFName.of('StructTreeRoot'), treeRootRef);
+    catalog.set(PDFName.of('MarkInfo'), context.obj({ Marked: true }));
+    catalog.set(PDFName.of('Lang'), PDFHexString.fromText(language));
+    catalog.set(PDFName.of('ViewerPreferences'), context.obj({ DisplayDocTitle: true }));
+  }
+}
+
+// ========================================
+// PDF/A
+// ========================================
+
+// XMP dates match the Info dictionary, which pdf-lib writes in UTC to the second
+const formatXmpDate = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+/**
+ * Build the XMP metadata packet declaring PDF/A-2b conformance.
+ * Every value must match the document information dictionary.
+ *
+ * @param {object} info
+ * @param {string} info.title
+ * @param {string} info.author
+ * @param {string} info.subject
+ * @param {string} info.creator - Creating application
+ * @param {string} info.producer - PDF library
+ * @param {Date} info.date - Creation and modification date
+ * @param {string} info.language
+ * @returns {string}
+ */
+export function buildXmpMetadata({ title, author, subject, creator, producer, date, language }) {
+  const lang = escapeHtml(language);
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+      <dc:format>application/pdf</dc:format>
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeHtml(title)}</rdf:li></rdf:Alt></dc:title>
+      <dc:creator><rdf:Seq><rdf:li>${escapeHtml(author)}</rdf:li></rdf:Seq></dc:creator>
+      <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeHtml(subject)}</rdf:li></rdf:Alt></dc:description>
+      <dc:language><rdf:Bag><rdf:li>${lang}</rdf:li></rdf:Bag></dc:language>
+      <xmp:CreatorTool>${escapeHtml(creator)}</xmp:CreatorTool>
+      <xmp:CreateDate>${formatXmpDate(date)}</xmp:CreateDate>
+      <xmp:ModifyDate>${formatXmpDate(date)}</xmp:ModifyDate>
+      <xmp:MetadataDate>${formatXmpDate(date)}</xmp:MetadataDate>
+      <pdf:Producer>${escapeHtml(producer)}</pdf:Producer>
+      <pdfaid:part>2</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Attach XMP metadata to the document catalog (uncompressed, as PDF/A requires)
+ * @param {PDFDocument} pdfDoc
+ * @param {string} xmp
+ */
+export function setXmpMetadata(pdfDoc, xmp) {
+  const context = pdfDoc.context;
+  const stream = context.stream(new TextEncoder().encode(xmp), { Type: 'Metadata', Subtype: 'XML' });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), context.register(stream));
+}
+
+/**
+ * Declare the sRGB output intent all device colors refer to
+ * @param {PDFDocument} pdfDoc
+ * @param {Uint8Array} iccProfile - sRGB ICC profile
+ */
+export function addSrgbOutputIntent(pdfDoc, iccProfile) {
+  const context = pdfDoc.context;
+  const profileRef = context.register(context.flateStream(iccProfile, { N: 3 }));
+
+  const outputIntent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFHexString.fromText('sRGB IEC61966-2.1'),
+    Info: PDFHexString.fromText('sRGB IEC61966-2.1'),
+    DestOutputProfile: profileRef
+  });
+  pdfDoc.catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(outputIntent)]));
+}
+
+/**
+ * Give the document the permanent file identifier PDF/A requires
+ * @param {PDFDocument} pdfDoc
+ */
+export function setDocumentId(pdfDoc) {
+  const id = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  pdfDoc.context.trailerInfo.ID = pdfDoc.context.obj([PDFHexString.of(id), PDFHexString.of(id)]);
+}
+
+export default {
+  StructureTree,
+  buildXmpMetadata,
+  setXmpMetadata,
+  addSrgbOutputIntent,
+  setDocumentId
+};
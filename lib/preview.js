@@ -0,0 +1,136 @@
+/**
+ * PDF Preview
+ *
+ * Renders the pages of a generated PDF onto canvases for the review step's
+ * preview. Uses PDF.js 4.10 (legacy build, for the browsers listed in
+ * README.md), vendored under vendor/pdfjs so nothing is fetched from a CDN.
+ * It is only loaded the first time a preview opens.
+ */
+
+// Vendored PDF.js and its worker
+const PDFJS_URL = new URL('../vendor/pdfjs/pdf.min.mjs', import.meta.url);
+const PDFJS_WORKER_URL = new URL('../vendor/pdfjs/pdf.worker.min.mjs', import.meta.url);
+
+// CSS pixels per PDF point at 100% zoom (96 dpi screens, 72 points per inch)
+export const CSS_UNITS = 96 / 72;
+
+let pdfjsLoading = null;
+
+/**
+ * Load PDF.js once
+ * @returns {Promise<object>} - The PDF.js module
+ */
+function loadPdfjs() {
+  if (!pdfjsLoading) {
+    pdfjsLoading = import(PDFJS_URL.href).then(pdfjs => {
+      pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL.href;
+      return pdfjs;
+    });
+    // A failed load (e.g. offline) can be retried
+    pdfjsLoading.catch(() => {
+      pdfjsLoading = null;
+    });
+  }
+  return pdfjsLoading;
+}
+
+/**
+ * An open PDF whose pages can be drawn onto canvases
+ */
+export class PdfPreview {
+  /**
+   * @param {object} doc - PDF.js document
+   */
+  constructor(doc) {
+    this.doc = doc;
+    this.pageCount = doc.numPages;
+
+    // Per canvas: the render in progress, and the latest request for it
+    this.renderTasks = new Map();
+    this.requests = new Map();
+  }
+
+  /**
+   * Open a PDF for preview
+   * @param {Uint8Array} bytes - PDF file contents
+   * @returns {Promise<PdfPreview>}
+   */
+  static async open(bytes) {
+    const pdfjs = await loadPdfjs();
+
+    // PDF.js takes over the buffer it is given; the caller keeps its bytes for download
+    const doc = await pdfjs.getDocument({ data: bytes.slice(), isEvalSupported: false }).promise;
+    return new PdfPreview(doc);
+  }
+
+  /**
+   * Size of a page at 100% zoom
+   * @param {number} pageNumber - 1-based
+   * @returns {Promise<{width: number, height: number}>} - In CSS pixels
+   */
+  async getPageSize(pageNumber) {
+    const page = await this.doc.getPage(pageNumber);
+    const { width, height } = page.getViewport({ scale: CSS_UNITS });
+    return { width, height };
+  }
+
+  /**
+   * Draw a page onto a canvas, replacing any render still running on it
+   * @param {number} pageNumber - 1-based
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} zoom - 1 for 100%
+   * @returns {Promise<boolean>} - False if a later render replaced this one
+   */
+  async renderPage(pageNumber, canvas, zoom) {
+    const request = {};
+    this.requests.set(canvas, request);
+    this.renderTasks.get(canvas)?.cancel();
+
+    const page = await this.doc.getPage(pageNumber);
+    if (this.requests.get(canvas) !== request) return false;
+
+    // Draw at the screen's pixel density so text stays sharp
+    const viewport = page.getViewport({ scale: zoom * CSS_UNITS });
+    const ratio = globalThis.devicePixelRatio || 1;
+    canvas.width = Math.floor(viewport.width * ratio);
+    canvas.height = Math.floor(viewport.height * ratio);
+    canvas.style.width = `${Math.floor(viewport.width)}px`;
+    canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+    const task = page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport,
+      transform: ratio === 1 ? null : [ratio, 0, 0, ratio, 0, 0]
+    });
+    this.renderTasks.set(canvas, task);
+
+    try {
+      await task.promise;
+      return true;
+    } catch (error) {
+      if (error.name === 'RenderingCancelledException') return false;
+      throw error;
+    } finally {
+      if (this.renderTasks.get(canvas) === task) {
+        this.renderTasks.delete(canvas);
+        this.requests.delete(canvas);
+      }
+    }
+  }
+
+  /**
+   * Stop rendering and free the document
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    this.renderTasks.forEach(task => task.cancel());
+    this.renderTasks.clear();
+    this.requests.clear();
+    await this.doc.destroy();
+  }
+}
+
+export default {
+  CSS_UNITS,
+  PdfPreview
+};
@@ -0,0 +1,515 @@
+/**
+ * Report Schema
+ *
+ * Formal, versioned definition of the `report` object shared by the wizard,
+ * draft storage, bundles and PDF generation. Data written by older versions
+ * of the app is brought up to date by `migrateReport` before it is used.
+ *
+ * To change the shape of the report:
+ *   1. Bump REPORT_SCHEMA_VERSION
+ *   2. Update REPORT_SCHEMA and the create* factories
+ *   3. Add a MIGRATIONS entry converting the previous version to the new one
+ */
+
+import { ACTIVITY_TYPES, getActivityFieldKeys } from '../config/activities.js';
+import { escapeMarkup } from './markup.js';
+
+// Current report schema version (stored as `report.schemaVersion`)
+export const REPORT_SCHEMA_VERSION = 6;
+
+// Structural limits enforced by the schema
+export const MAX_ACTIVITIES = 3;
+export const MAX_ACTIVITY_PHOTOS = 6;
+
+// Value fields of every activity type (see config/activities.js)
+const ACTIVITY_FIELD_KEYS = getActivityFieldKeys();
+
+// Default student distribution categories (rows are in index.html)
+export const DEFAULT_DISTRIBUTION_CATEGORIES = ['American', 'French', 'Spanish', 'Chinese', 'Mixed', 'Other'];
+
+// ========================================
+// Schema Definition
+// ========================================
+
+/**
+ * A processed photo. In memory it also holds { blob, previewUrl, bytes } and,
+ * for photos chosen in this browser, the `original` file; stored drafts keep
+ * both blobs and bundles reference an archive `file` (the processed JPEG only).
+ * The optional description is the photo's alternate text in tagged PDFs.
+ * A photo re-encoded to fit the PDF size limit records the `reduction`
+ * ({ scale, quality } of RECOMPRESSION_STEPS in lib/pdf.js) it was made with:
+ * its JPEG is then the only copy, and further reductions start from it.
+ */
+const PHOTO_SCHEMA = {
+  type: 'object',
+  properties: {
+    width: { type: 'number', minimum: 1 },
+    height: { type: 'number', minimum: 1 },
+    description: { type: 'string' },
+    reduction: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        scale: { type: 'number', minimum: 0, maximum: 1 },
+        quality: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    }
+  }
+};
+
+// Activity photos also carry a caption and a credit, printed under them in the PDF
+const ACTIVITY_PHOTO_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...PHOTO_SCHEMA.properties,
+    caption: { type: 'string' },
+    credit: { type: 'string' }
+  }
+};
+
+/**
+ * A person signing the attestation. The signature is a PNG drawn on the
+ * wizard's signature pad, kept inline as a data URL: it is small and, unlike
+ * photos, needs no separate blob in drafts or bundles. Dates are YYYY-MM-DD.
+ */
+const SIGNER_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    date: { type: 'string', pattern: /^(\d{4}-\d{2}-\d{2})?$/ },
+    signature: { type: 'string', pattern: /^(data:image\/png;base64,[A-Za-z0-9+/=]+)?$/ }
+  }
+};
+
+// Every activity stores all field keys; those its type does not use stay empty
+const ACTIVITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    typeIndex: { type: 'integer', minimum: 0, maximum: ACTIVITY_TYPES.length - 1 },
+    ...Object.fromEntries(ACTIVITY_FIELD_KEYS.map(key => [key, { type: 'string' }])),
+    photos: { type: 'array', maxItems: MAX_ACTIVITY_PHOTOS, items: ACTIVITY_PHOTO_SCHEMA }
+  }
+};
+
+export const REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1 },
+    schoolYear: { type: 'string', pattern: /^(\d{4}-\d{4})?$/ },
+    instructorName: { type: 'string' },
+    schoolType: { type: 'string' },
+    headerPhoto: { ...PHOTO_SCHEMA, nullable: true },
+    distribution: {
+      type: 'object',
+      properties: {
+        categories: {
+          type: 'array',
+          uniqueBy: 'label',
+          items: {
+            type: 'object',
+            properties: {
+              label: { type: 'string', minLength: 1 },
+              percent: { type: 'number', minimum: 0, maximum: 100 }
+            }
+          }
+        }
+      }
+    },
+    activities: { type: 'array', maxItems: MAX_ACTIVITIES, items: ACTIVITY_SCHEMA },
+    attestation: {
+      type: 'object',
+      properties: {
+        instructor: SIGNER_SCHEMA,
+        includePrincipal: { type: 'boolean' },
+        principal: SIGNER_SCHEMA
+      }
+    }
+  }
+};
+
+// ========================================
+// Factories
+// ========================================
+
+/**
+ * Create empty activity data with every activity field
+ * @param {number} typeIndex - Index into ACTIVITY_TYPES
+ * @returns {object}
+ */
+export function createActivity(typeIndex) {
+  return {
+    typeIndex,
+    ...Object.fromEntries(ACTIVITY_FIELD_KEYS.map(key => [key, ''])),
+    photos: [] // Array of activity photos (see createActivityPhoto)
+  };
+}
+
+/**
+ * Create the header photo from a processed image
+ * @param {object} processed - { blob, width, height, previewUrl, bytes } (lib/image.js)
+ * @returns {object}
+ */
+export function createPhoto(processed) {
+  return { ...processed, description: '', reduction: null };
+}
+
+/**
+ * Create an activity photo from a processed image
+ * @param {object} processed - { blob, width, height, previewUrl, bytes } (lib/image.js)
+ * @returns {object}
+ */
+export function createActivityPhoto(processed) {
+  return { ...createPhoto(processed), caption: '', credit: '' };
+}
+
+/**
+ * Create an unsigned attestation (the principal's signature is optional)
+ * @returns {object}
+ */
+export function createAttestation() {
+  const signer = () => ({ name: '', date: '', signature: '' });
+  return { instructor: signer(), includePrincipal: false, principal: signer() };
+}
+
+/**
+ * Copy an attestation, so stored and in-memory reports share no objects
+ * @param {object} attestation
+ * @returns {object}
+ */
+export function cloneAttestation(attestation) {
+  return {
+    ...attestation,
+    instructor: { ...attestation.instructor },
+    principal: { ...attestation.principal }
+  };
+}
+
+/**
+ * Create a blank report with the two required activities
+ * @param {string} schoolYear - Initial school year, e.g. "2025-2026"
+ * @returns {object}
+ */
+export function createEmptyReport(schoolYear = '') {
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    schoolYear,
+    instructorName: '',
+    schoolType: '',
+    headerPhoto: null, // { blob, width, height, description, previewUrl, bytes }
+    distribution: {
+      categories: DEFAULT_DISTRIBUTION_CATEGORIES.map(label => ({ label, percent: 0 }))
+    },
+    activities: [createActivity(0), createActivity(1)], // Array of activity objects
+    attestation: createAttestation()
+  };
+}
+
+/**
+ * Start a new report from a previous year's report.
+ * General information and distribution categories carry over; activities
+ * are either copied as templates (dates and photos cleared) or left blank.
+ *
+ * @param {object} previous - Previous report (current schema version)
+ * @param {string} schoolYear - School year of the new report
+ * @param {object} options
+ * @param {boolean} options.copyActivities - Copy activities as editable templates
+ * @returns {object}
+ */
+export function createFollowUpReport(previous, schoolYear, { copyActivities = false } = {}) {
+  const report = createEmptyReport(schoolYear);
+
+  report.instructorName = previous.instructorName;
+  report.schoolType = previous.schoolType;
+  // The previous report's preview URL is revoked when it is discarded
+  report.headerPhoto = previous.headerPhoto
+    ? { ...previous.headerPhoto, previewUrl: URL.createObjectURL(previous.headerPhoto.blob) }
+    : null;
+  report.distribution.categories = previous.distribution.categories.map(cat => ({ ...cat }));
+
+  report.activities = previous.activities.map(activity => {
+    if (!copyActivities) {
+      return createActivity(activity.typeIndex);
+    }
+    return {
+      ...activity,
+      date: '',
+      photos: []
+    };
+  });
+
+  return report;
+}
+
+// ========================================
+// Validation
+// ========================================
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a value against a schema node, collecting errors
+ * @param {*} value
+ * @param {object} schema - Schema node
+ * @param {string} path - Dotted path of the value, e.g. "activities.0.date"
+ * @param {Array<{path: string, message: string}>} errors
+ */
+function checkValue(value, schema, path, errors) {
+  if (value === null && schema.nullable) return;
+
+  if (value === undefined) {
+    errors.push({ path, message: 'is missing' });
+    return;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    errors.push({ path, message: `must be ${schema.type}, got ${describeType(value)}` });
+    return;
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `must be at most ${schema.maximum}` });
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: `must have at least ${schema.minLength} character(s)` });
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ path, message: 'has an invalid format' });
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    for (const [key, childSchema] of Object.entries(schema.properties)) {
+      checkValue(value[key], childSchema, path ? `${path}.${key}` : key, errors);
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.uniqueBy) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = String(item?.[schema.uniqueBy]).toLowerCase();
+        if (seen.has(key)) {
+          errors.push({ path: `${path}.${i}.${schema.uniqueBy}`, message: 'must be unique' });
+        }
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => checkValue(item, schema.items, `${path}.${i}`, errors));
+    }
+  }
+}
+
+/**
+ * Validate the structure of a report against REPORT_SCHEMA.
+ * This checks types and limits only; whether the report is complete enough
+ * to generate a PDF is decided by the wizard's validation.
+ *
+ * @param {object} report - Report data (current schema version)
+ * @returns {Array<{path: string, message: string}>} - Empty when valid
+ */
+export function validateReport(report) {
+  const errors = [];
+  checkValue(report, REPORT_SCHEMA, '', errors);
+  return errors;
+}
+
+// ========================================
+// Migrations
+// ========================================
+
+const asString = (value) => (typeof value === 'string' ? value : '');
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each receives data at that version and returns data at the next one.
+ */
+const MIGRATIONS = {
+  /**
+   * 0 → 1: reports saved before the schema was versioned.
+   * Fill in missing fields and coerce loosely typed values.
+   */
+  0: (data) => ({
+    ...data,
+    schoolYear: asString(data.schoolYear),
+    instructorName: asString(data.instructorName),
+    schoolType: asString(data.schoolType),
+    headerPhoto: data.headerPhoto || null,
+    distribution: {
+      categories: (data.distribution?.categories ||
+        DEFAULT_DISTRIBUTION_CATEGORIES.map(label => ({ label, percent: 0 })))
+        .map(cat => ({ ...cat, label: asString(cat.label), percent: Number(cat.percent) || 0 }))
+    },
+    activities: (data.activities || []).map((activity, i) => {
+      const typeIndex = Number.isInteger(activity.typeIndex) ? activity.typeIndex : i;
+      return {
+        ...createActivity(typeIndex),
+        ...activity,
+        typeIndex,
+        photos: activity.photos || []
+      };
+    })
+  }),
+
+  /**
+   * 1 → 2: photos gained an optional description (alternate text).
+   */
+  1: (data) => {
+    const describe = (photo) => photo && { ...photo, description: asString(photo.description) };
+    return {
+      ...data,
+      headerPhoto: describe(data.headerPhoto),
+      activities: data.activities.map(activity => ({
+        ...activity,
+        photos: activity.photos.map(describe)
+      }))
+    };
+  },
+
+  /**
+   * 2 → 3: activity photos gained a caption and a credit.
+   */
+  2: (data) => ({
+    ...data,
+    activities: data.activities.map(activity => ({
+      ...activity,
+      photos: activity.photos.map(photo => ({
+        ...photo,
+        caption: asString(photo.caption),
+        credit: asString(photo.credit)
+      }))
+    }))
+  }),
+
+  /**
+   * 3 → 4: reports gained a signed attestation; older reports are unsigned.
+   */
+  3: (data) => ({
+    ...data,
+    attestation: createAttestation()
+  }),
+
+  /**
+   * 4 → 5: photos record whether they were reduced to fit the size limit.
+   * Photos reduced by older versions are not marked and pass as unreduced.
+   */
+  4: (data) => {
+    const mark = (photo) => photo && { ...photo, reduction: photo.reduction || null };
+    return {
+      ...data,
+      headerPhoto: mark(data.headerPhoto),
+      activities: data.activities.map(activity => ({
+        ...activity,
+        photos: activity.photos.map(mark)
+      }))
+    };
+  },
+
+  /**
+   * 5 → 6: long text fields gained formatting markup (lib/markup.js). Older
+   * text is escaped so that, e.g., "2*3*4" or a line starting "2024. " reads
+   * as it was typed rather than as italic or a list.
+   */
+  5: (data) => ({
+    ...data,
+    activities: data.activities.map(activity => {
+      const fields = ACTIVITY_TYPES[activity.typeIndex]?.fields || [];
+      const escaped = fields
+        .filter(field => field.kind === 'longtext')
+        .map(field => [field.key, escapeMarkup(activity[field.key])]);
+      return { ...activity, ...Object.fromEntries(escaped) };
+    })
+  })
+};
+
+/**
+ * Bring report data from any earlier schema version up to the current one
+ * @param {object} data - Report data as stored or exported
+ * @returns {object} - Report data at REPORT_SCHEMA_VERSION
+ */
+export function migrateReport(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Report data is missing or malformed');
+  }
+
+  let version = data.schemaVersion ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Unknown report schema version: ${data.schemaVersion}`);
+  }
+  if (version > REPORT_SCHEMA_VERSION) {
+    throw new Error('This report was saved by a newer version of the app. Please update and try again.');
+  }
+
+  let migrated = data;
+  while (version < REPORT_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from report schema version ${version}`);
+    }
+    migrated = migrate(migrated);
+    version++;
+    migrated.schemaVersion = version;
+  }
+
+  return migrated;
+}
+
+/**
+ * Migrate report data and verify the result matches the schema
+ * @param {object} data - Report data as stored or exported
+ * @returns {object} - Valid report data at REPORT_SCHEMA_VERSION
+ */
+export function upgradeReport(data) {
+  const migrated = migrateReport(data);
+  const errors = validateReport(migrated);
+
+  if (errors.length > 0) {
+    const details = errors.slice(0, 5).map(e => `${e.path || 'report'} ${e.message}`).join('; ');
+    throw new Error(`Report data is invalid: ${details}`);
+  }
+
+  return migrated;
+}
+
+export default {
+  REPORT_SCHEMA_VERSION,
+  REPORT_SCHEMA,
+  createEmptyReport,
+  createActivity,
+  createPhoto,
+  createActivityPhoto,
+  createAttestation,
+  cloneAttestation,
+  createFollowUpReport,
+  validateReport,
+  migrateReport,
+  upgradeReport
+};
@@ -0,0 +1,509 @@
+/**
+ * Draft Persistence
+ *
+ * Stores reports in IndexedDB so that a refresh, a crashed tab or a
+ * sleeping laptop does not lose typed text or processed photos, and so that
+ * several reports (e.g. one per host school or per teacher) can be kept in
+ * one browser.
+ *
+ * Report records hold the report's text and refer to its photos by id; the
+ * photo files, and the original files they were made from, live in their own
+ * store and are only written when a photo is new, so autosaving an edit
+ * rewrites a few kilobytes rather than every photo. Preview URLs are
+ * recreated on load.
+ */
+
+import { REPORT_SCHEMA_VERSION, upgradeReport, cloneAttestation } from './schema.js';
+
+const DB_NAME = 'cultural-activity-report';
+const DB_VERSION = 1;
+
+// { id, name, createdAt, updatedAt, report, photoIds }; the multi-entry
+// photoIds index finds the records still using a photo file
+const REPORTS_STORE = 'reports';
+const PHOTO_IDS_INDEX = 'photoIds';
+
+// { id, blob }: photo files (processed photos and their originals), shared by
+// every record that uses them
+const PHOTOS_STORE = 'photos';
+
+// Ids of photo files, by blob. Blobs never change, so a photo keeps its id
+// (and its stored file) across saves, edits of its text and undo.
+const photoFileIds = new WeakMap();
+
+let dbPromise = null;
+
+/**
+ * Create a unique id
+ * @param {string} prefix - Used when crypto.randomUUID is unavailable
+ * @returns {string}
+ */
+function createId(prefix) {
+  if (globalThis.crypto?.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Open (and lazily create) the reports database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in globalThis)) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(REPORTS_STORE)) {
+        const reports = db.createObjectStore(REPORTS_STORE, { keyPath: 'id' });
+        reports.createIndex(PHOTO_IDS_INDEX, 'photoIds', { multiEntry: true });
+      }
+      if (!db.objectStoreNames.contains(PHOTOS_STORE)) {
+        db.createObjectStore(PHOTOS_STORE, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('Failed to open draft storage'));
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run one transaction over the reports and photos stores. Everything a
+ * change reads and writes happens inside it, so concurrent saves cannot
+ * interleave and lose a write.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function({reports: IDBObjectStore, photos: IDBObjectStore}): void} callback -
+ *   Issues the requests (chaining further ones from their success handlers)
+ * @returns {Promise<void>} - Settles when the transaction completes
+ */
+async function withStores(mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([REPORTS_STORE, PHOTOS_STORE], mode);
+    callback({
+      reports: transaction.objectStore(REPORTS_STORE),
+      photos: transaction.objectStore(PHOTOS_STORE)
+    });
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error || new Error('Draft storage request failed'));
+    transaction.onabort = () => reject(transaction.error || new Error('Draft storage request aborted'));
+  });
+}
+
+// ========================================
+// Photo Files
+// ========================================
+
+/**
+ * Id of a photo file, adding the file to those the record uses
+ * @param {Blob} blob
+ * @param {Map<string, Blob>} files - Files of the record being saved, by id
+ * @returns {string}
+ */
+function photoFileId(blob, files) {
+  let id = photoFileIds.get(blob);
+  if (!id) {
+    id = createId('photo');
+    photoFileIds.set(blob, id);
+  }
+  files.set(id, blob);
+  return id;
+}
+
+/**
+ * Write the photo files the store does not hold yet
+ * @param {IDBObjectStore} photos
+ * @param {Map<string, Blob>} files - By id
+ */
+function putNewPhotoFiles(photos, files) {
+  files.forEach((blob, id) => {
+    const request = photos.count(id);
+    request.onsuccess = () => {
+      if (request.result === 0) {
+        photos.put({ id, blob });
+      }
+    };
+  });
+}
+
+/**
+ * Delete photo files that no record uses any more
+ * @param {{reports: IDBObjectStore, photos: IDBObjectStore}} stores
+ * @param {Array<string>} ids - Files a changed or deleted record used
+ */
+function deleteUnusedPhotoFiles({ reports, photos }, ids) {
+  ids.forEach(id => {
+    const request = reports.index(PHOTO_IDS_INDEX).count(id);
+    request.onsuccess = () => {
+      if (request.result === 0) {
+        photos.delete(id);
+      }
+    };
+  });
+}
+
+/**
+ * Write a record and the photo files it uses, then drop files it replaced
+ * @param {{reports: IDBObjectStore, photos: IDBObjectStore}} stores
+ * @param {object} record - Record with `photoIds`
+ * @param {Map<string, Blob>} files - The record's photo files, by id
+ * @param {Array<string>} previousIds - Files the stored record used before
+ */
+function putRecord(stores, record, files, previousIds = []) {
+  putNewPhotoFiles(stores.photos, files);
+
+  const request = stores.reports.put(record);
+  request.onsuccess = () => {
+    deleteUnusedPhotoFiles(stores, previousIds.filter(id => !files.has(id)));
+  };
+}
+
+/**
+ * Read a record and its photo files
+ * @param {{reports: IDBObjectStore, photos: IDBObjectStore}} stores
+ * @param {string} id - Record id
+ * @param {function(object|undefined, Map<string, Blob>): void} onRead - Called
+ *   once everything is read, with the record (undefined if there is none)
+ */
+function getRecord({ reports, photos }, id, onRead) {
+  const request = reports.get(id);
+  request.onsuccess = () => {
+    const record = request.result;
+    const ids = record?.photoIds || [];
+    const files = new Map();
+    if (ids.length === 0) {
+      onRead(record, files);
+      return;
+    }
+
+    ids.forEach((photoId, i) => {
+      const fileRequest = photos.get(photoId);
+      fileRequest.onsuccess = () => {
+        if (fileRequest.result) {
+          files.set(photoId, fileRequest.result.blob);
+          photoFileIds.set(fileRequest.result.blob, photoId);
+        }
+        // Requests succeed in the order they were made
+        if (i === ids.length - 1) {
+          onRead(record, files);
+        }
+      };
+    });
+  };
+}
+
+// ========================================
+// Serialization
+// ========================================
+
+/**
+ * Strip a processed photo down to what can be stored: everything but the
+ * preview URL, which only lives as long as the page. The blob and the
+ * original file are replaced by the ids of their photo files.
+ * @param {object|null} photo - { blob, width, height, previewUrl, bytes, original?, ...text fields }
+ * @param {Map<string, Blob>} files - Collects the record's photo files
+ * @returns {object|null}
+ */
+function serializePhoto(photo, files) {
+  if (!photo || !photo.blob) return null;
+
+  const { blob, previewUrl, original, ...saved } = photo;
+  const stored = { ...saved, blobId: photoFileId(blob, files) };
+  if (original) {
+    stored.originalId = photoFileId(original, files);
+  }
+  return stored;
+}
+
+/**
+ * Rebuild a processed photo with its files and a fresh preview URL
+ * @param {object|null} saved - Stored photo
+ * @param {Map<string, Blob>} files - The record's photo files, by id
+ * @returns {object|null} - null if its file is missing (a missing original is left out)
+ */
+function deserializePhoto(saved, files) {
+  const blob = saved && files.get(saved.blobId);
+  if (!blob) return null;
+
+  const { blobId, originalId, ...fields } = saved;
+  const photo = {
+    ...fields,
+    blob,
+    previewUrl: URL.createObjectURL(blob)
+  };
+  if (files.has(originalId)) {
+    photo.original = files.get(originalId);
+  }
+  return photo;
+}
+
+/**
+ * Convert the report into a structured-clone friendly object
+ * @param {object} report - Application report state
+ * @param {Map<string, Blob>} files - Collects the photo files it uses, by id
+ * @returns {object}
+ */
+export function serializeReport(report, files) {
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    schoolYear: report.schoolYear,
+    instructorName: report.instructorName,
+    schoolType: report.schoolType,
+    headerPhoto: serializePhoto(report.headerPhoto, files),
+    distribution: {
+      categories: report.distribution.categories.map(cat => ({ ...cat }))
+    },
+    activities: report.activities.map(activity => ({
+      ...activity,
+      photos: activity.photos.map(photo => serializePhoto(photo, files)).filter(Boolean)
+    })),
+    attestation: cloneAttestation(report.attestation)
+  };
+}
+
+/**
+ * Convert a stored report back into application state.
+ * Reports saved by older versions are migrated to the current schema.
+ *
+ * @param {object} stored - Stored report
+ * @param {Map<string, Blob>} files - Its photo files, by id
+ * @returns {object}
+ */
+export function deserializeReport(stored, files) {
+  const saved = upgradeReport(stored);
+
+  return {
+    ...saved,
+    headerPhoto: deserializePhoto(saved.headerPhoto, files),
+    distribution: {
+      categories: (saved.distribution?.categories || []).map(cat => ({ ...cat }))
+    },
+    activities: (saved.activities || []).map(activity => ({
+      ...activity,
+      photos: (activity.photos || []).map(photo => deserializePhoto(photo, files)).filter(Boolean)
+    })),
+    attestation: cloneAttestation(saved.attestation)
+  };
+}
+
+// ========================================
+// Report Library
+// ========================================
+
+/**
+ * Summarize a stored record for the report library
+ * @param {object} record - Stored record
+ * @returns {{id: string, name: string, instructorName: string, schoolYear: string, createdAt: Date, updatedAt: Date}}
+ */
+function toSummary(record) {
+  return {
+    id: record.id,
+    name: record.name || '',
+    instructorName: record.report?.instructorName || '',
+    schoolYear: record.report?.schoolYear || '',
+    createdAt: new Date(record.createdAt),
+    updatedAt: new Date(record.updatedAt)
+  };
+}
+
+/**
+ * Change a stored record within one transaction
+ * @param {string} id - Report id
+ * @param {function(object, {reports: IDBObjectStore, photos: IDBObjectStore}): void} change -
+ *   Called with the record, and writes the changes
+ * @returns {Promise<void>}
+ */
+async function updateRecord(id, change) {
+  let found = false;
+
+  await withStores('readwrite', stores => {
+    const request = stores.reports.get(id);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      found = true;
+      change(request.result, stores);
+    };
+  });
+
+  if (!found) {
+    throw new Error('Saved report not found');
+  }
+}
+
+/**
+ * List all saved reports, most recently modified first
+ * @returns {Promise<Array<object>>} - Report summaries (see toSummary)
+ */
+export async function listReports() {
+  let records = [];
+
+  await withStores('readonly', ({ reports }) => {
+    const request = reports.getAll();
+    request.onsuccess = () => {
+      records = request.result;
+    };
+  });
+
+  return records
+    .map(toSummary)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Store a new report
+ * @param {object} report - Application report state
+ * @param {string} name - Optional display name
+ * @returns {Promise<string>} - Id of the new report
+ */
+export async function createReport(report, name = '') {
+  const now = new Date().toISOString();
+  const id = createId('report');
+  const files = new Map();
+  const serialized = serializeReport(report, files);
+
+  await withStores('readwrite', stores => {
+    putRecord(stores, {
+      id,
+      name,
+      createdAt: now,
+      updatedAt: now,
+      report: serialized,
+      photoIds: [...files.keys()]
+    }, files);
+  });
+
+  return id;
+}
+
+/**
+ * Load a saved report
+ * @param {string} id - Report id
+ * @returns {Promise<{id: string, name: string, updatedAt: Date, report: object}>}
+ */
+export async function loadReport(id) {
+  let record;
+  let files;
+
+  await withStores('readonly', stores => {
+    getRecord(stores, id, (found, foundFiles) => {
+      record = found;
+      files = foundFiles;
+    });
+  });
+
+  if (!record) {
+    throw new Error('Saved report not found');
+  }
+  return {
+    ...toSummary(record),
+    report: deserializeReport(record.report, files)
+  };
+}
+
+/**
+ * Save changes to an existing report, keeping its name
+ * @param {string} id - Report id
+ * @param {object} report - Application report state
+ * @returns {Promise<Date>} - Time the report was saved
+ */
+export async function saveReport(id, report) {
+  const savedAt = new Date();
+  const files = new Map();
+  const serialized = serializeReport(report, files);
+
+  await updateRecord(id, (record, stores) => {
+    putRecord(stores, {
+      ...record,
+      updatedAt: savedAt.toISOString(),
+      report: serialized,
+      photoIds: [...files.keys()]
+    }, files, record.photoIds);
+  });
+
+  return savedAt;
+}
+
+/**
+ * Copy a saved report under a new id. The copy shares the original's photo
+ * files until either report changes its photos.
+ * @param {string} id - Report id to copy
+ * @param {string} name - Display name for the copy
+ * @returns {Promise<string>} - Id of the copy
+ */
+export async function duplicateReport(id, name) {
+  const now = new Date().toISOString();
+  const copyId = createId('report');
+
+  await updateRecord(id, (record, { reports }) => {
+    reports.add({
+      ...record,
+      id: copyId,
+      name,
+      createdAt: now,
+      updatedAt: now
+    });
+  });
+
+  return copyId;
+}
+
+/**
+ * Change the display name of a saved report
+ * @param {string} id - Report id
+ * @param {string} name - New display name
+ */
+export async function renameReport(id, name) {
+  await updateRecord(id, (record, { reports }) => {
+    reports.put({
+      ...record,
+      name,
+      updatedAt: new Date().toISOString()
+    });
+  });
+}
+
+/**
+ * Delete a saved report, and the photo files no other report uses
+ * @param {string} id - Report id
+ */
+export async function deleteReport(id) {
+  await withStores('readwrite', stores => {
+    const request = stores.reports.get(id);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      stores.reports.delete(id).onsuccess = () => {
+        deleteUnusedPhotoFiles(stores, request.result.photoIds);
+      };
+    };
+  });
+}
+
+export default {
+  listReports,
+  createReport,
+  loadReport,
+  saveReport,
+  duplicateReport,
+  renameReport,
+  deleteReport,
+  serializeReport,
+  deserializeReport
+};
@@ -0,0 +1,110 @@
+/**
+ * Report Store
+ *
+ * Owns the report being edited and notifies subscribers after every change.
+ * The wizard never reads state back out of the DOM: form events call
+ * `set`/`update`, and the view re-renders from the store in response.
+ * Validation, review and PDF generation read `getState()` only, so they
+ * work without a DOM.
+ */
+
+/**
+ * Read a value by dotted path, e.g. "activities.0.date"
+ * @param {object} target
+ * @param {string} path
+ * @returns {*} - undefined if any step of the path is missing
+ */
+export function getIn(target, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), target);
+}
+
+/**
+ * Write a value by dotted path; every parent must already exist
+ * @param {object} target
+ * @param {string} path
+ * @param {*} value
+ */
+export function setIn(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => obj?.[key], target);
+
+  if (parent == null || typeof parent !== 'object') {
+    throw new Error(`Cannot set "${path}": parent does not exist`);
+  }
+  parent[last] = value;
+}
+
+/**
+ * Observable container for the open report.
+ *
+ * Every notification carries a change description:
+ *   origin       'edit' (user change), 'load' (report opened) or 'history' (undo/redo)
+ *   source       Element that caused the edit, if any (left alone when re-rendering)
+ *   coalesceKey  Edits sharing a key may be merged into one undo step
+ *   path         The one value changed, for changes made with `set`
+ */
+export class ReportStore {
+  /**
+   * @param {object} report - Initial report state
+   */
+  constructor(report) {
+    this.state = report;
+    this.listeners = new Set();
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Listen for changes
+   * @param {function(object, object): void} listener - Called with (state, change)
+   * @returns {function(): void} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Swap in a different report (opening a report, undo/redo)
+   * @param {object} report - New report state
+   * @param {object} change - Change description; origin defaults to 'load'
+   */
+  replace(report, change = {}) {
+    this.state = report;
+    this.emit({ origin: 'load', ...change });
+  }
+
+  /**
+   * Change the report in place
+   * @param {function(object): void} recipe - Mutates the report it is given
+   * @param {object} change - Change description; origin defaults to 'edit'
+   */
+  update(recipe, change = {}) {
+    recipe(this.state);
+    this.emit({ origin: 'edit', ...change });
+  }
+
+  /**
+   * Set a single value by dotted path; unchanged values do not notify
+   * @param {string} path - e.g. "instructorName" or "activities.1.medium"
+   * @param {*} value
+   * @param {object} change - Change description
+   */
+  set(path, value, change = {}) {
+    if (getIn(this.state, path) === value) return;
+    this.update(report => setIn(report, path, value), { ...change, path });
+  }
+
+  emit(change) {
+    this.listeners.forEach(listener => listener(this.state, change));
+  }
+}
+
+export default {
+  ReportStore,
+  getIn,
+  setIn
+};
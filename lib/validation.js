@@ -0,0 +1,260 @@
+/**
+ * Report Validation
+ *
+ * Rule-based checks of whether a report is complete enough to generate a PDF.
+ * Rules are plain data (see GENERAL_RULES, DISTRIBUTION_RULES, ATTESTATION_RULES
+ * and the activity rules built from config/activities.js) evaluated against
+ * the report alone, so validation runs in the wizard, the review step or headless.
+ *
+ * Each result is { path, code, message, severity }:
+ *   path      Dotted path into the report, as used by the store ("activities.0.date")
+ *   code      Rule type that failed, e.g. "required" or "maxLength"
+ *   severity  "error" blocks PDF generation; "warning" is advisory
+ */
+
+import { ACTIVITY_TYPES } from '../config/activities.js';
+import { getIn } from './store.js';
+
+// Minimum photos per activity
+export const MIN_PHOTOS = 1;
+
+// Allowed difference from 100% in the distribution total
+const DISTRIBUTION_TOLERANCE = 0.01;
+
+// Report sections, in wizard order
+export const VALIDATION_SECTIONS = ['general', 'distribution', 'activities', 'attestation'];
+
+/**
+ * Sum of all distribution percentages
+ * @param {object} report
+ * @returns {number}
+ */
+export function getDistributionTotal(report) {
+  return report.distribution.categories.reduce((sum, cat) => sum + cat.percent, 0);
+}
+
+// ========================================
+// Rule Types
+// ========================================
+
+const isBlank = (value) => value == null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Checks for each rule type: return true when the value passes.
+ * Length and pattern rules skip blank values; `required` covers those.
+ */
+const RULE_TYPES = {
+  required: {
+    test: (value) => !isBlank(value),
+    message: (rule) => `${rule.label} is required.`
+  },
+  minLength: {
+    test: (value, rule) => isBlank(value) || value.trim().length >= rule.value,
+    message: (rule) => `${rule.label} must be at least ${rule.value} characters.`
+  },
+  maxLength: {
+    test: (value, rule) => isBlank(value) || value.length <= rule.value,
+    message: (rule) => `${rule.label} must be at most ${rule.value} characters.`
+  },
+  pattern: {
+    test: (value, rule) => isBlank(value) || rule.value.test(value),
+    message: (rule) => `${rule.label} has an invalid format.`
+  },
+  minItems: {
+    test: (value, rule) => Array.isArray(value) && value.length >= rule.value,
+    message: (rule) => `At least ${rule.value} ${rule.label} required.`
+  },
+  custom: {
+    test: (value, rule, report) => rule.test(value, report),
+    message: (rule) => `${rule.label} is invalid.`
+  }
+};
+
+// ========================================
+// Rules
+// ========================================
+
+/**
+ * Rules are objects with:
+ *   path      Value to check
+ *   type      Key of RULE_TYPES
+ *   value     Rule parameter (length, pattern, count)
+ *   label     Field name used in default messages
+ *   message   Overrides the default message; may be a function of the report
+ *   when      Only applies when when(report) is true (cross-field rules)
+ *   severity  "error" (default) or "warning"
+ */
+
+const GENERAL_RULES = [
+  { path: 'headerPhoto', type: 'required', message: 'Header photo is required.' },
+  { path: 'instructorName', type: 'required', message: 'Full name is required.' },
+  { path: 'instructorName', type: 'maxLength', value: 100, label: 'Full name' },
+  { path: 'schoolYear', type: 'required', message: 'School year is required.' },
+  { path: 'schoolYear', type: 'pattern', value: /^\d{4}-\d{4}$/, message: 'School year must look like 2025-2026.' },
+  { path: 'schoolType', type: 'required', message: 'School type is required.' }
+];
+
+const DISTRIBUTION_RULES = [
+  {
+    path: 'distribution',
+    type: 'custom',
+    code: 'total',
+    test: (distribution, report) => Math.abs(getDistributionTotal(report) - 100) <= DISTRIBUTION_TOLERANCE,
+    message: (report) => `Distribution must total exactly 100%. Currently: ${getDistributionTotal(report).toFixed(1)}%`
+  }
+];
+
+const includesPrincipal = (report) => report.attestation.includePrincipal;
+
+const ATTESTATION_RULES = [
+  { path: 'attestation.instructor.signature', type: 'required', message: 'Please sign the attestation.' },
+  { path: 'attestation.instructor.name', type: 'required', message: 'Please type your name under your signature.' },
+  { path: 'attestation.instructor.date', type: 'required', message: 'Signature date is required.' },
+  { path: 'attestation.principal.signature', type: 'required', when: includesPrincipal, message: 'The principal must sign the attestation.' },
+  { path: 'attestation.principal.name', type: 'required', when: includesPrincipal, message: 'Principal name is required.' },
+  { path: 'attestation.principal.date', type: 'required', when: includesPrincipal, message: 'Signature date is required.' },
+  {
+    path: 'attestation.instructor.name',
+    type: 'custom',
+    code: 'signerName',
+    severity: 'warning',
+    test: (name, report) => isBlank(name) || isBlank(report.instructorName) ||
+      name.trim().toLowerCase() === report.instructorName.trim().toLowerCase(),
+    message: 'The signed name differs from the instructor name on the report.'
+  }
+];
+
+/**
+ * Rules for one activity, built from its type's field definitions
+ * @param {object} activity
+ * @param {number} index - Position in report.activities
+ * @returns {Array<object>}
+ */
+function getActivityRules(activity, index) {
+  const base = `activities.${index}`;
+  const rules = [];
+
+  ACTIVITY_TYPES[activity.typeIndex].fields.forEach(field => {
+    const path = `${base}.${field.key}`;
+    const label = field.label;
+
+    if (field.required) {
+      rules.push({ path, type: 'required', label, message: field.requiredMessage });
+    }
+    if (field.maxLength) {
+      rules.push({ path, type: 'maxLength', value: field.maxLength, label });
+    }
+    if (field.pattern) {
+      rules.push({ path, type: 'pattern', value: field.pattern, label, message: field.patternMessage });
+    }
+    if (field.recommendedLength) {
+      rules.push({
+        path,
+        type: 'minLength',
+        value: field.recommendedLength,
+        severity: 'warning',
+        message: `${label} is short; aim for at least ${field.recommendedLength} characters.`
+      });
+    }
+
+    // Free-text "other" value is required only when that option is chosen
+    if (field.other) {
+      rules.push({
+        path: `${base}.${field.other.key}`,
+        type: 'required',
+        when: (report) => getIn(report, path) === field.other.value,
+        message: `Please specify the ${label.toLowerCase()}.`
+      });
+    }
+  });
+
+  rules.push({
+    path: `${base}.photos`,
+    type: 'minItems',
+    value: MIN_PHOTOS,
+    label: MIN_PHOTOS === 1 ? 'photo is' : 'photos are'
+  });
+
+  return rules;
+}
+
+/**
+ * All rules that apply to a report, by section
+ * @param {object} report
+ * @returns {object} - { general: [...], distribution: [...], activities: [...], attestation: [...] }
+ */
+function getRules(report) {
+  return {
+    general: GENERAL_RULES,
+    distribution: DISTRIBUTION_RULES,
+    activities: report.activities.flatMap(getActivityRules),
+    attestation: ATTESTATION_RULES
+  };
+}
+
+// ========================================
+// Evaluation
+// ========================================
+
+/**
+ * Evaluate one rule
+ * @param {object} rule
+ * @param {object} report
+ * @returns {{path: string, code: string, message: string, severity: string}|null} - null if it passes
+ */
+function applyRule(rule, report) {
+  if (rule.when && !rule.when(report)) return null;
+
+  const ruleType = RULE_TYPES[rule.type];
+  if (!ruleType) {
+    throw new Error(`Unknown validation rule type: ${rule.type}`);
+  }
+
+  if (ruleType.test(getIn(report, rule.path), rule, report)) return null;
+
+  const message = typeof rule.message === 'function' ? rule.message(report) : rule.message;
+  return {
+    path: rule.path,
+    code: rule.code || rule.type,
+    message: message || ruleType.message(rule),
+    severity: rule.severity || 'error'
+  };
+}
+
+/**
+ * Validate a report
+ * @param {object} report - Report data
+ * @param {object} options
+ * @param {Array<string>} options.sections - Sections to check (defaults to all)
+ * @returns {Array<{path: string, code: string, message: string, severity: string}>}
+ *   Errors first, then warnings; empty when everything passes
+ */
+export function validate(report, { sections = VALIDATION_SECTIONS } = {}) {
+  const rules = getRules(report);
+  const results = sections
+    .flatMap(section => rules[section] || [])
+    .map(rule => applyRule(rule, report))
+    .filter(Boolean);
+
+  return [
+    ...results.filter(r => r.severity === 'error'),
+    ...results.filter(r => r.severity !== 'error')
+  ];
+}
+
+/**
+ * True if any result blocks PDF generation
+ * @param {Array<{severity: string}>} results
+ * @returns {boolean}
+ */
+export function hasErrors(results) {
+  return results.some(r => r.severity === 'error');
+}
+
+export default {
+  MIN_PHOTOS,
+  VALIDATION_SECTIONS,
+  getDistributionTotal,
+  validate,
+  hasErrors
+};
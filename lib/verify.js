@@ -0,0 +1,176 @@
+/**
+ * Report Checksum Check
+ *
+ * Compares the checksum stored in a generated PDF's metadata with one
+ * recomputed from its embedded report data (see lib/fingerprint.js), and
+ * counts the revisions saved in the file. Runs entirely in the browser.
+ *
+ * The checksum is not a signature: anyone can recompute it for edited data.
+ * A match only shows that the embedded data and photos were not changed
+ * without the checksum being replaced as well.
+ */
+
+import { readReportPdf } from './pdf.js';
+import { fingerprintBundle } from './fingerprint.js';
+
+/**
+ * Outcomes of verifyReportPdf:
+ *   match         Embedded data reproduces the stored checksum
+ *   mismatch      Embedded data was changed after generation, or cannot be read
+ *   unverifiable  Checksum stored, but no embedded data to check it against
+ *                 (archival PDFs cannot carry it)
+ *   missing       No checksum: not generated by this app, or by an older version
+ */
+export const VERIFY_STATUS = {
+  MATCH: 'match',
+  MISMATCH: 'mismatch',
+  UNVERIFIABLE: 'unverifiable',
+  MISSING: 'missing'
+};
+
+// ========================================
+// Revisions
+// ========================================
+
+// Readers look for the last startxref, and the linearization dictionary, this close to the file's end and start
+const SEARCH_LENGTH = 1024;
+
+/**
+ * Entries of the dictionary starting at or after an offset, without those of
+ * dictionaries nested in it
+ * @param {string} text - The PDF file, one character per byte
+ * @param {number} offset
+ * @returns {string|null} - The top-level entries, or null if the dictionary does not end
+ */
+function readTopLevelDictionary(text, offset) {
+  const start = text.indexOf('<<', offset);
+  if (start < 0) return null;
+
+  let depth = 0;
+  let entries = '';
+  for (let i = start; i < text.length; i++) {
+    if (text.startsWith('<<', i)) {
+      depth++;
+      i++;
+    } else if (text.startsWith('>>', i)) {
+      depth--;
+      i++;
+      if (depth === 0) return entries;
+    } else if (text[i] === '<') {
+      // Hex string, e.g. a file identifier
+      i = text.indexOf('>', i);
+      if (i < 0) return null;
+    } else if (text[i] === '(') {
+      // Literal string: balanced parentheses, backslash escapes
+      let nesting = 0;
+      for (; i < text.length; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '(') nesting++;
+        else if (text[i] === ')' && --nesting === 0) break;
+      }
+    } else if (depth === 1) {
+      entries += text[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the cross-reference section at an offset: a table followed by its
+ * trailer, or a cross-reference stream
+ * @param {string} text - The PDF file, one character per byte
+ * @param {number} offset - From startxref or a /Prev entry
+ * @returns {{prev: number|null}|null} - Offset of the previous section, or null if there is no section here
+ */
+function readXrefSection(text, offset) {
+  const head = text.slice(offset, offset + 64).replace(/^\s+/, '');
+
+  let entries;
+  if (/^xref\s/.test(head)) {
+    const trailer = text.indexOf('trailer', offset);
+    entries = trailer < 0 ? null : readTopLevelDictionary(text, trailer);
+  } else if (/^\d+\s+\d+\s+obj\b/.test(head)) {
+    entries = readTopLevelDictionary(text, offset);
+    if (entries !== null && !/\/Type\s*\/XRef\b/.test(entries)) return null;
+  } else {
+    return null;
+  }
+  if (entries === null) return null;
+
+  const prev = entries.match(/\/Prev\s+(\d+)/);
+  return { prev: prev ? Number(prev[1]) : null };
+}
+
+/**
+ * Count the revisions saved in a PDF file. Generated PDFs have one; editors
+ * that save changes as an incremental update append another, with a
+ * cross-reference section whose /Prev entry points to the one before.
+ * @param {Uint8Array} bytes
+ * @returns {number} - At least 1
+ */
+function countRevisions(bytes) {
+  const text = new TextDecoder('latin1').decode(bytes);
+
+  const tail = text.slice(-SEARCH_LENGTH);
+  const startxref = tail.slice(tail.lastIndexOf('startxref')).match(/^startxref\s+(\d+)/);
+
+  // Follow the chain from the last section back to the first
+  const sections = new Set();
+  let offset = startxref ? Number(startxref[1]) : null;
+  while (offset !== null && offset < text.length && !sections.has(offset)) {
+    const section = readXrefSection(text, offset);
+    if (!section) break;
+    sections.add(offset);
+    offset = section.prev;
+  }
+
+  // A linearized file saves its first revision as two sections: the first
+  // page's, whose /Prev points to the main one for the rest of the file
+  const linearized = /\/Linearized\b/.test(text.slice(0, SEARCH_LENGTH));
+  return Math.max(1, sections.size - (linearized ? 1 : 0));
+}
+
+// ========================================
+// Checking
+// ========================================
+
+/**
+ * Check a report PDF against its checksum
+ * @param {Blob|ArrayBuffer|Uint8Array} input - The PDF file
+ * @returns {Promise<{status: string, fingerprint: string|null, computed: string|null, revisions: number}>}
+ *   status is one of VERIFY_STATUS; fingerprint is the stored checksum and
+ *   computed the one recomputed from the embedded data (null if there is none
+ *   or it cannot be read)
+ */
+export async function verifyReportPdf(input) {
+  const bytes = new Uint8Array(input instanceof Blob ? await input.arrayBuffer() : input);
+  const { fingerprint, attachment } = await readReportPdf(bytes);
+  const revisions = countRevisions(bytes);
+
+  if (!fingerprint) {
+    return { status: VERIFY_STATUS.MISSING, fingerprint: null, computed: null, revisions };
+  }
+  if (!attachment) {
+    return { status: VERIFY_STATUS.UNVERIFIABLE, fingerprint, computed: null, revisions };
+  }
+
+  // Damaged report data cannot match either
+  let computed = null;
+  try {
+    computed = await fingerprintBundle(attachment);
+  } catch (error) {
+    console.warn('Could not read the embedded report data:', error);
+  }
+
+  return {
+    status: computed === fingerprint ? VERIFY_STATUS.MATCH : VERIFY_STATUS.MISMATCH,
+    fingerprint,
+    computed,
+    revisions
+  };
+}
+
+export default {
+  VERIFY_STATUS,
+  verifyReportPdf
+};
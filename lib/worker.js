@@ -0,0 +1,236 @@
+/**
+ * Background PDF Generation
+ *
+ * Runs generatePDF (lib/pdf.js) in a dedicated module worker (pdf-worker.js)
+ * so that embedding photos and saving the PDF do not freeze the page, and so
+ * that generation can be cancelled. Photos cross to the worker as transferred
+ * ArrayBuffers rather than copies, and the finished PDF comes back the same way.
+ *
+ * Browsers without module workers, or without OffscreenCanvas when photos
+ * must be re-encoded for a size limit, generate on the main thread instead;
+ * a cancelled generation then finishes in the background and is discarded.
+ *
+ * Messages from the worker:
+ *   { type: 'progress', status, progress }  onProgress arguments
+ *   { type: 'size', sizeReport }            onSizeReport argument
+ *   { type: 'done', bytes }                 The PDF
+ *   { type: 'error', message }              Generation failed
+ */
+
+import { generatePDF } from './pdf.js';
+
+// Worker script, at the app root so its asset paths resolve like the page's
+const WORKER_URL = new URL('../pdf-worker.js', import.meta.url);
+
+/**
+ * Whether the browser can run module workers (Firefox only since 114)
+ * @returns {boolean}
+ */
+function supportsModuleWorkers() {
+  let supported = false;
+  try {
+    // Browsers without module workers never read `type`
+    const options = {
+      get type() {
+        supported = true;
+        return 'module';
+      }
+    };
+    new Worker('blob://', options).terminate();
+  } catch (e) {
+    // The invalid URL always throws; only whether `type` was read matters
+  }
+  return supported;
+}
+
+/**
+ * The error a cancelled generation rejects with
+ * @returns {DOMException}
+ */
+function createAbortError() {
+  return new DOMException('PDF generation was cancelled', 'AbortError');
+}
+
+// ========================================
+// Report Transfer
+// ========================================
+
+/**
+ * Convert a photo's blobs to ArrayBuffers that can be transferred to a worker
+ * @param {object|null} photo - Processed photo
+ * @param {boolean} includeOriginal - Also send the original file (only the size limit uses it)
+ * @param {Array<ArrayBuffer>} transfer - Buffers to transfer, collected
+ * @returns {Promise<object|null>}
+ */
+async function packPhoto(photo, includeOriginal, transfer) {
+  if (!photo || !photo.blob) return null;
+
+  const { blob, original, previewUrl, ...fields } = photo;
+  const packed = { ...fields, data: await blob.arrayBuffer(), type: blob.type };
+  transfer.push(packed.data);
+
+  if (includeOriginal && original) {
+    packed.originalData = await original.arrayBuffer();
+    packed.originalType = original.type;
+    transfer.push(packed.originalData);
+  }
+  return packed;
+}
+
+/**
+ * Rebuild a photo's blobs from packPhoto's buffers
+ * @param {object|null} packed
+ * @returns {object|null}
+ */
+function unpackPhoto(packed) {
+  if (!packed) return null;
+
+  const { data, type, originalData, originalType, ...fields } = packed;
+  const photo = { ...fields, blob: new Blob([data], { type }) };
+  if (originalData) {
+    photo.original = new Blob([originalData], { type: originalType });
+  }
+  return photo;
+}
+
+/**
+ * Prepare a report to be posted to the worker
+ * @param {object} report - Application report state
+ * @param {boolean} includeOriginals - Also send photos' original files
+ * @returns {Promise<{report: object, transfer: Array<ArrayBuffer>}>}
+ */
+export async function packReportForWorker(report, includeOriginals) {
+  const transfer = [];
+
+  const activities = [];
+  for (const activity of report.activities) {
+    const photos = [];
+    for (const photo of activity.photos) {
+      photos.push(await packPhoto(photo, includeOriginals, transfer));
+    }
+    activities.push({ ...activity, photos });
+  }
+
+  return {
+    report: {
+      ...report,
+      headerPhoto: await packPhoto(report.headerPhoto, includeOriginals, transfer),
+      activities
+    },
+    transfer
+  };
+}
+
+/**
+ * Rebuild a report posted by packReportForWorker
+ * @param {object} packed
+ * @returns {object} - Report state with photo blobs
+ */
+export function unpackReportFromWorker(packed) {
+  return {
+    ...packed,
+    headerPhoto: unpackPhoto(packed.headerPhoto),
+    activities: packed.activities.map(activity => ({
+      ...activity,
+      photos: activity.photos.map(unpackPhoto)
+    }))
+  };
+}
+
+// ========================================
+// Generation
+// ========================================
+
+/**
+ * Generate a PDF on the main thread, for browsers without module workers
+ * @param {object} report
+ * @param {function} onProgress
+ * @param {object} options - generatePDF options
+ * @param {AbortSignal} signal
+ * @returns {Promise<Uint8Array>}
+ */
+function generateInPage(report, onProgress, options, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal?.addEventListener('abort', onAbort);
+
+    generatePDF(report, onProgress, options)
+      .then(resolve, reject)
+      .finally(() => signal?.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Generate a PDF in a background worker
+ * @param {object} report - Complete report data
+ * @param {function} onProgress - Called with a status line and, while drawing,
+ *   { photosEmbedded, photoTotal, pages } (see PDFGenerator.reportProgress)
+ * @param {object} options - generatePDF options, and:
+ * @param {AbortSignal} options.signal - Aborting terminates the worker and
+ *   rejects with an AbortError
+ * @returns {Promise<Uint8Array>} - PDF bytes
+ */
+export async function generatePDFInBackground(report, onProgress = () => {}, options = {}) {
+  const { signal, onSizeReport = () => {}, ...pdfOptions } = options;
+
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+  // Re-encoding photos for a size limit needs OffscreenCanvas in the worker
+  const canReencode = !pdfOptions.targetSize || typeof OffscreenCanvas !== 'undefined';
+  if (!supportsModuleWorkers() || !canReencode) {
+    return generateInPage(report, onProgress, { ...pdfOptions, onSizeReport }, signal);
+  }
+
+  onProgress('Preparing photos...');
+  const includeOriginals = Boolean(pdfOptions.targetSize);
+  const { report: packed, transfer } = await packReportForWorker(report, includeOriginals);
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL, { type: 'module' });
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.addEventListener('message', ({ data }) => {
+      switch (data.type) {
+        case 'progress':
+          onProgress(data.status, data.progress);
+          break;
+        case 'size':
+          onSizeReport(data.sizeReport);
+          break;
+        case 'done':
+          finish();
+          resolve(data.bytes);
+          break;
+        case 'error':
+          finish();
+          reject(new Error(data.message));
+          break;
+      }
+    });
+
+    // The worker script failed to load or threw outside generation
+    worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      finish();
+      reject(new Error(event.message || 'The PDF generator could not be started'));
+    });
+
+    worker.postMessage({ report: packed, options: pdfOptions }, transfer);
+  });
+}
+
+export default {
+  generatePDFInBackground,
+  packReportForWorker,
+  unpackReportFromWorker
+};
@@ -0,0 +1,231 @@
+/**
+ * Minimal ZIP Archive Reader/Writer
+ *
+ * Writes uncompressed (stored) archives, which is all the report bundle
+ * needs since its images are already JPEG-compressed. Reads stored and
+ * deflated entries so archives re-zipped by other tools still import.
+ * Runs entirely in the browser; no ZIP64, encryption or multi-disk support.
+ */
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// Version 2.0 (needed for folders/deflate); upper byte 0 = MS-DOS attributes
+const ZIP_VERSION = 20;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum used by ZIP
+ * @param {Uint8Array} data
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a date as MS-DOS time and date fields
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a ZIP archive from a list of files
+ * @param {Array<{name: string, data: Uint8Array|string}>} files - Strings are UTF-8 encoded
+ * @param {Date} modified - Modification time recorded for every entry
+ * @returns {Uint8Array} - Archive bytes
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+
+  const entries = files.map(file => {
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    return {
+      nameBytes: encoder.encode(file.name),
+      data,
+      crc: crc32(data),
+      offset: 0
+    };
+  });
+
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.nameBytes.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+  const output = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(output.buffer);
+  let pos = 0;
+
+  // Local file headers followed by file data
+  for (const entry of entries) {
+    entry.offset = pos;
+    view.setUint32(pos, LOCAL_FILE_HEADER_SIGNATURE, true);
+    view.setUint16(pos + 4, ZIP_VERSION, true);
+    view.setUint16(pos + 6, FLAG_UTF8, true);
+    view.setUint16(pos + 8, METHOD_STORED, true);
+    view.setUint16(pos + 10, time, true);
+    view.setUint16(pos + 12, date, true);
+    view.setUint32(pos + 14, entry.crc, true);
+    view.setUint32(pos + 18, entry.data.length, true);
+    view.setUint32(pos + 22, entry.data.length, true);
+    view.setUint16(pos + 26, entry.nameBytes.length, true);
+    view.setUint16(pos + 28, 0, true);
+    output.set(entry.nameBytes, pos + 30);
+    pos += 30 + entry.nameBytes.length;
+    output.set(entry.data, pos);
+    pos += entry.data.length;
+  }
+
+  // Central directory
+  const centralOffset = pos;
+  for (const entry of entries) {
+    view.setUint32(pos, CENTRAL_DIRECTORY_SIGNATURE, true);
+    view.setUint16(pos + 4, ZIP_VERSION, true);
+    view.setUint16(pos + 6, ZIP_VERSION, true);
+    view.setUint16(pos + 8, FLAG_UTF8, true);
+    view.setUint16(pos + 10, METHOD_STORED, true);
+    view.setUint16(pos + 12, time, true);
+    view.setUint16(pos + 14, date, true);
+    view.setUint32(pos + 16, entry.crc, true);
+    view.setUint32(pos + 20, entry.data.length, true);
+    view.setUint32(pos + 24, entry.data.length, true);
+    view.setUint16(pos + 28, entry.nameBytes.length, true);
+    // Extra field, comment, disk number, attributes: all zero
+    view.setUint32(pos + 42, entry.offset, true);
+    output.set(entry.nameBytes, pos + 46);
+    pos += 46 + entry.nameBytes.length;
+  }
+
+  // End of central directory record
+  view.setUint32(pos, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  view.setUint16(pos + 8, entries.length, true);
+  view.setUint16(pos + 10, entries.length, true);
+  view.setUint32(pos + 12, pos - centralOffset, true);
+  view.setUint32(pos + 16, centralOffset, true);
+
+  return output;
+}
+
+/**
+ * Inflate raw DEFLATE data using the browser's DecompressionStream
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed ZIP entries');
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read all files from a ZIP archive
+ * @param {Uint8Array|ArrayBuffer} input - Archive bytes
+ * @returns {Promise<Map<string, Uint8Array>>} - File contents by path (folders omitted)
+ */
+export async function readZip(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record is at the end, before an optional comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const files = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(pos, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    const expectedCrc = view.getUint32(pos + 16, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x0001) {
+      throw new Error(`Encrypted ZIP entries are not supported (${name})`);
+    }
+
+    // Data starts after the local header, whose extra field may differ
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt ZIP entry (${name})`);
+    }
+    const dataStart = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHOD_STORED) {
+      data = raw.slice();
+    } else if (method === METHOD_DEFLATE) {
+      data = await inflateRaw(raw);
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+    }
+
+    if (crc32(data) !== expectedCrc) {
+      throw new Error(`ZIP entry is damaged (${name})`);
+    }
+
+    files.set(name, data);
+  }
+
+  return files;
+}
+
+export default {
+  createZip,
+  readZip,
+  crc32
+};
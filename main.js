@@ -6,132 +6,831 @@
  */
 
 import { processImageToLandscape16x9, formatFileSize, revokePreviewUrl } from './lib/image.js';
-import { generatePDF, generateFilename, downloadPDF } from './lib/pdf.js';
+import {
+  generateFilename,
+  downloadPDF,
+  extractReportAttachment,
+  PAGE_SIZES,
+  TARGET_SIZES
+} from './lib/pdf.js';
+import { escapeHtml } from './lib/escape.js';
+import { generatePDFInBackground } from './lib/worker.js';
+import { PdfPreview } from './lib/preview.js';
+import { verifyReportPdf, VERIFY_STATUS } from './lib/verify.js';
+import { formatShortFingerprint } from './lib/fingerprint.js';
+import {
+  listReports,
+  createReport,
+  loadReport,
+  saveReport,
+  duplicateReport,
+  renameReport,
+  deleteReport
+} from './lib/storage.js';
+import {
+  exportReportBundle,
+  importReportBundle,
+  generateBundleFilename,
+  downloadBundle
+} from './lib/bundle.js';
+import {
+  createEmptyReport,
+  createActivity,
+  createPhoto,
+  createActivityPhoto,
+  createFollowUpReport,
+  MAX_ACTIVITIES,
+  MAX_ACTIVITY_PHOTOS
+} from './lib/schema.js';
+import { ReportHistory } from './lib/history.js';
+import { ACTIVITY_TYPES, formatActivityField } from './config/activities.js';
+import { PDF_THEMES } from './config/themes.js';
+import { ATTESTATION, getSigners, formatAttestationStatement } from './config/attestation.js';
+import { CHART_TYPES, renderChartSvg } from './lib/charts.js';
+import { renderMarkupHtml, toggleInlineStyle, toggleList } from './lib/markup.js';
+import { ReportStore, getIn, setIn } from './lib/store.js';
+import { validate, hasErrors, getDistributionTotal } from './lib/validation.js';
+import { ORG_CONFIG } from './config/org.js';
 
 // ========================================
 // Application State
 // ========================================
 
 /**
- * Main application state object
- * Holds all form data in memory (no persistence)
- */
-const report = {
-  schoolYear: '',
-  instructorName: '',
-  schoolType: '',
-  headerPhoto: null, // { blob, width, height, previewUrl, bytes }
-  distribution: {
-    categories: [
-      { label: 'American', percent: 0 },
-      { label: 'French', percent: 0 },
-      { label: 'Spanish', percent: 0 },
-      { label: 'Chinese', percent: 0 },
-      { label: 'Mixed', percent: 0 },
-      { label: 'Other', percent: 0 }
-    ]
-  },
-  activities: [] // Array of activity objects
-};
+ * Main application state
+ * Holds the report open in the wizard; autosaved to IndexedDB (see lib/storage.js).
+ * The wizard renders from the store and writes edits to it, never the reverse.
+ */
+const store = new ReportStore(createEmptyReport());
+
+// Id of the open report in draft storage (null while the library is shown)
+let currentReportId = null;
 
-// Current wizard step (1-4)
+// Undo/redo snapshots of the open report
+const undoHistory = new ReportHistory();
+
+// Current wizard step (1-5)
 let currentStep = 1;
-const TOTAL_STEPS = 4;
+const TOTAL_STEPS = 5;
+
+// The last step reviews the report and generates the PDF
+const REVIEW_STEP = TOTAL_STEPS;
+
+// Cancels the PDF being generated (null when none is)
+let generateController = null;
+
+// The PDF shown in the review step's preview (null when closed):
+// { pdf: PdfPreview, bytes, filename, page, zoom } where a null zoom fits the page width
+let preview = null;
 
 // Activity constraints
 const MIN_ACTIVITIES = 2;
 const MAX_ACTIVITIES_STANDARD = 2;
-const MAX_ACTIVITIES_INTERNATIONAL = 3;
-const MIN_PHOTOS = 1;
-const MAX_PHOTOS = 6;
+const MAX_ACTIVITIES_INTERNATIONAL = MAX_ACTIVITIES;
+const MAX_PHOTOS = MAX_ACTIVITY_PHOTOS;
+
+// Bound fields of a photo (e.g. "activities.0.photos.2.description")
+const PHOTO_FIELD_PATTERN = /^(headerPhoto|activities\.\d+\.photos\.\d+)\.(\w+)$/;
+
+// Delay before an edit is written to draft storage
+const AUTOSAVE_DELAY_MS = 500;
+
+// School year options offered in the dropdown
+const SCHOOL_YEAR_OPTIONS = [
+  '2025-2026',
+  '2026-2027',
+  '2027-2028',
+  '2028-2029',
+  '2029-2030',
+  '2030-2031',
+  '2031-2032'
+];
 
 // School types that require a third activity
 const INTERNATIONAL_SCHOOL_TYPES = ['International', 'Immersion'];
 
-// Activity prompts and titles
-const ACTIVITY_CONFIG = [
-  {
-    number: 1,
-    title: 'Home Country Cultural Activity',
-    prompt: 'Describe an activity for your classroom, larger host school or host district population, or the community at large designed to give an overview of the history, traditions, heritage, culture, economy, educational system, and/or other attributes of your home country.',
-    hasExtraFields: false
-  },
-  {
-    number: 2,
-    title: 'Virtual Exchange Activity',
-    prompt: 'Describe an activity that involves U.S student dialogue with schools or students in another country, preferably in the home school, through virtual exchange – in other words, through the Internet. If unsure what this means, contact the Cordell Hull Foundation for a more detailed handout (explanation).',
-    hasExtraFields: true // Medium, Country, Foreign school
-  },
-  {
-    number: 3,
-    title: 'Cultural Activity 3',
-    prompt: 'For INTERNATIONAL or FOREIGN LANGUAGE IMMERSION teachers – all GRADE LEVELS',
-    hasExtraFields: false,
-    optional: true
-  }
+// Activity type added for International/Immersion schools
+const OPTIONAL_ACTIVITY_TYPE = ACTIVITY_TYPES.findIndex(type => type.optional);
+
+// Formatting buttons above long text fields (see lib/markup.js), and their shortcuts
+const MARKUP_ACTIONS = [
+  { action: 'bold', label: '<strong>B</strong>', title: 'Bold', shortcut: 'b' },
+  { action: 'italic', label: '<em>I</em>', title: 'Italic', shortcut: 'i' },
+  { action: 'bulletList', label: '•', title: 'Bulleted list' },
+  { action: 'numberedList', label: '1.', title: 'Numbered list' }
 ];
 
 // ========================================
 // Initialization
 // ========================================
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  store.subscribe(handleStoreChange);
+
   initSchoolYearDropdown();
   initDistributionListeners();
   initActivitySection();
+  initSignaturePads();
   initNavigationButtons();
+  initPdfOptions();
+  initPdfPreview();
   initHeaderPhotoUpload();
-  initSchoolTypeListener();
   initAutoExpandTextareas();
-  initInstructorNameListener();
+  initMarkupToolbars();
+  initFieldBindings();
+  initReportLibrary();
+  initVerification();
+  initAutosave();
+  initUndoRedo();
+
+  await showLibrary();
+});
 
-  // Create default 2 activities
-  addActivity(0); // Activity 1
-  addActivity(1); // Activity 2
+// ========================================
+// Report Library
+// ========================================
 
-  updateActivityCount();
-});
+function initReportLibrary() {
+  document.getElementById('newReportBtn').addEventListener('click', startNewReport);
+  document.getElementById('openLibraryBtn').addEventListener('click', showLibrary);
+  document.getElementById('exportDraftBtn').addEventListener('click', () => exportDraft(store.getState()));
+
+  const importInput = document.getElementById('importDraftInput');
+  document.getElementById('importDraftBtn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) {
+      await importDraft(file);
+    }
+  });
+
+  const previousInput = document.getElementById('previousReportInput');
+  document.getElementById('previousReportBtn').addEventListener('click', () => previousInput.click());
+  previousInput.addEventListener('change', async () => {
+    const file = previousInput.files[0];
+    previousInput.value = '';
+    if (file) {
+      await startFromPreviousFile(file);
+    }
+  });
+
+  const pdfInput = document.getElementById('openPdfInput');
+  document.getElementById('openPdfBtn').addEventListener('click', () => pdfInput.click());
+  pdfInput.addEventListener('change', async () => {
+    const file = pdfInput.files[0];
+    pdfInput.value = '';
+    if (file) {
+      await openReportPdf(file);
+    }
+  });
+
+  // Row actions use event delegation since the list is re-rendered
+  document.getElementById('reportList').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const id = button.closest('.report-list-item').dataset.reportId;
+    handleLibraryAction(button.dataset.action, id);
+  });
+}
+
+/**
+ * Leave the wizard (saving pending edits) and list saved reports
+ */
+async function showLibrary() {
+  if (autosaveTimer) {
+    await saveDraftNow();
+  }
+
+  closeReport();
+  document.getElementById('libraryView').classList.remove('hidden');
+  document.getElementById('wizardView').classList.add('hidden');
+  document.getElementById('verifyView').classList.add('hidden');
+
+  await renderReportList();
+}
+
+async function renderReportList() {
+  const list = document.getElementById('reportList');
+  const empty = document.getElementById('reportListEmpty');
+
+  let reports;
+  try {
+    reports = await listReports();
+  } catch (error) {
+    console.error('Could not list saved reports:', error);
+    list.innerHTML = '';
+    empty.textContent = 'Saved reports are unavailable in this browser. You can still create a report, but it will not be saved.';
+    empty.style.display = 'block';
+    return;
+  }
+
+  empty.textContent = 'No saved reports yet. Create one to get started.';
+  empty.style.display = reports.length === 0 ? 'block' : 'none';
+
+  list.innerHTML = reports.map(summary => `
+    <li class="report-list-item" data-report-id="${escapeHtml(summary.id)}">
+      <div class="report-list-info">
+        <span class="report-list-name">${escapeHtml(getReportDisplayName(summary))}</span>
+        <span class="report-list-meta">
+          ${escapeHtml(summary.instructorName || 'No instructor name')} · ${escapeHtml(summary.schoolYear)}
+          · Last modified ${escapeHtml(summary.updatedAt.toLocaleString())}
+        </span>
+      </div>
+      <div class="report-list-actions">
+        <button type="button" class="btn-primary" data-action="open">Open</button>
+        <button type="button" class="btn-secondary" data-action="duplicate">Duplicate</button>
+        <button type="button" class="btn-secondary" data-action="next-year" title="Start next year's report from this one">Next Year</button>
+        <button type="button" class="btn-secondary" data-action="rename">Rename</button>
+        <button type="button" class="btn-secondary" data-action="export">Export</button>
+        <button type="button" class="btn-secondary btn-danger" data-action="delete">Delete</button>
+      </div>
+    </li>
+  `).join('');
+}
+
+/**
+ * Name shown in the library: the custom name, else the instructor name
+ * @param {{name: string, instructorName: string}} summary
+ * @returns {string}
+ */
+function getReportDisplayName(summary) {
+  return summary.name || summary.instructorName || 'Untitled report';
+}
+
+async function handleLibraryAction(action, id) {
+  try {
+    const summary = (await listReports()).find(r => r.id === id);
+    if (!summary) return;
+    const displayName = getReportDisplayName(summary);
+
+    switch (action) {
+      case 'open': {
+        const saved = await loadReport(id);
+        openReport(id, saved.report);
+        return;
+      }
+      case 'duplicate':
+        await duplicateReport(id, `Copy of ${displayName}`);
+        break;
+      case 'next-year': {
+        const saved = await loadReport(id);
+        await startFromPreviousReport(saved.report);
+        return;
+      }
+      case 'export': {
+        const saved = await loadReport(id);
+        await exportDraft(saved.report);
+        revokeReportPreviewUrls(saved.report);
+        return;
+      }
+      case 'rename': {
+        const name = prompt('Report name:', displayName);
+        if (name === null) return;
+        await renameReport(id, name.trim());
+        break;
+      }
+      case 'delete':
+        if (!confirm(`Delete "${displayName}"? This cannot be undone.`)) return;
+        await deleteReport(id);
+        break;
+      default:
+        return;
+    }
+
+    await renderReportList();
+  } catch (error) {
+    console.error(`Report library action "${action}" failed:`, error);
+    alert('Something went wrong with the saved report.\n\nError: ' + error.message);
+  }
+}
+
+async function startNewReport() {
+  const newReport = createEmptyReport(getCurrentSchoolYear());
+
+  let id = null;
+  try {
+    id = await createReport(newReport);
+  } catch (error) {
+    console.error('Could not create saved report:', error);
+    setAutosaveStatus('Draft storage is unavailable; changes will not be saved', true);
+  }
+
+  openReport(id, newReport);
+}
+
+/**
+ * Start a new report from last year's report.
+ * Carries over general info and distribution, advances the school year and
+ * optionally copies activities as templates (dates and photos cleared).
+ *
+ * @param {object} previous - Previous report state (discarded afterwards)
+ */
+async function startFromPreviousReport(previous) {
+  const schoolYear = getNextSchoolYear(previous.schoolYear);
+  const choice = await chooseFollowUpActivities(
+    `Start a ${schoolYear} report from the ${previous.schoolYear || 'previous'} report. ` +
+    'Copy last year\'s activities as templates (dates and photos are cleared), or start with empty activities?'
+  );
+
+  const followUp = choice === 'cancel'
+    ? null
+    : createFollowUpReport(previous, schoolYear, { copyActivities: choice === 'copy' });
+  revokeReportPreviewUrls(previous);
+
+  if (followUp) {
+    await openImportedReport(followUp);
+  }
+}
+
+/**
+ * Ask how to start a follow-up report
+ * @param {string} message - Explanation shown in the dialog
+ * @returns {Promise<'copy'|'empty'|'cancel'>} - Escape and clicks outside the dialog cancel
+ */
+function chooseFollowUpActivities(message) {
+  const dialog = document.getElementById('followUpDialog');
+  document.getElementById('followUpMessage').textContent = message;
+  dialog.style.display = 'flex';
+  dialog.querySelector('[data-choice="copy"]').focus();
+
+  return new Promise(resolve => {
+    const finish = (choice) => {
+      dialog.style.display = 'none';
+      dialog.removeEventListener('click', onClick);
+      dialog.removeEventListener('keydown', onKeyDown);
+      resolve(choice);
+    };
+    const onClick = (e) => {
+      if (e.target === dialog) {
+        finish('cancel');
+      } else if (e.target.dataset.choice) {
+        finish(e.target.dataset.choice);
+      }
+    };
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') finish('cancel');
+    };
+
+    dialog.addEventListener('click', onClick);
+    dialog.addEventListener('keydown', onKeyDown);
+  });
+}
+
+/**
+ * Start a new report from a previous export (.zip) or generated PDF
+ * @param {File} file
+ */
+async function startFromPreviousFile(file) {
+  let previous;
+  try {
+    let bundle = file;
+    if (file.type === 'application/pdf' || /\.pdf$/i.test(file.name)) {
+      bundle = await extractReportAttachment(await file.arrayBuffer());
+      if (!bundle) {
+        alert('This PDF does not contain editable report data.\n\nOnly reports generated by this app can be used.');
+        return;
+      }
+    }
+    previous = await importReportBundle(bundle);
+  } catch (error) {
+    console.error('Reading previous report failed:', error);
+    alert('Failed to read the previous report.\n\nError: ' + error.message);
+    return;
+  }
+
+  await startFromPreviousReport(previous);
+}
+
+/**
+ * Load a report into the wizard, replacing the one currently open
+ * @param {string|null} id - Id in draft storage (null if storage is unavailable)
+ * @param {object} nextReport - Report state
+ */
+function openReport(id, nextReport) {
+  closeReport();
+
+  currentReportId = id;
+  undoHistory.reset(nextReport);
+  store.replace(nextReport);
+
+  // Clear validation messages left over from the previous report
+  clearValidationErrors();
+
+  currentStep = 1;
+  updateWizardUI();
+
+  document.getElementById('libraryView').classList.add('hidden');
+  document.getElementById('wizardView').classList.remove('hidden');
+}
+
+/**
+ * Release the open report's preview URLs (including photos only kept for
+ * undo) and reset the wizard state
+ */
+function closeReport() {
+  revokeReportPreviewUrls(store.getState());
+  undoHistory.allPhotos().forEach(photo => revokePreviewUrl(photo.previewUrl));
+
+  const emptyReport = createEmptyReport(getCurrentSchoolYear());
+  currentReportId = null;
+  undoHistory.reset(emptyReport);
+  store.replace(emptyReport);
+  setAutosaveStatus('');
+  renderPdfSizeReport(null);
+  closePreview();
+}
+
+/**
+ * Revoke every photo preview URL held by a report
+ * @param {object} target - Report state
+ */
+function revokeReportPreviewUrls(target) {
+  revokePreviewUrl(target.headerPhoto?.previewUrl);
+  target.activities.forEach(activity => {
+    activity.photos.forEach(photo => revokePreviewUrl(photo.previewUrl));
+  });
+}
 
 // ========================================
-// Header Display Updates
+// Draft Export / Import
 // ========================================
 
 /**
- * Update the header to display instructor name and school year
+ * Download a report as a portable .zip bundle
+ * @param {object} target - Report state
  */
-function updateHeaderDisplay() {
-  const nameHeader = document.getElementById('instructorNameHeader');
-  const yearDisplay = document.getElementById('schoolYearDisplay');
+async function exportDraft(target) {
+  try {
+    const blob = await exportReportBundle(target);
+    downloadBundle(blob, generateBundleFilename(target.schoolYear, target.instructorName));
+  } catch (error) {
+    console.error('Draft export failed:', error);
+    alert('Failed to export the draft.\n\nError: ' + error.message);
+  }
+}
 
-  if (report.instructorName) {
-    nameHeader.textContent = report.instructorName;
+/**
+ * Save an exported bundle as a new report and open it
+ * @param {File} file - The .zip bundle
+ */
+async function importDraft(file) {
+  let imported;
+  try {
+    imported = await importReportBundle(file);
+  } catch (error) {
+    console.error('Draft import failed:', error);
+    alert('Failed to import the draft.\n\nError: ' + error.message);
+    return;
+  }
+
+  await openImportedReport(imported);
+}
+
+/**
+ * Reopen a PDF generated by this app using the report data embedded in it
+ * @param {File} file - The generated PDF
+ */
+async function openReportPdf(file) {
+  let imported;
+  try {
+    const bundle = await extractReportAttachment(await file.arrayBuffer());
+    if (!bundle) {
+      alert('This PDF does not contain editable report data.\n\nOnly reports generated by this app can be reopened.');
+      return;
+    }
+    imported = await importReportBundle(bundle);
+  } catch (error) {
+    console.error('Opening report PDF failed:', error);
+    alert('Failed to open the report PDF.\n\nError: ' + error.message);
+    return;
+  }
+
+  await openImportedReport(imported);
+}
+
+/**
+ * Save an imported report as a new library entry and open it
+ * @param {object} imported - Report state
+ */
+async function openImportedReport(imported) {
+  let id = null;
+  try {
+    id = await createReport(imported);
+  } catch (error) {
+    console.error('Could not save imported report:', error);
+  }
+
+  openReport(id, imported);
+  if (!id) {
+    setAutosaveStatus('Draft storage is unavailable; changes will not be saved', true);
+  }
+}
+
+// ========================================
+// Draft Autosave
+// ========================================
+
+let autosaveTimer = null;
+
+/**
+ * Flush pending edits when the tab is hidden (sleep, tab switch, close).
+ * Edits are queued for saving by handleStoreChange.
+ */
+function initAutosave() {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && autosaveTimer) {
+      saveDraftNow();
+    }
+  });
+}
+
+/**
+ * Queue a draft save, coalescing bursts of edits
+ */
+function scheduleAutosave() {
+  if (!currentReportId) return;
+
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(saveDraftNow, AUTOSAVE_DELAY_MS);
+  setAutosaveStatus('Saving draft...');
+}
+
+async function saveDraftNow() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+
+  if (!currentReportId) return;
+
+  try {
+    const savedAt = await saveReport(currentReportId, store.getState());
+    setAutosaveStatus(`Draft saved at ${savedAt.toLocaleTimeString()}`);
+  } catch (error) {
+    console.error('Draft autosave failed:', error);
+    setAutosaveStatus('Draft could not be saved on this device', true);
+  }
+}
+
+function setAutosaveStatus(message, isError = false) {
+  const statusEl = document.getElementById('autosaveStatus');
+  statusEl.textContent = message;
+  statusEl.classList.toggle('text-error', isError);
+}
+
+// ========================================
+// Store Updates and Rendering
+// ========================================
+
+/**
+ * React to every store change: record undo history, autosave and re-render
+ * @param {object} state - Report state
+ * @param {object} change - Change description (see lib/store.js)
+ */
+function handleStoreChange(state, change) {
+  if (change.origin === 'edit') {
+    undoHistory.record(state, change.coalesceKey);
+  }
+  if (change.origin !== 'load') {
+    scheduleAutosave();
+  }
+
+  updateUndoButtons();
+  if (change.path) {
+    // A single field edit: don't rebuild the whole step on every keystroke
+    renderPathChange(state, change.path);
   } else {
-    nameHeader.textContent = '';
+    renderWizard(state);
   }
 
-  if (report.schoolYear) {
-    const [startYear, endYear] = report.schoolYear.split('-');
-    yearDisplay.textContent = `School Year ${startYear} - ${endYear}`;
+  if (currentStep === REVIEW_STEP) {
+    renderReview();
+  }
+}
+
+/**
+ * Write edits from bound form fields (those with a data-path) to the store
+ */
+function initFieldBindings() {
+  const content = document.querySelector('.wizard-content');
+  content.addEventListener('input', handleFieldEdit);
+  content.addEventListener('change', handleFieldEdit);
+}
+
+/**
+ * @param {Event} e - Bubbled input/change event
+ */
+function handleFieldEdit(e) {
+  const field = e.target;
+  const path = field.dataset?.path;
+  if (!path) return;
+
+  const value = readFieldValue(field);
+  // Typing in one field becomes a single undo step
+  const change = { coalesceKey: field };
+
+  if (path === 'schoolType') {
+    // The number of activities follows the school type
+    if (value === store.getState().schoolType) return;
+    store.update(report => {
+      report.schoolType = value;
+      applySchoolTypeActivities(report);
+    }, change);
+    return;
+  }
+
+  // Photo objects are shared with the undo history and never mutated: store an edited copy
+  const photoField = path.match(PHOTO_FIELD_PATTERN);
+  if (photoField) {
+    const [, photoPath, key] = photoField;
+    const photo = getIn(store.getState(), photoPath);
+    if (!photo || photo[key] === value) return;
+    store.update(report => setIn(report, photoPath, { ...photo, [key]: value }), change);
+    return;
+  }
+
+  store.set(path, value, change);
+}
+
+/**
+ * Parse a bound field's value into the form stored in the report.
+ * Number fields are parsed; fields marked data-trim are trimmed.
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field
+ * @returns {string|number}
+ */
+function parseFieldValue(field) {
+  if (field.type === 'checkbox') {
+    return field.checked;
+  }
+  if (field.type === 'number') {
+    return parseFloat(field.value) || 0;
+  }
+  return 'trim' in field.dataset ? field.value.trim() : field.value;
+}
+
+/**
+ * Parse a bound field's value and clamp numbers to the field's min/max
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field
+ * @returns {string|number}
+ */
+function readFieldValue(field) {
+  const value = parseFieldValue(field);
+  if (field.type !== 'number') return value;
+
+  const min = field.min === '' ? -Infinity : Number(field.min);
+  const max = field.max === '' ? Infinity : Number(field.max);
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Rebuild the wizard from the report state
+ * @param {object} state - Report state
+ */
+function renderWizard(state) {
+  // General information
+  const yearSelect = document.getElementById('schoolYear');
+  if (state.schoolYear && !Array.from(yearSelect.options).some(opt => opt.value === state.schoolYear)) {
+    yearSelect.add(new Option(state.schoolYear, state.schoolYear));
+  }
+
+  if (state.headerPhoto) {
+    showHeaderPhotoPreview(state.headerPhoto);
   } else {
-    yearDisplay.textContent = '';
+    hideHeaderPhotoPreview();
+  }
+
+  renderDistribution(state);
+  renderActivities(state);
+  renderAttestation(state);
+  renderBoundFields(state);
+
+  updateHeaderDisplay(state);
+}
+
+/**
+ * Update the parts of the wizard that show a single changed value:
+ * the fields bound to it and whatever depends on it
+ * @param {object} state - Report state
+ * @param {string} path - e.g. "activities.1.medium"
+ */
+function renderPathChange(state, path) {
+  renderBoundFields(state, `[data-path="${path}"]`);
+
+  const [section, index] = path.split('.');
+  if (section === 'instructorName' || section === 'schoolYear') {
+    updateHeaderDisplay(state);
+  } else if (section === 'distribution') {
+    updateDistributionTotal(state);
+  } else if (section === 'activities') {
+    const card = document.querySelector(`.activity-card[data-activity-index="${index}"]`);
+    if (card) updateActivityCard(card, state.activities[index], Number(index));
   }
 }
 
 /**
- * Initialize listener for instructor name changes
+ * Show the state's values in bound fields.
+ * A field already holding the value is left alone, so the one being typed
+ * in keeps its cursor and any not-yet-stored text (e.g. a trailing space).
+ * @param {object} state - Report state
+ * @param {string} selector - Narrows the fields updated (default: all)
  */
-function initInstructorNameListener() {
-  const nameInput = document.getElementById('instructorName');
+function renderBoundFields(state, selector = '') {
+  document.querySelectorAll(`.wizard-content [data-path]${selector}`).forEach(field => {
+    const value = getIn(state, field.dataset.path);
+    if (value === undefined || parseFieldValue(field) === value) return;
 
-  nameInput.addEventListener('input', (e) => {
-    report.instructorName = e.target.value.trim();
-    updateHeaderDisplay();
+    if (field.type === 'checkbox') {
+      field.checked = value;
+      return;
+    }
+    field.value = value;
+    if (field.classList.contains('auto-expand')) {
+      autoExpandTextarea(field);
+    }
   });
+}
+
+// ========================================
+// Undo / Redo
+// ========================================
 
-  nameInput.addEventListener('change', (e) => {
-    report.instructorName = e.target.value.trim();
-    updateHeaderDisplay();
+function initUndoRedo() {
+  document.getElementById('undoBtn').addEventListener('click', undoChange);
+  document.getElementById('redoBtn').addEventListener('click', redoChange);
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || !currentReportId) return;
+    if (document.getElementById('wizardView').classList.contains('hidden')) return;
+    // Text fields keep the browser's own undo of what was typed in them
+    if (isEditableElement(e.target)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoChange();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redoChange();
+    }
   });
+
+  updateUndoButtons();
+}
+
+/**
+ * Whether an element takes typed text (and so has its own undo)
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isEditableElement(element) {
+  if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+  if (element.tagName !== 'INPUT') return false;
+  return !['button', 'checkbox', 'color', 'file', 'image', 'radio', 'range', 'reset', 'submit'].includes(element.type);
+}
+
+function undoChange() {
+  const previous = undoHistory.undo();
+  if (previous) {
+    store.replace(previous, { origin: 'history' });
+  }
+}
+
+function redoChange() {
+  const next = undoHistory.redo();
+  if (next) {
+    store.replace(next, { origin: 'history' });
+  }
+}
+
+function updateUndoButtons() {
+  document.getElementById('undoBtn').disabled = !undoHistory.canUndo();
+  document.getElementById('redoBtn').disabled = !undoHistory.canRedo();
+}
+
+// ========================================
+// Header Display Updates
+// ========================================
+
+/**
+ * Update the header to display instructor name and school year
+ * @param {object} state - Report state
+ */
+function updateHeaderDisplay(state) {
+  const nameHeader = document.getElementById('instructorNameHeader');
+  const yearDisplay = document.getElementById('schoolYearDisplay');
+
+  if (state.instructorName) {
+    nameHeader.textContent = state.instructorName;
+  } else {
+    nameHeader.textContent = '';
+  }
+
+  if (state.schoolYear) {
+    const [startYear, endYear] = state.schoolYear.split('-');
+    yearDisplay.textContent = `School Year ${startYear} - ${endYear}`;
+  } else {
+    yearDisplay.textContent = '';
+  }
 }
 
 // ========================================
@@ -151,14 +850,77 @@ function initAutoExpandTextareas() {
 }
 
 /**
- * Auto-expand a textarea to fit its content
+ * Auto-expand a textarea to fit its content
+ * @param {HTMLTextAreaElement} textarea
+ */
+function autoExpandTextarea(textarea) {
+  // Reset height to auto to get the correct scrollHeight
+  textarea.style.height = 'auto';
+  // Set height to scrollHeight to fit content
+  textarea.style.height = textarea.scrollHeight + 'px';
+}
+
+// ========================================
+// Formatting Toolbars
+// ========================================
+
+/**
+ * Markup for the formatting buttons of a long text field
+ * @param {string} label - Field label, naming the toolbar for screen readers
+ * @returns {string}
+ */
+function renderMarkupToolbar(label) {
+  const buttons = MARKUP_ACTIONS.map(({ action, label: buttonLabel, title, shortcut }) => {
+    const fullTitle = shortcut ? `${title} (Ctrl+${shortcut.toUpperCase()})` : title;
+    return `<button type="button" class="btn-icon-only" data-markup="${action}" title="${fullTitle}" aria-label="${title}">${buttonLabel}</button>`;
+  }).join('');
+
+  return `<div class="markup-toolbar" role="toolbar" aria-label="${escapeHtml(label)} formatting">${buttons}</div>`;
+}
+
+/**
+ * Apply formatting buttons and shortcuts to the long text field they belong to
+ */
+function initMarkupToolbars() {
+  const content = document.querySelector('.wizard-content');
+
+  content.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-markup]');
+    if (!button) return;
+
+    const textarea = button.closest('.form-group').querySelector('[data-markup-field]');
+    applyMarkup(textarea, button.dataset.markup);
+  });
+
+  content.addEventListener('keydown', (e) => {
+    if (!e.target.matches('[data-markup-field]')) return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+
+    const match = MARKUP_ACTIONS.find(({ shortcut }) => shortcut === e.key.toLowerCase());
+    if (match) {
+      e.preventDefault();
+      applyMarkup(e.target, match.action);
+    }
+  });
+}
+
+/**
+ * Format the selected text of a long text field
  * @param {HTMLTextAreaElement} textarea
+ * @param {string} action - One of MARKUP_ACTIONS
  */
-function autoExpandTextarea(textarea) {
-  // Reset height to auto to get the correct scrollHeight
-  textarea.style.height = 'auto';
-  // Set height to scrollHeight to fit content
-  textarea.style.height = textarea.scrollHeight + 'px';
+function applyMarkup(textarea, action) {
+  const { value, selectionStart, selectionEnd } = textarea;
+  const edit = action === 'bold' || action === 'italic'
+    ? toggleInlineStyle(value, selectionStart, selectionEnd, action)
+    : toggleList(value, selectionStart, selectionEnd, action === 'numberedList');
+
+  textarea.value = edit.value;
+  textarea.focus();
+  textarea.setSelectionRange(edit.start, edit.end);
+
+  // Stored, resized and recorded for undo like typing
+  textarea.dispatchEvent(new Event('input', { bubbles: true }));
 }
 
 // ========================================
@@ -171,6 +933,38 @@ function autoExpandTextarea(textarea) {
  */
 function initSchoolYearDropdown() {
   const select = document.getElementById('schoolYear');
+  const currentSchoolYear = getCurrentSchoolYear();
+
+  // Populate select (changes are written to the store by initFieldBindings)
+  select.innerHTML = SCHOOL_YEAR_OPTIONS.map(opt =>
+    `<option value="${opt}" ${opt === currentSchoolYear ? 'selected' : ''}>${opt}</option>`
+  ).join('');
+}
+
+/**
+ * School year following the given one: the next dropdown option, or
+ * the computed following year once past the end of the options
+ * @param {string} schoolYear - e.g. "2025-2026"
+ * @returns {string} - e.g. "2026-2027"
+ */
+function getNextSchoolYear(schoolYear) {
+  const index = SCHOOL_YEAR_OPTIONS.indexOf(schoolYear);
+  if (index > -1 && index < SCHOOL_YEAR_OPTIONS.length - 1) {
+    return SCHOOL_YEAR_OPTIONS[index + 1];
+  }
+
+  const startYear = parseInt(schoolYear, 10);
+  if (!startYear) {
+    return getCurrentSchoolYear();
+  }
+  return `${startYear + 1}-${startYear + 2}`;
+}
+
+/**
+ * Calculate the current school year, falling back to the first option
+ * @returns {string} - e.g. "2025-2026"
+ */
+function getCurrentSchoolYear() {
   const today = new Date();
   const month = today.getMonth(); // 0-11
   const year = today.getFullYear();
@@ -185,33 +979,7 @@ function initSchoolYearDropdown() {
     currentSchoolYear = `${year - 1}-${year}`;
   }
 
-  // Generate options: 2025-26 through 2031-32
-  const options = [
-    '2025-2026',
-    '2026-2027',
-    '2027-2028',
-    '2028-2029',
-    '2029-2030',
-    '2030-2031',
-    '2031-2032'
-  ];
-
-  // Populate select
-  select.innerHTML = options.map(opt =>
-    `<option value="${opt}" ${opt === currentSchoolYear ? 'selected' : ''}>${opt}</option>`
-  ).join('');
-
-  // Set initial value in state
-  report.schoolYear = currentSchoolYear || options[0];
-
-  // Listen for changes
-  select.addEventListener('change', (e) => {
-    report.schoolYear = e.target.value;
-    updateHeaderDisplay();
-  });
-
-  // Initial header display
-  updateHeaderDisplay();
+  return SCHOOL_YEAR_OPTIONS.includes(currentSchoolYear) ? currentSchoolYear : SCHOOL_YEAR_OPTIONS[0];
 }
 
 // ========================================
@@ -238,27 +1006,12 @@ function initHeaderPhotoUpload() {
       // Process image
       const processed = await processImageToLandscape16x9(file);
 
-      // Clean up old preview URL if exists
-      if (report.headerPhoto?.previewUrl) {
-        revokePreviewUrl(report.headerPhoto.previewUrl);
-      }
-
-      // Store in state
-      report.headerPhoto = processed;
-
-      // Update preview
-      const img = previewContainer.querySelector('.image-preview');
-      img.src = processed.previewUrl;
-
-      const dimensions = previewContainer.querySelector('.image-dimensions');
-      dimensions.textContent = `${processed.width} × ${processed.height}`;
-
-      const size = previewContainer.querySelector('.image-size');
-      size.textContent = formatFileSize(processed.bytes);
-
-      // Show preview
+      // Store in state (the replaced photo stays in the undo history);
+      // the preview is rendered from the store
       processing.style.display = 'none';
-      previewContainer.style.display = 'block';
+      store.update(report => {
+        report.headerPhoto = createPhoto(processed);
+      });
 
       // Clear error
       clearError('headerPhotoError');
@@ -267,7 +1020,7 @@ function initHeaderPhotoUpload() {
       console.error('Header photo processing failed:', error);
       showError('headerPhotoError', 'Failed to process image. Please try another file.');
       processing.style.display = 'none';
-      placeholder.style.display = 'flex';
+      renderWizard(store.getState());
     }
 
     // Reset input to allow re-selecting same file
@@ -276,30 +1029,50 @@ function initHeaderPhotoUpload() {
 
   // Remove button handler
   removeBtn.addEventListener('click', () => {
-    if (report.headerPhoto?.previewUrl) {
-      revokePreviewUrl(report.headerPhoto.previewUrl);
-    }
-    report.headerPhoto = null;
-    previewContainer.style.display = 'none';
-    placeholder.style.display = 'flex';
+    // Preview URL is kept so undo can restore the photo
+    store.update(report => {
+      report.headerPhoto = null;
+    });
   });
 }
 
+/**
+ * Show the header photo preview for a processed photo
+ * @param {object} photo - { blob, width, height, description, previewUrl, bytes }
+ */
+function showHeaderPhotoPreview(photo) {
+  const placeholder = document.getElementById('headerPhotoPlaceholder');
+  const previewContainer = document.getElementById('headerPhotoPreview');
+
+  const img = previewContainer.querySelector('.image-preview');
+  if (img.getAttribute('src') !== photo.previewUrl) {
+    img.src = photo.previewUrl;
+  }
+
+  const dimensions = previewContainer.querySelector('.image-dimensions');
+  dimensions.textContent = `${photo.width} × ${photo.height}`;
+
+  const size = previewContainer.querySelector('.image-size');
+  size.textContent = formatFileSize(photo.bytes);
+
+  placeholder.style.display = 'none';
+  previewContainer.style.display = 'block';
+}
+
+function hideHeaderPhotoPreview() {
+  document.getElementById('headerPhotoPreview').style.display = 'none';
+  document.getElementById('headerPhotoPlaceholder').style.display = 'flex';
+}
+
 // ========================================
 // Student Distribution
 // ========================================
 
 function initDistributionListeners() {
-  const container = document.getElementById('distributionContainer');
   const addBtn = document.getElementById('addCategoryBtn');
   const newCategoryInput = document.getElementById('newCategoryLabel');
 
-  // Listen for changes on distribution inputs
-  container.addEventListener('input', (e) => {
-    if (e.target.classList.contains('distribution-input')) {
-      updateDistributionValue(e.target);
-    }
-  });
+  // Percentages are bound fields (see renderDistribution)
 
   // Add custom category
   addBtn.addEventListener('click', () => {
@@ -317,32 +1090,11 @@ function initDistributionListeners() {
       addBtn.click();
     }
   });
-
-  // Initial total calculation
-  updateDistributionTotal();
-}
-
-function updateDistributionValue(input) {
-  const category = input.dataset.category;
-  let value = parseFloat(input.value) || 0;
-
-  // Clamp value to 0-100
-  if (value < 0) value = 0;
-  if (value > 100) value = 100;
-  input.value = value;
-
-  // Update state
-  const cat = report.distribution.categories.find(c => c.label === category);
-  if (cat) {
-    cat.percent = value;
-  }
-
-  updateDistributionTotal();
 }
 
 function addDistributionCategory(label) {
   // Check if category already exists
-  const exists = report.distribution.categories.some(
+  const exists = store.getState().distribution.categories.some(
     c => c.label.toLowerCase() === label.toLowerCase()
   );
 
@@ -351,10 +1103,12 @@ function addDistributionCategory(label) {
     return;
   }
 
-  // Add to state
-  report.distribution.categories.push({ label, percent: 0 });
+  store.update(report => {
+    report.distribution.categories.push({ label, percent: 0 });
+  });
+}
 
-  // Add to DOM
+function renderDistributionCategory(label) {
   const container = document.getElementById('distributionContainer');
   const row = document.createElement('div');
   row.className = 'distribution-row custom';
@@ -378,23 +1132,51 @@ function addDistributionCategory(label) {
 }
 
 function removeDistributionCategory(label) {
-  // Remove from state
-  const index = report.distribution.categories.findIndex(c => c.label === label);
-  if (index > -1) {
-    report.distribution.categories.splice(index, 1);
-  }
+  store.update(report => {
+    const index = report.distribution.categories.findIndex(c => c.label === label);
+    if (index > -1) {
+      report.distribution.categories.splice(index, 1);
+    }
+  });
+}
+
+/**
+ * Sync the distribution rows with the categories in state.
+ * Built-in rows from index.html are kept; custom rows are rebuilt when the
+ * categories change. Each input is bound to its category's percentage.
+ * @param {object} state - Report state
+ */
+function renderDistribution(state) {
+  const container = document.getElementById('distributionContainer');
+  const categories = state.distribution.categories;
+
+  const builtInLabels = Array.from(container.querySelectorAll('.distribution-row:not(.custom)'))
+    .map(row => row.dataset.category);
+  const customLabels = categories.map(cat => cat.label).filter(label => !builtInLabels.includes(label));
+  const renderedLabels = Array.from(container.querySelectorAll('.distribution-row.custom'))
+    .map(row => row.dataset.category);
 
-  // Remove from DOM
-  const row = document.querySelector(`.distribution-row[data-category="${label}"]`);
-  if (row) {
-    row.remove();
+  if (customLabels.join('\n') !== renderedLabels.join('\n')) {
+    container.querySelectorAll('.distribution-row.custom').forEach(row => row.remove());
+    customLabels.forEach(renderDistributionCategory);
   }
 
-  updateDistributionTotal();
+  container.querySelectorAll('.distribution-input').forEach(input => {
+    const index = categories.findIndex(cat => cat.label === input.dataset.category);
+    if (index > -1) {
+      input.dataset.path = `distribution.categories.${index}.percent`;
+    } else {
+      // Built-in category missing from this report
+      delete input.dataset.path;
+      input.value = 0;
+    }
+  });
+
+  updateDistributionTotal(state);
 }
 
-function updateDistributionTotal() {
-  const total = report.distribution.categories.reduce((sum, cat) => sum + cat.percent, 0);
+function updateDistributionTotal(state) {
+  const total = getDistributionTotal(state);
   const totalEl = document.getElementById('totalPercentage');
   const statusEl = document.getElementById('totalStatus');
   const containerEl = document.getElementById('distributionTotal');
@@ -412,59 +1194,31 @@ function updateDistributionTotal() {
   }
 }
 
-function getDistributionTotal() {
-  return report.distribution.categories.reduce((sum, cat) => sum + cat.percent, 0);
-}
-
 // ========================================
-// School Type Listener (for conditional third activity)
+// School Type (for conditional third activity)
 // ========================================
 
-function initSchoolTypeListener() {
-  const schoolTypeInput = document.getElementById('schoolType');
-
-  schoolTypeInput.addEventListener('change', handleSchoolTypeChange);
-  schoolTypeInput.addEventListener('input', handleSchoolTypeChange);
-}
-
-function handleSchoolTypeChange() {
-  const schoolType = document.getElementById('schoolType').value.trim();
-  report.schoolType = schoolType;
-
-  const isInternational = INTERNATIONAL_SCHOOL_TYPES.some(
-    type => schoolType.toLowerCase().includes(type.toLowerCase())
-  );
-
-  updateThirdActivityVisibility(isInternational);
-}
-
-function isInternationalSchoolType() {
-  const schoolType = report.schoolType || '';
+function isInternationalSchoolType(state) {
+  const schoolType = state.schoolType || '';
   return INTERNATIONAL_SCHOOL_TYPES.some(
     type => schoolType.toLowerCase().includes(type.toLowerCase())
   );
 }
 
-function updateThirdActivityVisibility(isInternational) {
-  const addBtn = document.getElementById('addActivityBtn');
-
-  if (isInternational) {
+/**
+ * Add or remove the third activity to match the school type
+ * @param {object} report - Report being updated (mutated)
+ */
+function applySchoolTypeActivities(report) {
+  if (isInternationalSchoolType(report)) {
     // Auto-add third activity if not already present
     if (report.activities.length < MAX_ACTIVITIES_INTERNATIONAL) {
-      addActivity(2); // Activity 3 (Cross-Cultural Outreach)
+      report.activities.push(createActivity(OPTIONAL_ACTIVITY_TYPE));
     }
-    // Hide add button since we auto-add
-    addBtn.style.display = 'none';
-  } else {
+  } else if (report.activities.length > MAX_ACTIVITIES_STANDARD) {
     // Remove third activity if it exists (not international school)
-    if (report.activities.length > MAX_ACTIVITIES_STANDARD) {
-      removeActivity(2);
-    }
-    // Hide add button for non-international schools
-    addBtn.style.display = 'none';
+    report.activities.splice(MAX_ACTIVITIES_STANDARD);
   }
-
-  updateActivityCount();
 }
 
 // ========================================
@@ -475,10 +1229,12 @@ function initActivitySection() {
   const addBtn = document.getElementById('addActivityBtn');
 
   addBtn.addEventListener('click', () => {
-    const maxActivities = isInternationalSchoolType() ? MAX_ACTIVITIES_INTERNATIONAL : MAX_ACTIVITIES_STANDARD;
-    if (report.activities.length < maxActivities) {
-      addActivity(report.activities.length);
-      updateActivityCount();
+    const state = store.getState();
+    const maxActivities = isInternationalSchoolType(state) ? MAX_ACTIVITIES_INTERNATIONAL : MAX_ACTIVITIES_STANDARD;
+    if (state.activities.length < maxActivities) {
+      store.update(report => {
+        report.activities.push(createActivity(report.activities.length));
+      });
     }
   });
 
@@ -486,35 +1242,32 @@ function initActivitySection() {
   addBtn.style.display = 'none';
 }
 
-function addActivity(activityTypeIndex) {
-  const config = ACTIVITY_CONFIG[activityTypeIndex];
-
-  // Create activity data with type-specific fields
-  const activity = {
-    typeIndex: activityTypeIndex,
-    date: '',
-    location: '',
-    participants: '',
-    description: '',
-    impact: '',
-    photos: [], // Array of { blob, width, height, previewUrl, bytes }
-    // Extra fields for Activity 2 (Virtual Exchange)
-    medium: '',
-    mediumOther: '',
-    foreignCountry: '',
-    foreignSchoolName: '',
-    foreignSchoolAddress: ''
-  };
+/**
+ * Render the activity cards from state.
+ * Cards are rebuilt when activities are added, removed or reordered, and
+ * updated in place otherwise so the field being edited keeps focus.
+ * @param {object} state - Report state
+ */
+function renderActivities(state) {
+  const container = document.getElementById('activitiesContainer');
 
-  report.activities.push(activity);
+  const layout = state.activities.map(activity => activity.typeIndex).join(',');
+  if (container.dataset.layout !== layout) {
+    container.innerHTML = '';
+    state.activities.forEach((activity, index) => renderActivity(activity, index));
+    container.dataset.layout = layout;
+  }
 
-  const index = report.activities.length - 1;
-  renderActivity(index);
+  state.activities.forEach((activity, index) => {
+    const card = container.querySelector(`.activity-card[data-activity-index="${index}"]`);
+    updateActivityCard(card, activity, index);
+  });
 
-  return activity;
+  updateActivityButtons(state);
+  updateActivityCount(state);
 }
 
-function renderActivity(index) {
+function renderActivity(activity, index) {
   const template = document.getElementById('activityTemplate');
   const container = document.getElementById('activitiesContainer');
   const clone = template.content.cloneNode(true);
@@ -522,8 +1275,7 @@ function renderActivity(index) {
   const card = clone.querySelector('.activity-card');
   card.dataset.activityIndex = index;
 
-  const activity = report.activities[index];
-  const config = ACTIVITY_CONFIG[activity.typeIndex];
+  const type = ACTIVITY_TYPES[activity.typeIndex];
 
   // Set activity number and title
   const numberEl = card.querySelector('.activity-number');
@@ -534,19 +1286,15 @@ function renderActivity(index) {
 
   // Set the prompt
   const promptEl = card.querySelector('.activity-prompt');
-  promptEl.textContent = config.prompt;
+  promptEl.textContent = type.prompt;
 
-  // Show/hide extra fields for Activity 2
-  const extraFieldsContainer = card.querySelector('.activity-extra-fields');
-  if (activity.typeIndex === 1) {
-    extraFieldsContainer.style.display = 'block';
-  } else {
-    extraFieldsContainer.style.display = 'none';
-  }
+  // Form fields for this activity type
+  const fieldsContainer = card.querySelector('.activity-fields');
+  fieldsContainer.innerHTML = type.fields.map(renderActivityField).join('');
 
   // Show/hide remove button (only for optional third activity)
   const removeBtn = card.querySelector('.btn-remove-activity');
-  if (activity.typeIndex === 2) {
+  if (type.optional) {
     removeBtn.style.display = 'inline-flex';
   } else {
     removeBtn.style.display = 'none';
@@ -556,8 +1304,10 @@ function renderActivity(index) {
   card.querySelector('.btn-move-up').style.display = 'none';
   card.querySelector('.btn-move-down').style.display = 'none';
 
-  // Bind form fields
-  bindActivityFormFields(card, index);
+  // Bind form fields to this activity's values in the store
+  card.querySelectorAll('[data-field]').forEach(field => {
+    field.dataset.path = `activities.${index}.${field.dataset.field}`;
+  });
 
   // Bind control buttons
   bindActivityControls(card, index);
@@ -566,48 +1316,95 @@ function renderActivity(index) {
   bindActivityPhotoUpload(card, index);
 
   container.appendChild(clone);
+}
 
-  updateActivityButtons();
-}
-
-function bindActivityFormFields(card, index) {
-  const activity = report.activities[index];
-
-  const fields = [
-    { class: 'activity-date', prop: 'date' },
-    { class: 'activity-location', prop: 'location' },
-    { class: 'activity-participants', prop: 'participants' },
-    { class: 'activity-description', prop: 'description' },
-    { class: 'activity-impact', prop: 'impact' },
-    // Extra fields for Activity 2
-    { class: 'activity-medium', prop: 'medium' },
-    { class: 'activity-medium-other', prop: 'mediumOther' },
-    { class: 'activity-foreign-country', prop: 'foreignCountry' },
-    { class: 'activity-foreign-school-name', prop: 'foreignSchoolName' },
-    { class: 'activity-foreign-school-address', prop: 'foreignSchoolAddress' }
-  ];
-
-  fields.forEach(({ class: className, prop }) => {
-    const input = card.querySelector(`.${className}`);
-    if (input) {
-      input.addEventListener('input', () => {
-        activity[prop] = input.value;
-      });
-      input.addEventListener('change', () => {
-        activity[prop] = input.value;
-
-        // Handle medium "Other" visibility
-        if (className === 'activity-medium') {
-          const otherContainer = card.querySelector('.medium-other-container');
-          if (input.value === 'Other') {
-            otherContainer.style.display = 'block';
-          } else {
-            otherContainer.style.display = 'none';
-          }
-        }
-      });
-    }
+/**
+ * Markup for one activity form field (see config/activities.js).
+ * Fields get a data-field for binding and `activity-<key>` classes for errors.
+ * @param {object} field - Field definition
+ * @returns {string}
+ */
+function renderActivityField(field) {
+  const className = `activity-${toKebabCase(field.key)}`;
+  const required = field.required ? ' required' : '';
+  const placeholder = escapeHtml(field.placeholder || '');
+  let control;
+
+  switch (field.kind) {
+    case 'select':
+      control = `
+        <select class="${className}" data-field="${field.key}"${required}>
+          <option value="">${placeholder}</option>
+          ${field.options.map(opt => `<option value="${escapeHtml(opt.value)}">${escapeHtml(opt.label)}</option>`).join('')}
+        </select>`;
+      break;
+    case 'textarea':
+      control = `
+        <textarea class="${className}" data-field="${field.key}"
+                  rows="${field.rows || 2}" placeholder="${placeholder}"${required}></textarea>`;
+      break;
+    case 'longtext':
+      control = `
+        ${renderMarkupToolbar(field.label)}
+        <textarea class="${className} auto-expand" data-field="${field.key}" data-markup-field
+                  rows="${field.rows || 2}" placeholder="${placeholder}"${required}></textarea>
+        <span class="field-hint">
+          A new line starts a paragraph. Select text for <strong>bold</strong> (**text**) or
+          <em>italic</em> (*text*); start lines with "- " or "1. " for lists.
+        </span>`;
+      break;
+    default:
+      control = `<input type="text" class="${className}" data-field="${field.key}" placeholder="${placeholder}"${required}>`;
+  }
+
+  let html = `
+    <div class="form-group">
+      <label>${escapeHtml(field.label)}${field.required ? ' <span class="required">*</span>' : ''}</label>
+      ${control}
+      <span class="field-error ${className}-error"></span>
+    </div>`;
+
+  // Free-text input shown when the "other" option is selected
+  if (field.other) {
+    const otherClass = `activity-${toKebabCase(field.other.key)}`;
+    html += `
+    <div class="form-group" data-other-for="${field.key}" data-other-value="${escapeHtml(field.other.value)}" style="display: none;">
+      <label>${escapeHtml(field.other.label)} <span class="required">*</span></label>
+      <input type="text" class="${otherClass}" data-field="${field.other.key}" placeholder="${escapeHtml(field.other.placeholder || '')}">
+      <span class="field-error ${otherClass}-error"></span>
+    </div>`;
+  }
+
+  return html;
+}
+
+/**
+ * Update the parts of an activity card that depend on its values
+ * (form fields themselves are handled by renderBoundFields)
+ * @param {HTMLElement} card
+ * @param {object} activity
+ * @param {number} activityIndex
+ */
+function updateActivityCard(card, activity, activityIndex) {
+  // "Other" options need their free-text field
+  card.querySelectorAll('[data-other-for]').forEach(group => {
+    group.style.display = activity[group.dataset.otherFor] === group.dataset.otherValue ? 'block' : 'none';
   });
+
+  // Re-render photos if they changed
+  const previewGrid = card.querySelector('.activity-photos-preview');
+  const renderedUrls = Array.from(previewGrid.querySelectorAll('.photo-thumbnail'))
+    .map(img => img.getAttribute('src'));
+  if (renderedUrls.join('\n') !== activity.photos.map(photo => photo.previewUrl).join('\n')) {
+    previewGrid.innerHTML = '';
+    activity.photos.forEach((photo, photoIndex) => {
+      renderActivityPhoto(card, activityIndex, photoIndex, photo);
+    });
+  }
+
+  // Hide upload area if max photos reached
+  card.querySelector('.photos-upload-area').style.display =
+    activity.photos.length >= MAX_PHOTOS ? 'none' : 'block';
 }
 
 function bindActivityControls(card, index) {
@@ -622,15 +1419,14 @@ function bindActivityControls(card, index) {
 
 function bindActivityPhotoUpload(card, activityIndex) {
   const input = card.querySelector('.activity-photos-input');
-  const previewGrid = card.querySelector('.activity-photos-preview');
   const processing = card.querySelector('.activity-photos-processing');
+  const errorEl = card.querySelector('.activity-photos-error');
 
   input.addEventListener('change', async (e) => {
     const files = Array.from(e.target.files);
     if (files.length === 0) return;
 
-    const activity = report.activities[activityIndex];
-    const currentCount = activity.photos.length;
+    const currentCount = store.getState().activities[activityIndex].photos.length;
     const remaining = MAX_PHOTOS - currentCount;
 
     if (remaining <= 0) {
@@ -641,37 +1437,41 @@ function bindActivityPhotoUpload(card, activityIndex) {
 
     // Limit files to remaining slots
     const filesToProcess = files.slice(0, remaining);
+    const processed = [];
 
     processing.style.display = 'flex';
 
     try {
       for (const file of filesToProcess) {
-        const processed = await processImageToLandscape16x9(file);
-        activity.photos.push(processed);
-        renderActivityPhoto(card, activityIndex, activity.photos.length - 1);
+        processed.push(await processImageToLandscape16x9(file));
       }
 
       // Clear error
-      const errorEl = card.querySelector('.activity-photos-error');
       errorEl.textContent = '';
 
     } catch (error) {
       console.error('Photo processing failed:', error);
-      const errorEl = card.querySelector('.activity-photos-error');
       errorEl.textContent = 'Failed to process one or more images.';
     }
 
     processing.style.display = 'none';
     input.value = '';
 
-    // Hide upload area if max photos reached
-    if (activity.photos.length >= MAX_PHOTOS) {
-      card.querySelector('.photos-upload-area').style.display = 'none';
+    // Photos processed before any failure are kept, as one undo step
+    if (processed.length > 0) {
+      store.update(report => {
+        const activity = report.activities[activityIndex];
+        if (activity) {
+          activity.photos.push(...processed
+            .slice(0, MAX_PHOTOS - activity.photos.length)
+            .map(createActivityPhoto));
+        }
+      });
     }
   });
 }
 
-function renderActivityPhoto(card, activityIndex, photoIndex) {
+function renderActivityPhoto(card, activityIndex, photoIndex, photo) {
   const template = document.getElementById('photoPreviewTemplate');
   const previewGrid = card.querySelector('.activity-photos-preview');
   const clone = template.content.cloneNode(true);
@@ -679,8 +1479,6 @@ function renderActivityPhoto(card, activityIndex, photoIndex) {
   const item = clone.querySelector('.photo-preview-item');
   item.dataset.photoIndex = photoIndex;
 
-  const photo = report.activities[activityIndex].photos[photoIndex];
-
   const img = item.querySelector('.photo-thumbnail');
   img.src = photo.previewUrl;
 
@@ -690,6 +1488,11 @@ function renderActivityPhoto(card, activityIndex, photoIndex) {
   const size = item.querySelector('.photo-size');
   size.textContent = formatFileSize(photo.bytes);
 
+  // Bound fields; their values are filled in by renderBoundFields
+  item.querySelectorAll('[data-photo-field]').forEach(field => {
+    field.dataset.path = `activities.${activityIndex}.photos.${photoIndex}.${field.dataset.photoField}`;
+  });
+
   // Remove button handler
   const removeBtn = item.querySelector('.btn-remove-photo');
   removeBtn.addEventListener('click', () => {
@@ -700,188 +1503,194 @@ function renderActivityPhoto(card, activityIndex, photoIndex) {
 }
 
 function removeActivityPhoto(activityIndex, photoIndex) {
-  const activity = report.activities[activityIndex];
-  const photo = activity.photos[photoIndex];
-
-  // Revoke preview URL
-  if (photo?.previewUrl) {
-    revokePreviewUrl(photo.previewUrl);
-  }
-
-  // Remove from state
-  activity.photos.splice(photoIndex, 1);
-
-  // Re-render activity photos
-  const card = document.querySelector(`.activity-card[data-activity-index="${activityIndex}"]`);
-  const previewGrid = card.querySelector('.activity-photos-preview');
-  previewGrid.innerHTML = '';
-
-  activity.photos.forEach((_, i) => {
-    renderActivityPhoto(card, activityIndex, i);
+  // Preview URL is kept so undo can restore the photo
+  store.update(report => {
+    report.activities[activityIndex].photos.splice(photoIndex, 1);
   });
-
-  // Show upload area if under max
-  if (activity.photos.length < MAX_PHOTOS) {
-    card.querySelector('.photos-upload-area').style.display = 'block';
-  }
 }
 
 function moveActivity(currentIndex, direction) {
   const newIndex = currentIndex + direction;
 
-  if (newIndex < 0 || newIndex >= report.activities.length) return;
+  if (newIndex < 0 || newIndex >= store.getState().activities.length) return;
 
   // Swap in state
-  const temp = report.activities[currentIndex];
-  report.activities[currentIndex] = report.activities[newIndex];
-  report.activities[newIndex] = temp;
-
-  // Re-render all activities
-  reRenderAllActivities();
+  store.update(report => {
+    const temp = report.activities[currentIndex];
+    report.activities[currentIndex] = report.activities[newIndex];
+    report.activities[newIndex] = temp;
+  });
 }
 
 function removeActivity(index) {
-  // Only allow removing the third (optional) activity
-  if (report.activities.length <= MIN_ACTIVITIES) {
+  const activities = store.getState().activities;
+  if (activities.length <= MIN_ACTIVITIES) {
     alert(`Minimum ${MIN_ACTIVITIES} activities required.`);
     return;
   }
 
-  // Only the third activity can be removed
-  if (index !== 2) {
+  // Only optional activity types can be removed
+  if (!ACTIVITY_TYPES[activities[index].typeIndex].optional) {
     return;
   }
 
-  // Clean up photo preview URLs
-  const activity = report.activities[index];
-  activity.photos.forEach(photo => {
-    if (photo?.previewUrl) {
-      revokePreviewUrl(photo.previewUrl);
-    }
+  // Photo preview URLs are kept for undo
+  store.update(report => {
+    report.activities.splice(index, 1);
   });
+}
 
-  // Remove from state
-  report.activities.splice(index, 1);
+function updateActivityButtons(state) {
+  const addBtn = document.getElementById('addActivityBtn');
+  const maxActivities = isInternationalSchoolType(state) ? MAX_ACTIVITIES_INTERNATIONAL : MAX_ACTIVITIES_STANDARD;
 
-  // Re-render all activities
-  reRenderAllActivities();
-  updateActivityCount();
+  // Show/hide add button based on school type and current count
+  if (isInternationalSchoolType(state) && state.activities.length < maxActivities) {
+    addBtn.style.display = 'inline-flex';
+    addBtn.disabled = false;
+  } else {
+    addBtn.style.display = 'none';
+  }
 }
 
-function reRenderAllActivities() {
-  const container = document.getElementById('activitiesContainer');
-
-  // Store current form values before clearing
-  const savedValues = report.activities.map((activity, i) => {
-    const card = container.querySelector(`.activity-card[data-activity-index="${i}"]`);
-    if (card) {
-      const values = {
-        date: card.querySelector('.activity-date')?.value || '',
-        location: card.querySelector('.activity-location')?.value || '',
-        participants: card.querySelector('.activity-participants')?.value || '',
-        description: card.querySelector('.activity-description')?.value || '',
-        impact: card.querySelector('.activity-impact')?.value || ''
-      };
+function updateActivityCount(state) {
+  const countEl = document.getElementById('activityCount');
+  const maxActivities = isInternationalSchoolType(state) ? MAX_ACTIVITIES_INTERNATIONAL : MAX_ACTIVITIES_STANDARD;
 
-      // Extra fields for Activity 2
-      if (activity.typeIndex === 1) {
-        values.medium = card.querySelector('.activity-medium')?.value || '';
-        values.mediumOther = card.querySelector('.activity-medium-other')?.value || '';
-        values.foreignCountry = card.querySelector('.activity-foreign-country')?.value || '';
-        values.foreignSchoolName = card.querySelector('.activity-foreign-school-name')?.value || '';
-        values.foreignSchoolAddress = card.querySelector('.activity-foreign-school-address')?.value || '';
-      }
+  if (isInternationalSchoolType(state)) {
+    countEl.textContent = `${state.activities.length} of ${maxActivities} activities`;
+  } else {
+    countEl.textContent = `${state.activities.length} activities`;
+  }
+}
 
-      return values;
-    }
-    return null;
-  }).filter(Boolean);
+// ========================================
+// Attestation
+// ========================================
 
-  // Update state with saved values
-  savedValues.forEach((values, i) => {
-    if (report.activities[i]) {
-      Object.assign(report.activities[i], values);
-    }
-  });
+// Pen used on the signature pads (canvas pixels)
+const SIGNATURE_PEN = { color: '#1a2540', width: 3 };
 
-  // Clear container
-  container.innerHTML = '';
+// Signature each pad currently shows, so it is only redrawn when the state changes
+const shownSignatures = new WeakMap();
 
-  // Re-render each activity
-  report.activities.forEach((activity, index) => {
-    renderActivity(index);
+/**
+ * Set up the attestation step's signature pads. A signature is stored as
+ * a PNG data URL when the pen is lifted; each stroke is one undo step.
+ */
+function initSignaturePads() {
+  document.querySelectorAll('.signature-pad').forEach(pad => {
+    const canvas = pad.querySelector('canvas');
+    const context = canvas.getContext('2d');
+    let drawing = false;
+
+    // The canvas is scaled by CSS; convert pointer positions to canvas pixels
+    const toCanvasPoint = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: (e.clientX - rect.left) * (canvas.width / rect.width),
+        y: (e.clientY - rect.top) * (canvas.height / rect.height)
+      };
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+      drawing = true;
+      canvas.setPointerCapture(e.pointerId);
+
+      const { x, y } = toCanvasPoint(e);
+      context.strokeStyle = SIGNATURE_PEN.color;
+      context.lineWidth = SIGNATURE_PEN.width;
+      context.lineCap = 'round';
+      context.lineJoin = 'round';
+      context.beginPath();
+      context.moveTo(x, y);
+      // A tap leaves a dot
+      context.lineTo(x, y + 0.1);
+      context.stroke();
+    });
 
-    // Restore form values
-    const card = container.querySelector(`.activity-card[data-activity-index="${index}"]`);
-    if (card) {
-      card.querySelector('.activity-date').value = activity.date;
-      card.querySelector('.activity-location').value = activity.location;
-      card.querySelector('.activity-participants').value = activity.participants;
-      card.querySelector('.activity-description').value = activity.description;
-      card.querySelector('.activity-impact').value = activity.impact;
-
-      // Restore extra fields for Activity 2
-      if (activity.typeIndex === 1) {
-        const mediumSelect = card.querySelector('.activity-medium');
-        if (mediumSelect) mediumSelect.value = activity.medium || '';
-
-        const mediumOther = card.querySelector('.activity-medium-other');
-        if (mediumOther) mediumOther.value = activity.mediumOther || '';
-
-        const otherContainer = card.querySelector('.medium-other-container');
-        if (otherContainer) {
-          otherContainer.style.display = activity.medium === 'Other' ? 'block' : 'none';
-        }
+    canvas.addEventListener('pointermove', (e) => {
+      if (!drawing) return;
+      const { x, y } = toCanvasPoint(e);
+      context.lineTo(x, y);
+      context.stroke();
+    });
 
-        const foreignCountry = card.querySelector('.activity-foreign-country');
-        if (foreignCountry) foreignCountry.value = activity.foreignCountry || '';
+    const finishStroke = () => {
+      if (!drawing) return;
+      drawing = false;
+      saveSignature(canvas);
+    };
+    canvas.addEventListener('pointerup', finishStroke);
+    canvas.addEventListener('pointercancel', finishStroke);
 
-        const foreignSchoolName = card.querySelector('.activity-foreign-school-name');
-        if (foreignSchoolName) foreignSchoolName.value = activity.foreignSchoolName || '';
+    pad.querySelector('.btn-clear-signature').addEventListener('click', () => {
+      store.set(canvas.dataset.signaturePath, '');
+    });
+  });
+}
 
-        const foreignSchoolAddress = card.querySelector('.activity-foreign-school-address');
-        if (foreignSchoolAddress) foreignSchoolAddress.value = activity.foreignSchoolAddress || '';
-      }
+/**
+ * Store what a signature pad shows. Signing also dates the signature,
+ * unless a date was already entered.
+ * @param {HTMLCanvasElement} canvas
+ */
+function saveSignature(canvas) {
+  const path = canvas.dataset.signaturePath;
+  const datePath = path.replace(/\.signature$/, '.date');
+  const signature = canvas.toDataURL('image/png');
+
+  shownSignatures.set(canvas, signature);
+  store.update(report => {
+    setIn(report, path, signature);
+    if (!getIn(report, datePath)) {
+      setIn(report, datePath, getTodayDate());
+    }
+  });
+}
 
-      // Re-render photos
-      const previewGrid = card.querySelector('.activity-photos-preview');
-      previewGrid.innerHTML = '';
-      activity.photos.forEach((_, photoIndex) => {
-        renderActivityPhoto(card, index, photoIndex);
-      });
+/**
+ * Show the attestation statements, the principal's block and the stored signatures
+ * @param {object} state - Report state
+ */
+function renderAttestation(state) {
+  const signers = getSigners(state);
 
-      // Hide upload area if max photos
-      if (activity.photos.length >= MAX_PHOTOS) {
-        card.querySelector('.photos-upload-area').style.display = 'none';
-      }
-    }
+  document.querySelectorAll('.signer').forEach(block => {
+    const key = block.dataset.signer;
+    block.hidden = !signers.includes(key);
+    block.querySelector('.attestation-statement').textContent = formatAttestationStatement(key, state);
   });
 
-  updateActivityButtons();
-}
+  document.querySelectorAll('.signature-pad canvas').forEach(canvas => {
+    const signature = getIn(state, canvas.dataset.signaturePath);
+    if (shownSignatures.get(canvas) === signature) return;
+    shownSignatures.set(canvas, signature);
 
-function updateActivityButtons() {
-  const addBtn = document.getElementById('addActivityBtn');
-  const maxActivities = isInternationalSchoolType() ? MAX_ACTIVITIES_INTERNATIONAL : MAX_ACTIVITIES_STANDARD;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (!signature) return;
 
-  // Show/hide add button based on school type and current count
-  if (isInternationalSchoolType() && report.activities.length < maxActivities) {
-    addBtn.style.display = 'inline-flex';
-    addBtn.disabled = false;
-  } else {
-    addBtn.style.display = 'none';
-  }
+    const image = new Image();
+    image.onload = () => {
+      // Skip if the signature changed while the image was loading
+      if (shownSignatures.get(canvas) === signature) {
+        context.drawImage(image, 0, 0);
+      }
+    };
+    image.src = signature;
+  });
 }
 
-function updateActivityCount() {
-  const countEl = document.getElementById('activityCount');
-  const maxActivities = isInternationalSchoolType() ? MAX_ACTIVITIES_INTERNATIONAL : MAX_ACTIVITIES_STANDARD;
-
-  if (isInternationalSchoolType()) {
-    countEl.textContent = `${report.activities.length} of ${maxActivities} activities`;
-  } else {
-    countEl.textContent = `${report.activities.length} activities`;
-  }
+/**
+ * Today's date as YYYY-MM-DD (local time, as a date input shows it)
+ * @returns {string}
+ */
+function getTodayDate() {
+  const today = new Date();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${today.getFullYear()}-${month}-${day}`;
 }
 
 // ========================================
@@ -894,6 +1703,10 @@ function initNavigationButtons() {
 
   prevBtn.addEventListener('click', goToPreviousStep);
   nextBtn.addEventListener('click', goToNextStep);
+  document.getElementById('generatePdfBtn').addEventListener('click', generateReport);
+  document.getElementById('cancelGenerateBtn').addEventListener('click', () => {
+    if (generateController) generateController.abort();
+  });
 
   updateNavigationButtons();
 }
@@ -916,13 +1729,16 @@ function goToNextStep() {
     updateWizardUI();
 
     // If entering review step, render the review
-    if (currentStep === 4) {
+    if (currentStep === REVIEW_STEP) {
       renderReview();
     }
   }
 }
 
 function updateWizardUI() {
+  // Leaving the review step (or returning to it) shows the review, not an old preview
+  closePreview();
+
   // Update step visibility
   document.querySelectorAll('.wizard-step').forEach((step, index) => {
     step.classList.toggle('active', index + 1 === currentStep);
@@ -953,239 +1769,101 @@ function updateNavigationButtons() {
   // Show/hide back button
   prevBtn.style.visibility = currentStep > 1 ? 'visible' : 'hidden';
 
-  // Update next button text
-  if (currentStep === TOTAL_STEPS) {
-    nextBtn.style.visibility = 'hidden';
-  } else {
-    nextBtn.style.visibility = 'visible';
-    nextBtn.textContent = currentStep === TOTAL_STEPS - 1 ? 'Review →' : 'Next →';
-  }
-}
-
-// ========================================
-// Validation
-// ========================================
-
-function validateCurrentStep() {
-  switch (currentStep) {
-    case 1:
-      return validateGeneralInfo();
-    case 2:
-      return validateDistribution();
-    case 3:
-      return validateActivities();
-    case 4:
-      return true; // Review step, no validation needed
-    default:
-      return true;
-  }
-}
-
-function validateGeneralInfo() {
-  let isValid = true;
-
-  // Update state from form fields
-  report.instructorName = document.getElementById('instructorName').value.trim();
-  report.schoolType = document.getElementById('schoolType').value.trim();
-
-  // Validate instructor name
-  if (!report.instructorName) {
-    showError('instructorNameError', 'Full name is required.');
-    markInvalid('instructorName');
-    isValid = false;
-  } else {
-    clearError('instructorNameError');
-    markValid('instructorName');
-  }
-
-  // Validate school type
-  if (!report.schoolType) {
-    showError('schoolTypeError', 'School type is required.');
-    markInvalid('schoolType');
-    isValid = false;
-  } else {
-    clearError('schoolTypeError');
-    markValid('schoolType');
-  }
-
-  // Validate header photo
-  if (!report.headerPhoto) {
-    showError('headerPhotoError', 'Header photo is required.');
-    isValid = false;
-  } else {
-    clearError('headerPhotoError');
-  }
-
-  return isValid;
-}
-
-function validateDistribution() {
-  const total = getDistributionTotal();
-
-  if (Math.abs(total - 100) > 0.01) {
-    showError('distributionError', `Distribution must total exactly 100%. Currently: ${total.toFixed(1)}%`);
-    return false;
-  }
-
-  clearError('distributionError');
-  return true;
-}
-
-function validateActivities() {
-  let isValid = true;
-
-  // Sync form values to state
-  syncActivitiesFromForm();
-
-  report.activities.forEach((activity, index) => {
-    const card = document.querySelector(`.activity-card[data-activity-index="${index}"]`);
-    if (!card) return;
-
-    // Validate date
-    if (!activity.date) {
-      card.querySelector('.activity-date-error').textContent = 'Date is required.';
-      card.querySelector('.activity-date').classList.add('invalid');
-      isValid = false;
-    } else {
-      card.querySelector('.activity-date-error').textContent = '';
-      card.querySelector('.activity-date').classList.remove('invalid');
-    }
-
-    // Validate location
-    if (!activity.location.trim()) {
-      card.querySelector('.activity-location-error').textContent = 'Location is required.';
-      card.querySelector('.activity-location').classList.add('invalid');
-      isValid = false;
-    } else {
-      card.querySelector('.activity-location-error').textContent = '';
-      card.querySelector('.activity-location').classList.remove('invalid');
-    }
-
-    // Validate participants
-    if (!activity.participants.trim()) {
-      card.querySelector('.activity-participants-error').textContent = 'Participants is required.';
-      card.querySelector('.activity-participants').classList.add('invalid');
-      isValid = false;
-    } else {
-      card.querySelector('.activity-participants-error').textContent = '';
-      card.querySelector('.activity-participants').classList.remove('invalid');
-    }
+  // Update next button text
+  if (currentStep === TOTAL_STEPS) {
+    nextBtn.style.visibility = 'hidden';
+  } else {
+    nextBtn.style.visibility = 'visible';
+    nextBtn.textContent = currentStep === TOTAL_STEPS - 1 ? 'Review →' : 'Next →';
+  }
+}
 
-    // Validate description
-    if (!activity.description.trim()) {
-      card.querySelector('.activity-description-error').textContent = 'Description is required.';
-      card.querySelector('.activity-description').classList.add('invalid');
-      isValid = false;
-    } else {
-      card.querySelector('.activity-description-error').textContent = '';
-      card.querySelector('.activity-description').classList.remove('invalid');
-    }
+// ========================================
+// Validation
+// ========================================
 
-    // Validate impact
-    if (!activity.impact.trim()) {
-      card.querySelector('.activity-impact-error').textContent = 'Estimated impact is required.';
-      card.querySelector('.activity-impact').classList.add('invalid');
-      isValid = false;
-    } else {
-      card.querySelector('.activity-impact-error').textContent = '';
-      card.querySelector('.activity-impact').classList.remove('invalid');
-    }
+// Report section checked by each wizard step (the review step has none)
+const STEP_SECTIONS = {
+  1: 'general',
+  2: 'distribution',
+  3: 'activities',
+  4: 'attestation'
+};
 
-    // Validate photos
-    if (activity.photos.length < MIN_PHOTOS) {
-      card.querySelector('.activity-photos-error').textContent = `At least ${MIN_PHOTOS} photo is required.`;
-      isValid = false;
-    } else {
-      card.querySelector('.activity-photos-error').textContent = '';
-    }
+function validateCurrentStep() {
+  const section = STEP_SECTIONS[currentStep];
+  if (!section) return true;
 
-    // Extra validation for Activity 2 (Virtual Exchange)
-    if (activity.typeIndex === 1) {
-      // Validate medium
-      if (!activity.medium) {
-        const mediumError = card.querySelector('.activity-medium-error');
-        if (mediumError) mediumError.textContent = 'Communication medium is required.';
-        card.querySelector('.activity-medium')?.classList.add('invalid');
-        isValid = false;
-      } else {
-        const mediumError = card.querySelector('.activity-medium-error');
-        if (mediumError) mediumError.textContent = '';
-        card.querySelector('.activity-medium')?.classList.remove('invalid');
-      }
+  const results = validate(store.getState(), { sections: [section] });
+  showValidationResults(results, document.querySelector(`.wizard-step[data-step="${currentStep}"]`));
+  return !hasErrors(results);
+}
 
-      // Validate medium other if "Other" selected
-      if (activity.medium === 'Other' && !activity.mediumOther?.trim()) {
-        const otherError = card.querySelector('.activity-medium-other-error');
-        if (otherError) otherError.textContent = 'Please specify the communication medium.';
-        card.querySelector('.activity-medium-other')?.classList.add('invalid');
-        isValid = false;
-      } else {
-        const otherError = card.querySelector('.activity-medium-other-error');
-        if (otherError) otherError.textContent = '';
-        card.querySelector('.activity-medium-other')?.classList.remove('invalid');
-      }
+function validateAllSteps() {
+  // Show every problem, not just those of the current step
+  const results = validate(store.getState());
+  showValidationResults(results);
+  return !hasErrors(results);
+}
 
-      // Validate foreign country
-      if (!activity.foreignCountry?.trim()) {
-        const countryError = card.querySelector('.activity-foreign-country-error');
-        if (countryError) countryError.textContent = 'Country is required.';
-        card.querySelector('.activity-foreign-country')?.classList.add('invalid');
-        isValid = false;
-      } else {
-        const countryError = card.querySelector('.activity-foreign-country-error');
-        if (countryError) countryError.textContent = '';
-        card.querySelector('.activity-foreign-country')?.classList.remove('invalid');
-      }
+/**
+ * Replace the error and warning messages shown in part of the wizard
+ * @param {Array<{path: string, message: string, severity: string}>} results - From validate()
+ * @param {HTMLElement} scope - Element whose messages are replaced (defaults to the whole wizard)
+ */
+function showValidationResults(results, scope = document.querySelector('.wizard-content')) {
+  clearValidationErrors(scope);
 
-      // Validate foreign school name
-      if (!activity.foreignSchoolName?.trim()) {
-        const nameError = card.querySelector('.activity-foreign-school-name-error');
-        if (nameError) nameError.textContent = 'School name is required.';
-        card.querySelector('.activity-foreign-school-name')?.classList.add('invalid');
-        isValid = false;
-      } else {
-        const nameError = card.querySelector('.activity-foreign-school-name-error');
-        if (nameError) nameError.textContent = '';
-        card.querySelector('.activity-foreign-school-name')?.classList.remove('invalid');
-      }
+  // Results are sorted errors first; each field shows its first message
+  results.forEach(({ path, message, severity }) => {
+    const { field, errorEl } = getFieldElements(path);
+    if (!errorEl || !scope.contains(errorEl) || errorEl.textContent) return;
 
-      // Validate foreign school address
-      if (!activity.foreignSchoolAddress?.trim()) {
-        const addressError = card.querySelector('.activity-foreign-school-address-error');
-        if (addressError) addressError.textContent = 'School address is required.';
-        card.querySelector('.activity-foreign-school-address')?.classList.add('invalid');
-        isValid = false;
-      } else {
-        const addressError = card.querySelector('.activity-foreign-school-address-error');
-        if (addressError) addressError.textContent = '';
-        card.querySelector('.activity-foreign-school-address')?.classList.remove('invalid');
-      }
+    errorEl.textContent = message;
+    if (severity === 'error') {
+      field?.classList.add('invalid');
+    } else {
+      errorEl.classList.add('is-warning');
     }
   });
+}
 
-  return isValid;
+/**
+ * Remove error messages and invalid markers
+ * @param {HTMLElement} scope - Element to clear (defaults to the whole wizard)
+ */
+function clearValidationErrors(scope = document.querySelector('.wizard-content')) {
+  scope.querySelectorAll('.field-error').forEach(el => {
+    el.textContent = '';
+    el.classList.remove('is-warning');
+  });
+  scope.querySelectorAll('[data-path].invalid').forEach(el => el.classList.remove('invalid'));
 }
 
-function syncActivitiesFromForm() {
-  report.activities.forEach((activity, index) => {
+/**
+ * Find the form field and error message element for a report path
+ * @param {string} path - e.g. "instructorName" or "activities.1.medium"
+ * @returns {{field: HTMLElement|null, errorEl: HTMLElement|null}}
+ */
+function getFieldElements(path) {
+  const field = document.querySelector(`.wizard-content [data-path="${path}"]`);
+
+  const activityMatch = path.match(/^activities\.(\d+)\.(\w+)$/);
+  if (activityMatch) {
+    const [, index, prop] = activityMatch;
     const card = document.querySelector(`.activity-card[data-activity-index="${index}"]`);
-    if (!card) return;
-
-    activity.date = card.querySelector('.activity-date')?.value || '';
-    activity.location = card.querySelector('.activity-location')?.value || '';
-    activity.participants = card.querySelector('.activity-participants')?.value || '';
-    activity.description = card.querySelector('.activity-description')?.value || '';
-    activity.impact = card.querySelector('.activity-impact')?.value || '';
-
-    // Extra fields for Activity 2
-    if (activity.typeIndex === 1) {
-      activity.medium = card.querySelector('.activity-medium')?.value || '';
-      activity.mediumOther = card.querySelector('.activity-medium-other')?.value || '';
-      activity.foreignCountry = card.querySelector('.activity-foreign-country')?.value || '';
-      activity.foreignSchoolName = card.querySelector('.activity-foreign-school-name')?.value || '';
-      activity.foreignSchoolAddress = card.querySelector('.activity-foreign-school-address')?.value || '';
-    }
-  });
+    // e.g. foreignSchoolName -> .activity-foreign-school-name-error
+    return { field, errorEl: card?.querySelector(`.activity-${toKebabCase(prop)}-error`) || null };
+  }
+
+  const signerMatch = path.match(/^attestation\.(\w+)\.(\w+)$/);
+  if (signerMatch) {
+    const [, signer, prop] = signerMatch;
+    const block = document.querySelector(`.signer[data-signer="${signer}"]`);
+    return { field, errorEl: block?.querySelector(`.signer-${prop}-error`) || null };
+  }
+
+  return { field, errorEl: document.getElementById(`${path}Error`) };
 }
 
 // ========================================
@@ -1193,23 +1871,18 @@ function syncActivitiesFromForm() {
 // ========================================
 
 function renderReview() {
-  // Sync all data from form
-  report.instructorName = document.getElementById('instructorName').value.trim();
-  report.schoolType = document.getElementById('schoolType').value.trim();
-  syncActivitiesFromForm();
-
+  const report = store.getState();
   const container = document.getElementById('reviewContainer');
 
-  // Filter categories with values
-  const activeCategories = report.distribution.categories.filter(c => c.percent > 0);
-
   container.innerHTML = `
+    ${renderValidationSummary(validate(report))}
+
     <!-- Header Photo (at the top) -->
     <div class="review-section">
       <h3>Header Photo</h3>
       <div class="review-field">
         <div class="review-value">
-          ${report.headerPhoto ? `<img src="${report.headerPhoto.previewUrl}" alt="Header photo" class="review-image review-header-photo">` : '<em>Not uploaded</em>'}
+          ${report.headerPhoto ? `<img src="${report.headerPhoto.previewUrl}" alt="${escapeHtml(report.headerPhoto.description || 'Header photo')}" class="review-image review-header-photo">` : '<em>Not uploaded</em>'}
         </div>
       </div>
     </div>
@@ -1234,179 +1907,634 @@ function renderReview() {
     <!-- Student Distribution -->
     <div class="review-section">
       <h3>Student Distribution</h3>
-      ${activeCategories.map(cat => `
-        <div class="review-field">
-          <span class="review-label">${escapeHtml(cat.label)}:</span>
-          <span class="review-value">${cat.percent}%</span>
-        </div>
-      `).join('')}
+      ${renderChartSvg(report.distribution.categories, document.getElementById('chartSelect').value)}
     </div>
 
     <!-- Activities -->
     <div class="review-section">
       <h3>Cultural Activities (${report.activities.length})</h3>
       ${report.activities.map((activity, index) => {
-        const config = ACTIVITY_CONFIG[activity.typeIndex];
-        const mediumDisplay = activity.medium === 'Other'
-          ? `Other: ${escapeHtml(activity.mediumOther)}`
-          : escapeHtml(activity.medium);
+        const type = ACTIVITY_TYPES[activity.typeIndex];
 
         return `
         <div class="review-activity">
           <h4>Activity #${index + 1}</h4>
-          <p class="review-prompt"><em>${escapeHtml(config.prompt)}</em></p>
-          <div class="review-field">
-            <span class="review-label">Date or Time Period:</span>
-            <span class="review-value">${escapeHtml(activity.date)}</span>
-          </div>
-          <div class="review-field">
-            <span class="review-label">Location:</span>
-            <span class="review-value">${escapeHtml(activity.location)}</span>
-          </div>
-          <div class="review-field">
-            <span class="review-label">Audience for and Participants in:</span>
-            <span class="review-value">${escapeHtml(activity.participants)}</span>
-          </div>
-          ${activity.typeIndex === 1 ? `
-          <div class="review-field">
-            <span class="review-label">Medium:</span>
-            <span class="review-value">${mediumDisplay}</span>
-          </div>
-          <div class="review-field">
-            <span class="review-label">Foreign Country:</span>
-            <span class="review-value">${escapeHtml(activity.foreignCountry)}</span>
-          </div>
-          <div class="review-field">
-            <span class="review-label">Foreign School:</span>
-            <span class="review-value">${escapeHtml(activity.foreignSchoolName)}</span>
-          </div>
-          <div class="review-field">
-            <span class="review-label">School Address:</span>
-            <span class="review-value">${escapeHtml(activity.foreignSchoolAddress)}</span>
-          </div>
-          ` : ''}
-          <div class="review-field">
-            <span class="review-label">Description:</span>
-            <span class="review-value multiline">${escapeHtml(activity.description)}</span>
-          </div>
+          <p class="review-prompt"><em>${escapeHtml(type.prompt)}</em></p>
+          ${type.fields.map(field => `
           <div class="review-field">
-            <span class="review-label">Impact:</span>
-            <span class="review-value multiline">${escapeHtml(activity.impact)}</span>
+            <span class="review-label">${escapeHtml(field.label)}:</span>
+            ${field.kind === 'longtext'
+              ? `<div class="review-value review-markup">${renderMarkupHtml(activity[field.key])}</div>`
+              : `<span class="review-value">${escapeHtml(formatActivityField(activity, field))}</span>`}
           </div>
+          `).join('')}
           <div class="review-field">
             <span class="review-label">Photos:</span>
             <div class="review-photos-grid">
               ${activity.photos.map(photo => `
-                <img src="${photo.previewUrl}" alt="Activity photo" class="review-photo">
+                <figure class="review-photo-item">
+                  <img src="${photo.previewUrl}" alt="${escapeHtml(photo.description || 'Activity photo')}" class="review-photo">
+                  ${photo.caption || photo.credit ? `
+                  <figcaption>
+                    ${photo.caption ? `<span class="review-photo-caption">${escapeHtml(photo.caption)}</span>` : ''}
+                    ${photo.credit ? `<span class="review-photo-credit">Photo: ${escapeHtml(photo.credit)}</span>` : ''}
+                  </figcaption>` : ''}
+                </figure>
               `).join('')}
             </div>
           </div>
         </div>
       `}).join('')}
     </div>
+
+    <!-- Attestation -->
+    <div class="review-section">
+      <h3>${escapeHtml(ATTESTATION.title)}</h3>
+      ${getSigners(report).map(key => {
+        const signer = report.attestation[key];
+        return `
+        <div class="review-signer">
+          <p class="review-prompt"><em>${escapeHtml(formatAttestationStatement(key, report))}</em></p>
+          ${signer.signature
+            ? `<img src="${signer.signature}" alt="Signature of ${escapeHtml(signer.name || ATTESTATION.signers[key].role)}" class="review-signature">`
+            : '<em>Not signed</em>'}
+          <div class="review-field">
+            <span class="review-label">${escapeHtml(ATTESTATION.signers[key].role)}:</span>
+            <span class="review-value">${escapeHtml(signer.name)}${signer.date ? `, ${escapeHtml(signer.date)}` : ''}</span>
+          </div>
+        </div>
+      `}).join('')}
+    </div>
   `;
+}
 
-  // Bind generate button
-  document.getElementById('generatePdfBtn').addEventListener('click', generateReport);
+/**
+ * Markup listing the report's validation problems (empty when there are none)
+ * @param {Array<{path: string, message: string, severity: string}>} results - From validate()
+ * @returns {string}
+ */
+function renderValidationSummary(results) {
+  if (results.length === 0) return '';
+
+  const errorCount = results.filter(r => r.severity === 'error').length;
+  const warningCount = results.length - errorCount;
+  const counts = [
+    errorCount ? `${errorCount} error${errorCount === 1 ? '' : 's'}` : '',
+    warningCount ? `${warningCount} warning${warningCount === 1 ? '' : 's'}` : ''
+  ].filter(Boolean).join(' and ');
+
+  return `
+    <div class="review-checks ${hasErrors(results) ? 'has-errors' : ''}">
+      <h3>${counts}</h3>
+      <ul>
+        ${results.map(({ path, message, severity }) => {
+          const activityMatch = path.match(/^activities\.(\d+)\./);
+          const where = activityMatch ? `Activity #${Number(activityMatch[1]) + 1}: ` : '';
+          return `<li class="is-${severity}">${escapeHtml(where + message)}</li>`;
+        }).join('')}
+      </ul>
+    </div>
+  `;
 }
 
 // ========================================
 // PDF Generation
 // ========================================
 
-async function generateReport() {
+/**
+ * Set up the review step's PDF options with the organization defaults
+ */
+function initPdfOptions() {
+  const themeSelect = document.getElementById('themeSelect');
+  Object.entries(PDF_THEMES).forEach(([key, theme]) => {
+    const option = new Option(theme.label, key);
+    option.title = theme.description;
+    themeSelect.add(option);
+  });
+
+  // The review step previews the chart the PDF will have
+  const chartSelect = document.getElementById('chartSelect');
+  Object.entries(CHART_TYPES).forEach(([key, label]) => {
+    chartSelect.add(new Option(label, key));
+  });
+  chartSelect.addEventListener('change', renderReview);
+
+  const pageSizeSelect = document.getElementById('pageSizeSelect');
+  Object.entries(PAGE_SIZES).forEach(([key, size]) => {
+    pageSizeSelect.add(new Option(size.label, key));
+  });
+
+  const targetSizeSelect = document.getElementById('targetSizeSelect');
+  TARGET_SIZES.forEach(size => {
+    targetSizeSelect.add(new Option(`${formatFileSize(size)} (photos reduced to fit)`, String(size)));
+  });
+  // A configured limit that is not one of the offered sizes is offered too
+  const configuredTargetSize = ORG_CONFIG.pdf.targetSize;
+  if (configuredTargetSize && !TARGET_SIZES.includes(configuredTargetSize)) {
+    targetSizeSelect.add(new Option(`${formatFileSize(configuredTargetSize)} (photos reduced to fit)`, String(configuredTargetSize)));
+  }
+
+  themeSelect.value = ORG_CONFIG.pdf.theme;
+  chartSelect.value = ORG_CONFIG.pdf.chart;
+  pageSizeSelect.value = ORG_CONFIG.pdf.pageSize;
+  targetSizeSelect.value = configuredTargetSize ? String(configuredTargetSize) : '';
+  document.getElementById('orientationSelect').value = ORG_CONFIG.pdf.orientation;
+  document.getElementById('includeTocInput').checked = ORG_CONFIG.pdf.tableOfContents;
+  document.getElementById('archivalInput').checked = ORG_CONFIG.pdf.archival;
+}
+
+/**
+ * PDF layout options chosen on the review step
+ * @returns {object} - Options for generatePDF (lib/pdf.js)
+ */
+function getPdfOptions() {
+  return {
+    theme: document.getElementById('themeSelect').value,
+    chart: document.getElementById('chartSelect').value,
+    pageSize: document.getElementById('pageSizeSelect').value,
+    orientation: document.getElementById('orientationSelect').value,
+    tableOfContents: document.getElementById('includeTocInput').checked,
+    archival: document.getElementById('archivalInput').checked,
+    targetSize: Number(document.getElementById('targetSizeSelect').value) || null
+  };
+}
+
+/**
+ * Show the size of the last generated PDF and the photos reduced to fit its limit
+ * @param {{size: number, targetSize: number, fits: boolean, images: Array<object>}|null} sizeReport -
+ *   From generatePDF's onSizeReport; null hides it
+ */
+function renderPdfSizeReport(sizeReport) {
+  const reportEl = document.getElementById('pdfSizeReport');
+  reportEl.hidden = !sizeReport;
+  if (!sizeReport) {
+    reportEl.innerHTML = '';
+    return;
+  }
+
+  const { size, targetSize, fits, images } = sizeReport;
+  reportEl.classList.toggle('is-over', !fits);
+
+  const summary = fits
+    ? `The PDF is ${formatFileSize(size)}, within the ${formatFileSize(targetSize)} limit.`
+    : `The PDF is ${formatFileSize(size)}, over the ${formatFileSize(targetSize)} limit even with every photo reduced as far as it can be.`;
+
+  const withoutOriginal = images.filter(image => !image.original).length;
+  const imageList = images.length === 0 ? '<p>No photos needed to be reduced.</p>' : `
+    <p>${images.length === 1 ? '1 photo was' : `${images.length} photos were`} reduced to fit:</p>
+    <ul>
+      ${images.map(image => `
+        <li>${escapeHtml(image.label)}: ${image.width}×${image.height}, JPEG quality ${Math.round(image.quality * 100)}%${image.original ? '' : ' (no original file)'}</li>
+      `).join('')}
+    </ul>
+    ${withoutOriginal > 0 ? `
+    <p>${withoutOriginal === 1 ? 'One photo has' : `${withoutOriginal} photos have`} no original file in this browser (the report was opened from a draft bundle or PDF), so the already processed copy was re-encoded and lost quality again. Choose the photo again to reduce it from the original.</p>` : ''}`;
+
+  reportEl.innerHTML = `<p><strong>${escapeHtml(summary)}</strong></p>${imageList}`;
+}
+
+/**
+ * Validate the report and generate its PDF with the review step's options,
+ * showing progress in the overlay. The overlay stays open on success.
+ * @returns {Promise<Uint8Array|null>} - PDF bytes; null if the report is
+ *   incomplete, generation was cancelled or it failed (already reported)
+ */
+async function buildReportPdf() {
   // Final validation
   if (!validateAllSteps()) {
     alert('Please complete all required fields before generating the report.');
-    return;
+    return null;
   }
 
+  const report = store.getState();
   const overlay = document.getElementById('generatingOverlay');
   const statusEl = document.getElementById('generatingStatus');
+  const cancelBtn = document.getElementById('cancelGenerateBtn');
 
+  generateController = new AbortController();
+  cancelBtn.disabled = false;
+  statusEl.textContent = 'Generating PDF...';
+  renderGeneratingProgress(null);
   overlay.style.display = 'flex';
+  renderPdfSizeReport(null);
 
   try {
-    // Generate PDF
-    const pdfBytes = await generatePDF(report, (status) => {
+    // Generate PDF in a background worker
+    const pdfBytes = await generatePDFInBackground(report, (status, progress) => {
       statusEl.textContent = status;
+      renderGeneratingProgress(progress);
+    }, {
+      ...getPdfOptions(),
+      onSizeReport: renderPdfSizeReport,
+      signal: generateController.signal
     });
+    cancelBtn.disabled = true;
+    return pdfBytes;
+
+  } catch (error) {
+    overlay.style.display = 'none';
+    if (error.name === 'AbortError') {
+      renderPdfSizeReport(null);
+      return null;
+    }
+    console.error('PDF generation failed:', error);
+    alert('Failed to generate PDF. Please try again.\n\nError: ' + error.message);
+    return null;
+  } finally {
+    generateController = null;
+  }
+}
+
+async function generateReport() {
+  const pdfBytes = await buildReportPdf();
+  if (!pdfBytes) return;
+
+  const report = store.getState();
+  const overlay = document.getElementById('generatingOverlay');
+  const statusEl = document.getElementById('generatingStatus');
+
+  // Generate filename
+  const filename = generateFilename(report.schoolYear, report.instructorName);
 
-    // Generate filename
-    const filename = generateFilename(report.schoolYear, report.instructorName);
+  // Trigger download
+  statusEl.textContent = 'Downloading...';
+  downloadPDF(pdfBytes, filename);
 
-    // Trigger download
-    statusEl.textContent = 'Downloading...';
-    downloadPDF(pdfBytes, filename);
+  // Success message
+  statusEl.textContent = 'Complete!';
+  setTimeout(() => {
+    overlay.style.display = 'none';
+  }, 1000);
+}
+
+/**
+ * Show generation progress: photos embedded out of the total, and pages laid out
+ * @param {{photosEmbedded: number, photoTotal: number, pages: number}|undefined|null} progress -
+ *   From the progress callback; without it the bar shows activity only
+ */
+function renderGeneratingProgress(progress) {
+  const bar = document.getElementById('generatingProgress');
+  const detail = document.getElementById('generatingDetail');
+
+  if (!progress) {
+    bar.removeAttribute('value');
+    detail.textContent = '';
+    return;
+  }
+
+  const { photosEmbedded, photoTotal, pages } = progress;
+  if (photoTotal > 0) {
+    bar.value = photosEmbedded / photoTotal;
+  } else {
+    bar.removeAttribute('value');
+  }
+
+  const parts = [];
+  if (photoTotal > 0) parts.push(`${photosEmbedded} of ${photoTotal} photos embedded`);
+  if (pages > 0) parts.push(`${pages} ${pages === 1 ? 'page' : 'pages'} laid out`);
+  detail.textContent = parts.join(' · ');
+}
+
+// ========================================
+// PDF Preview
+// ========================================
 
-    // Success message
-    statusEl.textContent = 'Complete!';
-    setTimeout(() => {
-      overlay.style.display = 'none';
-    }, 1000);
+// Zoom levels offered by the zoom buttons (1 is 100%)
+const PREVIEW_ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
 
+// Width of page thumbnails, in CSS pixels
+const PREVIEW_THUMBNAIL_WIDTH = 120;
+
+function initPdfPreview() {
+  document.getElementById('previewPdfBtn').addEventListener('click', previewReport);
+  document.getElementById('previewBackBtn').addEventListener('click', closePreview);
+  document.getElementById('previewDownloadBtn').addEventListener('click', () => {
+    if (preview) downloadPDF(preview.bytes, preview.filename);
+  });
+
+  document.getElementById('previewZoomInBtn').addEventListener('click', () => stepPreviewZoom(1));
+  document.getElementById('previewZoomOutBtn').addEventListener('click', () => stepPreviewZoom(-1));
+  document.getElementById('previewFitBtn').addEventListener('click', () => setPreviewZoom(null));
+
+  document.getElementById('previewThumbnails').addEventListener('click', (e) => {
+    const thumbnail = e.target.closest('[data-page]');
+    if (thumbnail) showPreviewPage(Number(thumbnail.dataset.page));
+  });
+
+  // A fitted page follows the window width
+  window.addEventListener('resize', () => {
+    if (preview && preview.zoom === null) renderPreviewPage();
+  });
+}
+
+/**
+ * Generate the PDF and show its pages in the review step instead of downloading it
+ */
+async function previewReport() {
+  const pdfBytes = await buildReportPdf();
+  if (!pdfBytes) return;
+
+  const report = store.getState();
+  const overlay = document.getElementById('generatingOverlay');
+  document.getElementById('generatingStatus').textContent = 'Opening preview...';
+  renderGeneratingProgress(null);
+
+  let pdf;
+  try {
+    pdf = await PdfPreview.open(pdfBytes);
   } catch (error) {
-    console.error('PDF generation failed:', error);
+    console.error('Opening PDF preview failed:', error);
     overlay.style.display = 'none';
-    alert('Failed to generate PDF. Please try again.\n\nError: ' + error.message);
+    alert('The preview could not be shown. Use Generate PDF Report to download the PDF instead.\n\nError: ' + error.message);
+    return;
   }
+
+  closePreview();
+  preview = {
+    pdf,
+    bytes: pdfBytes,
+    filename: generateFilename(report.schoolYear, report.instructorName),
+    page: 1,
+    zoom: null
+  };
+
+  document.querySelector(`.wizard-step[data-step="${REVIEW_STEP}"]`).classList.add('is-previewing');
+  document.getElementById('pdfPreview').hidden = false;
+  overlay.style.display = 'none';
+
+  await showPreviewPage(1);
+  await renderPreviewThumbnails();
 }
 
-function validateAllSteps() {
-  // Validate each step
-  const originalStep = currentStep;
+/**
+ * Close the preview and show the review again
+ */
+function closePreview() {
+  if (!preview) return;
 
-  currentStep = 1;
-  const step1Valid = validateGeneralInfo();
+  const { pdf } = preview;
+  preview = null;
+
+  document.querySelector(`.wizard-step[data-step="${REVIEW_STEP}"]`).classList.remove('is-previewing');
+  document.getElementById('pdfPreview').hidden = true;
+  document.getElementById('previewThumbnails').innerHTML = '';
+
+  pdf.destroy().catch(error => console.warn('Closing PDF preview failed:', error));
+}
+
+/**
+ * Render a thumbnail of every page, one after another
+ */
+async function renderPreviewThumbnails() {
+  const current = preview;
+  const list = document.getElementById('previewThumbnails');
+
+  for (let page = 1; page <= current.pdf.pageCount; page++) {
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <button type="button" class="pdf-preview-thumbnail" data-page="${page}" aria-label="Page ${page}">
+        <canvas></canvas>
+        <span>${page}</span>
+      </button>
+    `;
+    list.appendChild(item);
+  }
+  markPreviewThumbnail();
+
+  for (let page = 1; page <= current.pdf.pageCount; page++) {
+    // Stop if the preview was closed or replaced meanwhile
+    if (preview !== current) return;
+
+    const canvas = list.querySelector(`[data-page="${page}"] canvas`);
+    const { width } = await current.pdf.getPageSize(page);
+    await current.pdf.renderPage(page, canvas, PREVIEW_THUMBNAIL_WIDTH / width);
+  }
+}
+
+/**
+ * Show one page in the page view
+ * @param {number} page - 1-based
+ */
+async function showPreviewPage(page) {
+  if (!preview) return;
+
+  preview.page = page;
+  document.getElementById('previewPageLabel').textContent = `Page ${page} of ${preview.pdf.pageCount}`;
+  markPreviewThumbnail();
+  await renderPreviewPage();
+}
+
+/**
+ * Highlight the thumbnail of the page being shown
+ */
+function markPreviewThumbnail() {
+  document.querySelectorAll('.pdf-preview-thumbnail').forEach(thumbnail => {
+    const isCurrent = Number(thumbnail.dataset.page) === preview.page;
+    thumbnail.classList.toggle('active', isCurrent);
+    if (isCurrent) {
+      thumbnail.setAttribute('aria-current', 'page');
+    } else {
+      thumbnail.removeAttribute('aria-current');
+    }
+  });
+}
+
+/**
+ * Zoom of the page view: the chosen level, or the one fitting the page to the view's width
+ * @returns {Promise<number>}
+ */
+async function getPreviewZoom() {
+  if (preview.zoom !== null) return preview.zoom;
+
+  const container = document.getElementById('previewPageContainer');
+  const { width } = await preview.pdf.getPageSize(preview.page);
+  const style = getComputedStyle(container);
+  const padding = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+  const available = container.clientWidth - padding;
+  return Math.max(0.1, available / width);
+}
+
+/**
+ * Draw the current page at the current zoom
+ */
+async function renderPreviewPage() {
+  const current = preview;
+  const zoom = await getPreviewZoom();
+  if (preview !== current) return;
+
+  document.getElementById('previewZoomLevel').textContent = `${Math.round(zoom * 100)}%`;
+  document.getElementById('previewFitBtn').classList.toggle('active', current.zoom === null);
+
+  try {
+    await current.pdf.renderPage(current.page, document.getElementById('previewCanvas'), zoom);
+  } catch (error) {
+    console.error('Rendering PDF preview failed:', error);
+  }
+}
+
+/**
+ * Set the page view's zoom
+ * @param {number|null} zoom - 1 for 100%; null fits the page width
+ */
+async function setPreviewZoom(zoom) {
+  if (!preview) return;
 
-  currentStep = 2;
-  const step2Valid = validateDistribution();
+  preview.zoom = zoom;
+  await renderPreviewPage();
+}
 
-  currentStep = 3;
-  const step3Valid = validateActivities();
+/**
+ * Zoom to the next level in or out from the current zoom
+ * @param {number} direction - 1 to zoom in, -1 to zoom out
+ */
+async function stepPreviewZoom(direction) {
+  if (!preview) return;
 
-  currentStep = originalStep;
+  const zoom = await getPreviewZoom();
+  const next = direction > 0
+    ? PREVIEW_ZOOM_LEVELS.find(level => level > zoom + 0.001)
+    : [...PREVIEW_ZOOM_LEVELS].reverse().find(level => level < zoom - 0.001);
 
-  return step1Valid && step2Valid && step3Valid;
+  if (next !== undefined) {
+    await setPreviewZoom(next);
+  }
 }
 
 // ========================================
-// Utility Functions
+// Report Checksum Check
 // ========================================
 
-function showError(elementId, message) {
-  const el = document.getElementById(elementId);
-  if (el) {
-    el.textContent = message;
-  }
+function initVerification() {
+  document.getElementById('verifyReportBtn').addEventListener('click', showVerification);
+  document.getElementById('closeVerifyBtn').addEventListener('click', showLibrary);
+
+  // The file input covers the drop area, so dropped files arrive as a change too
+  const input = document.getElementById('verifyPdfInput');
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    input.value = '';
+    if (file) {
+      await verifyPdfFile(file);
+    }
+  });
 }
 
-function clearError(elementId) {
-  const el = document.getElementById(elementId);
-  if (el) {
-    el.textContent = '';
+/**
+ * Show the checksum page in place of the report library
+ */
+function showVerification() {
+  const resultEl = document.getElementById('verifyResult');
+  resultEl.hidden = true;
+  resultEl.innerHTML = '';
+
+  document.getElementById('libraryView').classList.add('hidden');
+  document.getElementById('verifyView').classList.remove('hidden');
+}
+
+/**
+ * Check a dropped PDF and show the outcome
+ * @param {File} file
+ */
+async function verifyPdfFile(file) {
+  const resultEl = document.getElementById('verifyResult');
+  resultEl.hidden = false;
+  resultEl.className = 'verify-result';
+  resultEl.textContent = `Checking ${file.name}...`;
+
+  let result;
+  try {
+    result = await verifyReportPdf(file);
+  } catch (error) {
+    console.error('Checking report failed:', error);
+    resultEl.classList.add('is-error');
+    resultEl.innerHTML = `
+      <h3>${escapeHtml(file.name)} could not be checked</h3>
+      <p>It does not appear to be a readable PDF. Error: ${escapeHtml(error.message)}</p>
+    `;
+    return;
   }
+
+  resultEl.innerHTML = renderVerificationResult(file.name, result);
+  resultEl.classList.add(result.status === VERIFY_STATUS.MATCH ? 'is-success'
+    : result.status === VERIFY_STATUS.MISMATCH ? 'is-error' : 'is-warning');
+}
+
+/**
+ * Markup describing a checksum outcome
+ * @param {string} filename
+ * @param {{status: string, fingerprint: string|null, computed: string|null, revisions: number}} result - From verifyReportPdf
+ * @returns {string}
+ */
+function renderVerificationResult(filename, { status, fingerprint, computed, revisions }) {
+  const outcomes = {
+    [VERIFY_STATUS.MATCH]: {
+      title: 'Report data matches its checksum',
+      text: 'The report data and photos embedded in this PDF reproduce the checksum recorded when it was generated. ' +
+        'The visible pages were not checked: the checksum does not cover their text or layout, ' +
+        'so pages edited in a PDF editor can still match. It is not a signature either: ' +
+        'data edited on purpose can be given a matching checksum.'
+    },
+    [VERIFY_STATUS.MISMATCH]: {
+      title: 'Report data does not match its checksum',
+      text: computed
+        ? 'The report data or photos in this PDF were changed after it was generated.'
+        : 'The report data in this PDF is damaged, so it cannot match the checksum recorded when it was generated.'
+    },
+    [VERIFY_STATUS.UNVERIFIABLE]: {
+      title: 'Checksum cannot be checked',
+      text: 'This PDF carries no report data to check its checksum against (archival PDF/A reports cannot). ' +
+        'Compare the checksum below with the one on record for this report.'
+    },
+    [VERIFY_STATUS.MISSING]: {
+      title: 'No checksum found',
+      text: 'This PDF has no report checksum. It was not generated by this app, was generated by an older version, or its metadata was removed.'
+    }
+  };
+  const { title, text } = outcomes[status];
+
+  const fingerprintRow = (label, value) => value ? `
+    <div class="review-field">
+      <span class="review-label">${label}:</span>
+      <span class="review-value"><strong>${formatShortFingerprint(value)}</strong> <code class="verify-fingerprint">${escapeHtml(value)}</code></span>
+    </div>` : '';
+
+  return `
+    <h3>${escapeHtml(title)}</h3>
+    <p class="verify-filename">${escapeHtml(filename)}</p>
+    <p>${escapeHtml(text)}</p>
+    ${fingerprintRow('Recorded', fingerprint)}
+    ${status === VERIFY_STATUS.MISMATCH ? fingerprintRow('Recomputed', computed) : ''}
+    ${fingerprint ? '<p class="field-hint">The page footers print the first 16 digits of the recorded checksum.</p>' : ''}
+    ${revisions > 1 ? `
+    <p class="verify-warning">The file was saved again after it was generated (${revisions} revisions), so its pages may have been edited in a PDF editor.</p>` : ''}
+  `;
 }
 
-function markInvalid(elementId) {
+// ========================================
+// Utility Functions
+// ========================================
+
+function showError(elementId, message) {
   const el = document.getElementById(elementId);
   if (el) {
-    el.classList.add('invalid');
+    el.textContent = message;
   }
 }
 
-function markValid(elementId) {
+function clearError(elementId) {
   const el = document.getElementById(elementId);
   if (el) {
-    el.classList.remove('invalid');
+    el.textContent = '';
   }
 }
 
-function escapeHtml(str) {
-  if (!str) return '';
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+/**
+ * Convert a camelCase key to kebab-case (foreignSchoolName -> foreign-school-name)
+ * @param {string} str
+ * @returns {string}
+ */
+function toKebabCase(str) {
+  return str.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
 }
 
 function formatDate(dateString) {
@@ -0,0 +1,27 @@
+/**
+ * PDF Generation Worker
+ *
+ * Generates the report PDF off the main thread (see lib/worker.js for the
+ * messages it sends). Lives at the app root so that the asset and font paths
+ * in config/org.js resolve as they do for the page.
+ */
+
+import { generatePDF } from './lib/pdf.js';
+import { unpackReportFromWorker } from './lib/worker.js';
+
+self.addEventListener('message', async ({ data }) => {
+  try {
+    const report = unpackReportFromWorker(data.report);
+    const bytes = await generatePDF(report, (status, progress) => {
+      self.postMessage({ type: 'progress', status, progress });
+    }, {
+      ...data.options,
+      onSizeReport: (sizeReport) => self.postMessage({ type: 'size', sizeReport })
+    });
+
+    self.postMessage({ type: 'done', bytes }, [bytes.buffer]);
+  } catch (error) {
+    console.error('PDF generation failed:', error);
+    self.postMessage({ type: 'error', message: error.message });
+  }
+});
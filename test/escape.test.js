@@ -0,0 +1,21 @@
+/**
+ * Markup Escaping Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHtml } from '../lib/escape.js';
+
+test('escapes element content and both kinds of attribute quotes', () => {
+  assert.equal(
+    escapeHtml(`x" onerror='alert(1)' <b>&`),
+    'x&quot; onerror=&#39;alert(1)&#39; &lt;b&gt;&amp;'
+  );
+});
+
+test('treats null and undefined as empty text', () => {
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(0), '0');
+});
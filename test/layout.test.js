@@ -0,0 +1,110 @@
+/**
+ * Flow Layout Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FlowLayout } from '../lib/layout.js';
+
+/**
+ * A layout over pages 100 points tall that records what each page draws
+ * @param {object} options - FlowLayout orphans and widows
+ * @returns {{layout: FlowLayout, pages: Array<Array<[string, number]>>, block: function, text: function}}
+ *   pages holds, per page, the name and top y of everything drawn on it
+ */
+function createLayout(options = {}) {
+  const pages = [];
+  const layout = new FlowLayout({
+    addPage: () => {
+      pages.push([]);
+      return { top: 100, bottom: 0 };
+    },
+    ...options
+  });
+  layout.newPage();
+
+  const record = (name) => (y) => pages[pages.length - 1].push([name, y]);
+  const block = (name, height, fields = {}) => ({ height, draw: record(name), ...fields });
+  const text = (name, lineHeights) => ({
+    lines: lineHeights.map((height, i) => ({ height, draw: record(`${name}${i + 1}`) }))
+  });
+
+  return { layout, pages, block, text };
+}
+
+test('a keepWithNext block moves to the next page with the block after it', () => {
+  const { layout, pages, block } = createLayout();
+  layout.add(block('filler', 70));
+  layout.add(block('heading', 20, { keepWithNext: true, spaceBefore: 5 }));
+  layout.add(block('body', 20));
+
+  // The heading's space above is dropped at the top of the new page
+  assert.deepEqual(pages, [
+    [['filler', 100]],
+    [['heading', 100], ['body', 80]]
+  ]);
+});
+
+test('a keepWithNext block stays when the orphan lines of the text after it fit', () => {
+  const { layout, pages, block, text } = createLayout();
+  layout.add(block('filler', 60));
+  layout.add(block('label', 10, { keepWithNext: true }));
+  layout.add(text('line', [10, 10, 10, 10, 10]));
+
+  assert.deepEqual(pages, [
+    [['filler', 100], ['label', 40], ['line1', 30], ['line2', 20], ['line3', 10]],
+    [['line4', 100], ['line5', 90]]
+  ]);
+});
+
+test('text breaks between lines, keeping the orphan and widow lines together', () => {
+  const { layout, pages, block, text } = createLayout({ orphans: 2, widows: 3 });
+  layout.add(block('filler', 60));
+  layout.add(text('line', [10, 10, 10, 10, 10, 10]));
+
+  // Four lines fit, but three must carry over
+  assert.deepEqual(pages, [
+    [['filler', 100], ['line1', 40], ['line2', 30], ['line3', 20]],
+    [['line4', 100], ['line5', 90], ['line6', 80]]
+  ]);
+});
+
+test('text moves whole when fewer than the orphan lines fit', () => {
+  const { layout, pages, block, text } = createLayout({ orphans: 2, widows: 2 });
+  layout.add(block('filler', 85));
+  layout.add(text('line', [10, 10, 10, 10]));
+
+  assert.deepEqual(pages, [
+    [['filler', 100]],
+    [['line1', 100], ['line2', 90], ['line3', 80], ['line4', 70]]
+  ]);
+});
+
+test('a line taller than a page is placed on a page of its own instead of looping', () => {
+  const { layout, pages, block, text } = createLayout({ orphans: 2, widows: 2 });
+  layout.add(block('filler', 50));
+  layout.add(text('line', [10, 150, 10]));
+
+  // The first line cannot leave two orphans here, so the text starts on a new
+  // page; an empty page takes the oversized line even though it overflows
+  assert.deepEqual(pages, [
+    [['filler', 100]],
+    [['line1', 100]],
+    [['line2', 100]],
+    [['line3', 100]]
+  ]);
+});
+
+test('a block taller than a page starts a new page and is drawn there whole', () => {
+  const { layout, pages, block } = createLayout();
+  layout.add(block('filler', 30));
+  layout.add(block('tall', 250));
+  layout.add(block('after', 10));
+
+  assert.deepEqual(pages, [
+    [['filler', 100]],
+    [['tall', 100]],
+    [['after', 100]]
+  ]);
+});
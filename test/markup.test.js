@@ -0,0 +1,71 @@
+/**
+ * Text Markup Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMarkup, escapeMarkup } from '../lib/markup.js';
+import { upgradeReport, createActivity, createAttestation } from '../lib/schema.js';
+
+const plain = (text) => ({ type: 'paragraph', runs: [{ text, bold: false, italic: false }] });
+
+test('bold, italic and lists are parsed', () => {
+  assert.deepEqual(parseMarkup('**Bold** and *italic*\n- one\n3. three'), [
+    {
+      type: 'paragraph',
+      runs: [
+        { text: 'Bold', bold: true, italic: false },
+        { text: ' and ', bold: false, italic: false },
+        { text: 'italic', bold: false, italic: true }
+      ]
+    },
+    { type: 'list', ordered: false, start: 1, items: [[{ text: 'one', bold: false, italic: false }]] },
+    { type: 'list', ordered: true, start: 3, items: [[{ text: 'three', bold: false, italic: false }]] }
+  ]);
+});
+
+test('a backslash keeps a marker as typed', () => {
+  assert.deepEqual(parseMarkup('2\\*3\\*4'), [plain('2*3*4')]);
+  assert.deepEqual(parseMarkup('2024\\. A good year'), [plain('2024. A good year')]);
+  assert.deepEqual(parseMarkup('\\- not a list'), [plain('- not a list')]);
+  assert.deepEqual(parseMarkup('C:\\\\Users and C:\\Users'), [plain('C:\\Users and C:\\Users')]);
+});
+
+test('escaped text reads as it was typed', () => {
+  const texts = [
+    '2*3*4 = 24',
+    '**not bold**',
+    '2024. A good year\n1) first\n- dash\n• bullet\n* star',
+    'A path: C:\\new\\*.txt \\',
+    '  12. indented'
+  ];
+  for (const text of texts) {
+    const lines = text.split('\n').map(line => plain(line.trim()));
+    assert.deepEqual(parseMarkup(escapeMarkup(text)), lines, text);
+  }
+});
+
+test('reports from before formatting are migrated to read the same', () => {
+  const activity = {
+    ...createActivity(0),
+    location: 'Gym',
+    description: '2024. Students multiplied 2*3*4.',
+    impact: '- Better French'
+  };
+  const report = upgradeReport({
+    schemaVersion: 4,
+    schoolYear: '2024-2025',
+    instructorName: 'Maria Garcia',
+    schoolType: 'Public',
+    headerPhoto: null,
+    distribution: { categories: [{ label: 'American', percent: 100 }] },
+    activities: [activity],
+    attestation: createAttestation()
+  });
+
+  const [migrated] = report.activities;
+  assert.deepEqual(parseMarkup(migrated.description), [plain(activity.description)]);
+  assert.deepEqual(parseMarkup(migrated.impact), [plain(activity.impact)]);
+  assert.equal(migrated.location, 'Gym');
+});
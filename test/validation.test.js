@@ -0,0 +1,175 @@
+/**
+ * Validation Rules Tests
+ *
+ * Runs the rules engine of lib/validation.js headlessly against report data
+ * built with the schema factories. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validate, hasErrors } from '../lib/validation.js';
+import { createEmptyReport } from '../lib/schema.js';
+
+// Index of the activity type with the "Medium of Communication" field
+const VIRTUAL_EXCHANGE = 1;
+
+const SIGNATURE = 'data:image/png;base64,AAAA';
+
+/**
+ * A report that passes every rule
+ * @returns {object}
+ */
+function createCompleteReport() {
+  const report = createEmptyReport('2025-2026');
+  report.instructorName = 'Maria Garcia';
+  report.schoolType = 'Public';
+  report.headerPhoto = { width: 1600, height: 900, description: '' };
+  report.distribution.categories = [{ label: 'American', percent: 60 }, { label: 'French', percent: 40 }];
+
+  report.activities.forEach(activity => {
+    Object.assign(activity, {
+      date: 'October 2025',
+      location: 'School gymnasium',
+      participants: '25 students',
+      description: 'A day of French music, food and games for the whole school. '.repeat(3),
+      impact: 'Students asked to start a French club after the activity.',
+      photos: [{ width: 1600, height: 900, description: '', caption: '', credit: '' }]
+    });
+  });
+  Object.assign(report.activities[VIRTUAL_EXCHANGE], {
+    medium: 'Zoom',
+    foreignCountry: 'France',
+    foreignSchoolName: 'Lycée International',
+    foreignSchoolAddress: '1 Rue de la Paix, Paris'
+  });
+
+  report.attestation.instructor = { name: 'Maria Garcia', date: '2026-05-01', signature: SIGNATURE };
+  return report;
+}
+
+/**
+ * Results for one path
+ * @param {Array<object>} results
+ * @param {string} path
+ * @returns {Array<object>}
+ */
+const resultsFor = (results, path) => results.filter(result => result.path === path);
+
+test('a complete report passes', () => {
+  assert.deepEqual(validate(createCompleteReport()), []);
+});
+
+test('required fields must not be blank', () => {
+  const report = createCompleteReport();
+  report.instructorName = '   ';
+  report.activities[0].location = '';
+
+  const results = validate(report);
+  assert.deepEqual(resultsFor(results, 'instructorName'), [
+    { path: 'instructorName', code: 'required', message: 'Full name is required.', severity: 'error' }
+  ]);
+  assert.deepEqual(resultsFor(results, 'activities.0.location'), [
+    { path: 'activities.0.location', code: 'required', message: 'Location is required.', severity: 'error' }
+  ]);
+});
+
+test('maxLength limits the number of characters', () => {
+  const report = createCompleteReport();
+  report.instructorName = 'x'.repeat(101);
+  report.activities[0].description = 'x'.repeat(5001);
+
+  const results = validate(report);
+  assert.deepEqual(resultsFor(results, 'instructorName').map(result => result.message), [
+    'Full name must be at most 100 characters.'
+  ]);
+  assert.deepEqual(resultsFor(results, 'activities.0.description').map(result => result.code), ['maxLength']);
+
+  report.instructorName = 'x'.repeat(100);
+  assert.deepEqual(resultsFor(validate(report), 'instructorName'), []);
+});
+
+test('pattern rules check the format, and leave blank values to required', () => {
+  const report = createCompleteReport();
+  report.schoolYear = '2025/2026';
+  assert.deepEqual(resultsFor(validate(report), 'schoolYear'), [
+    { path: 'schoolYear', code: 'pattern', message: 'School year must look like 2025-2026.', severity: 'error' }
+  ]);
+
+  report.schoolYear = '';
+  assert.deepEqual(resultsFor(validate(report), 'schoolYear').map(result => result.code), ['required']);
+});
+
+test('the "other" medium must be specified only when Other is chosen', () => {
+  const report = createCompleteReport();
+  const path = `activities.${VIRTUAL_EXCHANGE}.mediumOther`;
+
+  report.activities[VIRTUAL_EXCHANGE].medium = 'Other';
+  assert.deepEqual(resultsFor(validate(report), path), [
+    { path, code: 'required', message: 'Please specify the medium of communication.', severity: 'error' }
+  ]);
+
+  report.activities[VIRTUAL_EXCHANGE].mediumOther = 'Jitsi';
+  assert.deepEqual(resultsFor(validate(report), path), []);
+
+  report.activities[VIRTUAL_EXCHANGE].medium = 'Zoom';
+  report.activities[VIRTUAL_EXCHANGE].mediumOther = '';
+  assert.deepEqual(resultsFor(validate(report), path), []);
+});
+
+test('the principal signs only when included', () => {
+  const report = createCompleteReport();
+  assert.deepEqual(resultsFor(validate(report), 'attestation.principal.signature'), []);
+
+  report.attestation.includePrincipal = true;
+  assert.deepEqual(resultsFor(validate(report), 'attestation.principal.signature').map(result => result.message), [
+    'The principal must sign the attestation.'
+  ]);
+});
+
+test('the distribution must total 100%', () => {
+  const report = createCompleteReport();
+  report.distribution.categories[1].percent = 30;
+
+  assert.deepEqual(resultsFor(validate(report), 'distribution'), [
+    { path: 'distribution', code: 'total', message: 'Distribution must total exactly 100%. Currently: 90.0%', severity: 'error' }
+  ]);
+});
+
+test('activities need at least one photo', () => {
+  const report = createCompleteReport();
+  report.activities[0].photos = [];
+
+  assert.deepEqual(resultsFor(validate(report), 'activities.0.photos'), [
+    { path: 'activities.0.photos', code: 'minItems', message: 'At least 1 photo is required.', severity: 'error' }
+  ]);
+});
+
+test('warnings are advisory and listed after errors', () => {
+  const report = createCompleteReport();
+  report.activities[0].description = 'Too short.';
+  report.attestation.instructor.name = 'M. Garcia';
+
+  let results = validate(report);
+  assert.deepEqual(results.map(result => [result.path, result.code, result.severity]), [
+    ['activities.0.description', 'minLength', 'warning'],
+    ['attestation.instructor.name', 'signerName', 'warning']
+  ]);
+  assert.equal(hasErrors(results), false);
+
+  report.schoolType = '';
+  results = validate(report);
+  assert.equal(results[0].path, 'schoolType');
+  assert.equal(results[0].severity, 'error');
+  assert.deepEqual(results.slice(1).map(result => result.severity), ['warning', 'warning']);
+  assert.equal(hasErrors(results), true);
+});
+
+test('only the requested sections are checked', () => {
+  const report = createCompleteReport();
+  report.instructorName = '';
+  report.activities[0].date = '';
+
+  const results = validate(report, { sections: ['activities'] });
+  assert.deepEqual(results.map(result => result.path), ['activities.0.date']);
+});